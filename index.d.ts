@@ -1,14 +1,174 @@
+/** Persists string values by key. Every method can optionally return a promise. */
+export interface StorageAdapter {
+  /** Returns the stored value for the key, or null when there is none. */
+  get(key: string): string | null | Promise<string | null>;
+  /** Stores the value for the key. */
+  set(key: string, value: string): void | Promise<void>;
+  /** Removes the value stored for the key. */
+  remove(key: string): void | Promise<void>;
+}
+
+/** Stores data in the browser LocalStorage. */
+export class LocalStorageAdapter implements StorageAdapter {
+  get(key: string): string | null;
+  set(key: string, value: string): void;
+  remove(key: string): void;
+}
+
+/** Stores data in the browser SessionStorage, the data is only available to the current tab. */
+export class SessionStorageAdapter implements StorageAdapter {
+  get(key: string): string | null;
+  set(key: string, value: string): void;
+  remove(key: string): void;
+}
+
+/** Stores data in memory, the data does not survive page navigation or reloads. */
+export class MemoryStorageAdapter implements StorageAdapter {
+  get(key: string): string | null;
+  set(key: string, value: string): void;
+  remove(key: string): void;
+}
+
+/** Cookie attributes used by the {@link CookieStorageAdapter}. */
+export interface CookieStorageOptions {
+  /** The domain the cookies are set for. (Default: **the current domain**) */
+  domain?: string;
+  /** The path the cookies are set for. (Default: **`/`**) */
+  path?: string;
+  /** The SameSite attribute of the cookies. (Default: **strict**) */
+  sameSite?: 'strict' | 'lax' | 'none';
+  /** Only send the cookies over https. */
+  secure?: boolean;
+  /** The lifetime of the cookies in seconds. (Default: **2592000**) */
+  maxAge?: number;
+}
+
+/** Stores data in first party cookies of the current domain. */
+export class CookieStorageAdapter implements StorageAdapter {
+  constructor(options?: CookieStorageOptions);
+  get(key: string): string | null;
+  set(key: string, value: string): void;
+  remove(key: string): void;
+}
+
+/** Configuration for logging the user in silently using a hidden iframe. */
+export interface SilentAuthenticationSettings {
+  /** Where Authress redirects the hidden iframe to after the login. A lightweight page which loads the LoginClient is recommended. Must be a valid redirect url for the application. (Default: **window.location.href**) */
+  redirectUrl?: string;
+  /** How long to wait for the silent login before reporting that there is no session. (Default: **5000**) */
+  timeoutInMillis?: number;
+}
+
+/** Configuration for renewing the user session in the background. */
+export interface AutomaticTokenRefreshSettings {
+  /** How long before the token expires the session should be renewed. (Default: **60000**) */
+  leadTimeInMillis?: number;
+  /** The maximum delay between retries after a failed renewal, retries back off exponentially up to this value. (Default: **300000**) */
+  maxBackoffInMillis?: number;
+}
+
+/** Configuration for retrying failed requests to Authress. Requests that did not receive a response and requests that failed with one of the retryable statuses are retried. */
+export interface RetryPolicy {
+  /** The maximum number of attempts, including the first one. (Default: **5**) */
+  maxAttempts?: number;
+  /** The delay before the first retry, doubled for every following retry. (Default: **10**) */
+  baseDelayInMillis?: number;
+  /** The maximum delay between attempts. When a Retry-After response header requests a longer delay, the request is not retried. (Default: **5000**) */
+  maxDelayInMillis?: number;
+  /** Randomize the delay between half and the full backoff, to prevent many clients retrying at the same time. (Default: **true**) */
+  jitter?: boolean;
+  /** The response statuses that are retried. (Default: **[408, 429, 500, 502, 503, 504]**) */
+  retryableStatuses?: number[];
+  /** Also retry POST requests. These are not idempotent, a request could have been processed even though the response never arrived. (Default: **false**) */
+  retryNonIdempotentRequests?: boolean;
+}
+
+/** A request to Authress as seen by the {@link HttpInterceptor}. */
+export interface HttpRequest {
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  /** The request body, serialized as JSON before it is sent. */
+  data?: unknown;
+}
+
+/** A response from Authress as seen by the {@link HttpInterceptor}. */
+export interface HttpResponse {
+  url: string;
+  method: string;
+  status: number;
+  headers?: Headers;
+  /** The parsed response body. */
+  data: unknown;
+}
+
+export interface HttpInterceptor {
+  /** Called before the request is sent. Modify the request or return a replacement. Return a response to skip sending the request. */
+  beforeRequest?(request: HttpRequest): void | HttpRequest | HttpResponse | Promise<void | HttpRequest | HttpResponse>;
+  /** Called with every successful response. Modify the response or return a replacement. */
+  afterResponse?(response: HttpResponse, request: HttpRequest): void | HttpResponse | Promise<void | HttpResponse>;
+  /** Called when the request fails, before the failure is logged. Return a response to recover from the error, or return or throw a replacement error. */
+  onError?(error: Error, request: HttpRequest): void | Error | HttpResponse | Promise<void | Error | HttpResponse>;
+}
+
 export interface Settings {
   /** Your Authress custom domain - see https://authress.io/app/#/setup?focus=domain */
   authressApiUrl?: string;
 
   /** The Authress applicationId for this app - see https://authress.io/app/#/manage?focus=applications */
   applicationId: string;
+
+  /** When the custom domain does not match the application domain, the session cannot be continued with cookies. Enable to instead attempt to log the user in silently using a hidden iframe when {@link LoginClient.userSessionExists} is called, for users that logged in before on this device and did not log out. (Default: **false**) */
+  silentAuthentication?: boolean | SilentAuthenticationSettings;
+
+  /** The storage adapter used for all data persisted by the SDK. Storage that does not survive a page navigation, such as the {@link MemoryStorageAdapter}, only works with logins that do not redirect the current page. (Default: **LocalStorageAdapter** when LocalStorage is available, otherwise **MemoryStorageAdapter**) */
+  storage?: StorageAdapter;
+
+  /** Disable synchronizing login, logout, and token refreshes with the other browser tabs of the same origin. (Default: **false**) */
+  skipSessionSynchronization?: boolean;
+
+  /** Renew the user session in the background before the token expires. The renewal is paused while the page is hidden and rechecked as soon as it becomes visible again. (Default: **false**) */
+  automaticTokenRefresh?: boolean | AutomaticTokenRefreshSettings;
+
+  /** Configure how failed requests to Authress are retried. */
+  retryPolicy?: RetryPolicy;
+
+  /** Abort requests to Authress that do not complete within this time. Timed out requests are retried according to the {@link retryPolicy}. (Default: **10000**) */
+  requestTimeoutInMillis?: number;
+
+  /** The fetch implementation used for all network calls, for example a mock in tests, or undici with a custom dispatcher. (Default: **the global fetch**) */
+  fetch?: typeof fetch;
+
+  /** Route the Authress API calls through a proxy. Replaces `{authressApiUrl}/api` with this full url or path on the current origin, such as `/authress-proxy/api`. Paths require a browser, on the server a full url must be used. */
+  apiBasePath?: string;
+
+  /** Middleware for every request to Authress, called in order. Use it to add headers, record metrics, or redact data before failures are logged. */
+  interceptors?: HttpInterceptor[];
+
+  /** Read the endpoints of the custom domain from its `/.well-known/openid-configuration` instead of deriving them from the Authress conventions, see {@link LoginClient.getConfiguration}. (Default: **false**) */
+  discovery?: boolean;
+
+  /** Tokens are considered expired this long before their actual expiry. Expiries are compared to the server time, estimated from the Date header of Authress responses, so that devices with an incorrect clock do not discard valid tokens or keep expired ones. (Default: **10**) */
+  clockSkewLeewayInSeconds?: number;
+
+  /** Verify the signature and the `iss`, `aud`, `nbf`, and `exp` claims of every token using the keys published by the custom domain. Supports ES256, RS256, and EdDSA. Only verified tokens are used for the user identity, and stored tokens that fail verification are removed. (Default: **false**) */
+  verifyTokens?: boolean;
+
+  /** Enables the server side mode for SSR frameworks and Node.js by passing the incoming request. The user session is read from the request cookies, and updated cookies are returned by {@link LoginClient.getSetCookieHeaders} instead of being written to the document. The request cookies can be forged, so their tokens are always verified as with {@link verifyTokens}, and the user identity is only available after `await userSessionExists()`. Create a new client for every request. */
+  request?: ServerRequest;
 }
 
+/** The incoming server request, either a Fetch API Request, a Node.js IncomingMessage, a cookie store such as the Next.js `cookies()`, or the raw Cookie header. */
+export type ServerRequest = string
+  | { headers: { get(name: string): string | null } }
+  | { headers: Record<string, string | string[] | undefined> }
+  | { getAll(): Array<{ name: string; value: string }> };
+
 export interface AuthenticateResponse {
   /** The second step of the authentication flow requires the user to log in with their selected provider. Redirect the user to this location. If you are using a Service Client (sc_clientId) to support a legacy authentication flow as described in https://authress.io/knowledge-base/docs/authentication/connecting-providers-idp/oauth-setup-guide-part-3, this url should match your existing application, and allows following the next step in that guide. If you are not following that guide and just logging the user in, you can ignore this property. */
   authenticationUrl?: string;
+  /** When the `popup` openType is used, the identity of the user that just logged in. */
+  userIdentity?: Record<string, unknown>;
 }
 
 export interface AuthenticationParameters {
@@ -32,6 +192,8 @@ export interface AuthenticationParameters {
   multiAccount?: boolean;
   /** Remove all cookies, LocalStorage, and SessionStorage related data before logging in. In most cases, this helps prevent corrupted browser state from affecting your user's experience. (Default: **true**) */
   clearUserDataBeforeLogin?: boolean;
+  /** Set to `tab` to open the login in a new tab, or `popup` to log the user in using a popup window without leaving the current page. The popup must be opened from a user interaction, such as a click handler, otherwise the browser blocks it and a `PopupBlocked` error is thrown. When the user closes the popup, a `PopupClosed` error is thrown. (Default: **the current window**) */
+  openType?: 'tab' | 'popup';
 }
 
 export interface LinkIdentityParameters {
@@ -64,6 +226,14 @@ export interface TokenParameters {
   timeoutInMillis?: number;
 }
 
+/** Options for the fetch created by {@link LoginClient.createAuthenticatedFetch}. */
+export interface AuthenticatedFetchOptions {
+  /** The origins of your APIs that should receive the token, such as `https://api.example.com`. Requests to any other origin are sent unchanged. (Default: **the origin of the current location**) */
+  allowedOrigins?: string[];
+  /** Timeout waiting for the user token, see {@link LoginClient.ensureToken}. (Default: **5000**) */
+  timeoutInMillis?: number;
+}
+
 /** User credentials from the Authress Credentials Vault. */
 export interface UserCredentials {
   /** User access token generated credentials for the connected provider used to log in */
@@ -76,6 +246,30 @@ export interface Device {
   deviceId: string;
   /** User specified name for this device. */
   name: string;
+  /** The type of the device. */
+  type: DeviceType | null;
+  /** When the device was registered, as an ISO 8601 string. */
+  createdAt: string | null;
+  /** When the device was registered, as returned by Authress. Prefer {@link createdAt}. */
+  createdDate?: string;
+  /** When the device was last used to authenticate, as an ISO 8601 string, or null when it was never used. */
+  lastUsed: string | null;
+  /** Whether the WebAuthn authenticator is built into the device (`platform`) or connected to it, such as a security key (`cross-platform`). */
+  authenticatorAttachment: 'platform' | 'cross-platform' | null;
+  /** The AAGUID identifying the model of the WebAuthn authenticator. */
+  aaguid: string | null;
+  /** The name of the WebAuthn authenticator derived from its AAGUID, such as `iCloud Keychain` or `YubiKey 5`, or null when the authenticator is unknown. */
+  vendorName: string | null;
+}
+
+export interface GetDevicesOptions {
+  /** Throw a `NotLoggedInError`, `HttpError`, or `NetworkError` when the devices cannot be loaded, instead of returning no devices. (Default: **false**) */
+  throwOnError?: boolean;
+}
+
+export interface DeviceUpdate {
+  /** The new name of the device shown to the user in the list of their devices. */
+  name: string;
 }
 
 export interface DeviceRegistrationParameters {
@@ -84,7 +278,51 @@ export interface DeviceRegistrationParameters {
   /** The device type */
   type?: DeviceType;
   /** Device data required for registering a TOTP device */
-  totp?: TotpData;
+  totp?: TotpData | TotpEnrollment;
+  /** The WebAuthn public key algorithms the authenticator may use, in the order of preference. (Default: **ES256 and RS256**) */
+  algorithms?: WebAuthnAlgorithm[];
+  /** Restrict WebAuthn devices to authenticators built into the device, `platform`, or to security keys, `cross-platform`. (Default: **either**) */
+  authenticatorAttachment?: 'platform' | 'cross-platform';
+  /** Whether the WebAuthn authenticator verifies the user, for example with a PIN or biometrics. (Default: **discouraged**) */
+  userVerification?: 'required' | 'preferred' | 'discouraged';
+}
+
+export type WebAuthnAlgorithm = 'EdDSA' | 'ES256' | 'ES384' | 'ES512' | 'PS256' | 'PS384' | 'PS512' | 'RS256' | 'RS384' | 'RS512';
+
+export interface PasskeyRegistrationParameters {
+  /** The user selected name of the device the passkey is stored on. */
+  name?: string;
+}
+
+/** The second factors a step up authentication can use. */
+export type StepUpFactor = 'WebAuthN' | 'TOTP';
+
+export interface StepUpParameters {
+  /** The maximum number of seconds since the user authenticated. (Default: **300**) */
+  maxAge?: number;
+  /** The accepted second factors. (Default: **all factors**) */
+  factors?: StepUpFactor[];
+}
+
+export interface TotpEnrollmentParameters {
+  /** The service name displayed in the authenticator app. (Default: **the custom domain**) */
+  issuer?: string;
+  /** The account displayed in the authenticator app. (Default: **the email of the user**) */
+  accountName?: string;
+  /** The number of 30 second time steps before and after the current one in which codes are also accepted. (Default: **1**) */
+  window?: number;
+}
+
+/** A TOTP secret for the user's authenticator app. Once verified, pass it as the `totp` of {@link LoginClient.registerDevice}. */
+export interface TotpEnrollment extends Omit<TotpData, 'verificationCode'> {
+  /** The base32 encoded secret, for users who cannot scan the QR code. */
+  secret: string;
+  /** The otpauth:// URI to display as a QR code. */
+  uri: string;
+  /** The last code accepted by {@link verify}. */
+  verificationCode: string | null;
+  /** Checks the code displayed by the authenticator app (RFC 6238). */
+  verify(code: string): Promise<boolean>;
 }
 
 export interface TotpData {
@@ -111,6 +349,73 @@ export interface UserConfigurationScreenParameters {
   startPage: UserConfigurationScreen;
 }
 
+/** The base class of all errors thrown by the SDK. */
+export class AuthressError extends Error {
+  constructor(message: string, properties?: { code?: string; status?: number; requestId?: string; cause?: unknown });
+  /** Identifies the failure, such as `NotLoggedIn`, `TokenTimeout`, `InvalidConnection`, or the `errorCode` returned by Authress. */
+  code: string;
+  /** The http status of the failed request, when the failure was caused by a request. */
+  status?: number;
+  /** The request id of the failed Authress request, include it when contacting support. */
+  requestId?: string;
+  /** The original error. */
+  cause?: unknown;
+}
+
+/** Thrown when the operation requires a logged in user. */
+export class NotLoggedInError extends AuthressError {
+  code: 'NotLoggedIn';
+}
+
+/** Thrown by {@link LoginClient.ensureToken} when no token is available before the timeout. */
+export class TokenTimeoutError extends AuthressError {
+  code: 'TokenTimeout';
+}
+
+/** Thrown when Authress could not be reached, even after retrying. The last failure is available as the `cause`. */
+export class NetworkError extends AuthressError {
+  code: 'AuthressSdkNetworkError';
+}
+
+/** Thrown when an Authress API request does not succeed. */
+export class HttpError extends AuthressError {
+  /** The requested url. */
+  url: string;
+  /** The http method of the request. */
+  method: string;
+  /** The parsed response body. */
+  data: unknown;
+  /** The response headers. */
+  headers?: Headers;
+}
+
+/** Thrown when a browser extension interfered with a request to Authress. */
+export class BrowserExtensionError extends AuthressError {
+  code: 'BROWSER_EXTENSION_ERROR';
+  /** The id of the browser extension that caused the failure. */
+  extensionId: string;
+}
+
+/** Session lifecycle events emitted by the {@link LoginClient}. */
+export type SessionEventName = 'login' | 'logout' | 'tokenRefreshed' | 'identityChanged' | 'sessionExpired';
+
+export interface SessionEvent {
+  /** The type of event that occurred. */
+  type: SessionEventName;
+  /** The decoded user identity the event relates to. For `logout` and `sessionExpired` this is the identity of the session that ended. For `identityChanged` this is the new identity, or null when there is no longer a user. */
+  userIdentity: Record<string, unknown> | null;
+}
+
+/** The OpenID configuration of the custom domain. Discovered configurations contain every advertised property. */
+export interface OpenIdConfiguration {
+  issuer: string;
+  authorization_endpoint: string;
+  token_endpoint: string;
+  end_session_endpoint: string;
+  jwks_uri: string;
+  [property: string]: unknown;
+}
+
 export class LoginClient {
   /**
    * @constructor constructs the LoginClient with a given configuration
@@ -120,6 +425,27 @@ export class LoginClient {
   // eslint-disable-next-line @typescript-eslint/explicit-module-boundary-types
   constructor(settings: Settings, logger?: unknown);
 
+  /**
+   * @description Subscribe to session lifecycle events. The listener receives an event containing the `type` and the decoded `userIdentity` the event relates to.
+   * @param {SessionEventName} eventName One of `login`, `logout`, `tokenRefreshed`, `identityChanged`, or `sessionExpired`.
+   * @param {Function} callback The listener to call when the event occurs.
+   * @return {Function} Calling the returned function removes the listener again.
+   */
+  on(eventName: SessionEventName, callback: (event: SessionEvent) => void): () => void;
+
+  /**
+   * @description Remove a listener previously registered with {@link on}. When no callback is specified, all listeners for the event are removed.
+   * @param {SessionEventName} eventName The event the listener was registered for.
+   * @param {Function} [callback] The listener to remove.
+   */
+  off(eventName: SessionEventName, callback?: (event: SessionEvent) => void): void;
+
+  /**
+   * @description Gets the OpenID configuration of the custom domain used by the SDK. With the `discovery` setting it is read from `/.well-known/openid-configuration` once and cached, otherwise, or when it cannot be loaded, the conventional Authress endpoints are returned.
+   * @return {Promise<OpenIdConfiguration>} The configuration.
+   */
+  getConfiguration(): Promise<OpenIdConfiguration>;
+
   /**
    * @description Gets the user's profile data and returns it if it exists. Should be called after {@link userSessionExists} or it will be empty.
    * @return {Object} The user identity which contains a userData object.
@@ -134,9 +460,18 @@ export class LoginClient {
 
   /**
    * @description Fetch the list of the user's MFA devices.
+   * @param {GetDevicesOptions} [options] Throw when the devices cannot be loaded, to tell a failure apart from a user without devices.
    * @return {Promise<Array<Device>>} An array of the user's multifactor devices.
    */
-  getDevices(): Promise<Array<Device>>;
+  getDevices(options?: GetDevicesOptions): Promise<Array<Device>>;
+
+  /**
+   * @description Rename one of the user's MFA devices.
+   * @param {string} deviceId The deviceId of the device to update.
+   * @param {DeviceUpdate} update The new name of the device.
+   * @return {Promise<Device>} The updated device.
+   */
+  updateDevice(deviceId: string, update: DeviceUpdate): Promise<Device>;
 
   /**
    * @description Remove a MFA device from the user's profile
@@ -157,6 +492,27 @@ export class LoginClient {
    */
   registerDevice(settings: DeviceRegistrationParameters): Promise<Device>;
 
+  /**
+   * @description Starts the enrollment of a TOTP authenticator app with a random secret. Show the `uri` as a QR code, ask the user for the code displayed by their app, and call `verify(code)`. Once verified, pass the enrollment as the `totp` of {@link registerDevice}.
+   * @param {TotpEnrollmentParameters} [settings] Configure what the authenticator app displays.
+   * @return {Promise<TotpEnrollment>} The enrollment.
+   */
+  createTotpEnrollment(settings?: TotpEnrollmentParameters): Promise<TotpEnrollment>;
+
+  /**
+   * @description Registers a passkey for the logged in user, a discoverable WebAuthn credential which requires user verification. The SDK does not sign users in with passkeys, Authress does not document an authentication flow that accepts a WebAuthn assertion, so there is no `authenticateWithPasskey()`.
+   * @param {PasskeyRegistrationParameters} [settings] Configuration settings for the passkey registration
+   * @return {Promise<Device>} The registered device.
+   */
+  registerPasskey(settings?: PasskeyRegistrationParameters): Promise<Device>;
+
+  /**
+   * @description Ensures that the user recently authenticated with a second factor before a sensitive action, such as deleting a workspace. When the `auth_time` and `amr` claims of the current token do not satisfy the requirement, the user logs in again in a popup, where the Authress hosted login asks for one of their registered devices. Call it directly from a user interaction, such as a click handler, so that the popup is not blocked.
+   * @param {StepUpParameters} [settings] The requirement the authentication must satisfy.
+   * @return {Promise<string>} The elevated access token, which is also used for the user session from now on. Throws an error with the code `PopupBlocked` when the browser blocked the popup, `StepUpCancelled` when the user closed the popup, `StepUpFailed` when the user logged in again without one of the accepted second factors, or `StepUpUserMismatch` when a different user logged in. The previous session is restored whenever the step up does not succeed.
+   */
+  requireStepUp(settings?: StepUpParameters): Promise<string>;
+
   /**
    * @description Async wait for a user session to exist. Will block until {@link userSessionExists} or {@link authenticate} is called.
    * @return {Promise<void>}
@@ -204,11 +560,29 @@ export class LoginClient {
    */
   ensureToken(settings?: TokenParameters): Promise<string>;
 
+  /**
+   * @description Creates a fetch compatible function that calls your APIs with the user's token. For requests to the allowed origins the token is added as the Authorization Bearer header, and cookies are included when the custom domain matches the application domain. When the API responds with a 401, the user session is renewed and the request is replayed once.
+   * @param {AuthenticatedFetchOptions} [options] Configure which APIs receive the token.
+   * @return {Function} A function with the same signature as `fetch`.
+   */
+  createAuthenticatedFetch(options?: AuthenticatedFetchOptions): (input: RequestInfo, init?: RequestInit) => Promise<Response>;
+
+  /**
+   * @description In server side mode, returns the Set-Cookie headers for the cookies updated while handling the request, such as the access token from a renewed session. Add these to the response so that the browser receives the updated cookies. Outside of server side mode this is always empty.
+   * @return {string[]} The Set-Cookie header values.
+   */
+  getSetCookieHeaders(): string[];
+
   /**
    * @description Log the user out removing the current user's session. If the user is not logged in this has no effect. If the user is logged in via secure session, the the redirect url will be ignored. If the user is logged in without a secure session the user agent will be redirected to the hosted login and then redirected to the {@link redirectUrl}.
    * @param {string} [redirectUrl='window.location.href'] Optional redirect location to return the user to after logout. Will only be used for cross domain sessions.
    */
   logout(redirectUri?: string): Promise<void>;
+
+  /**
+   * @description Stops the background work of the client, the automatic token refresh and the session synchronization with other tabs. Call it before discarding the client, for example when the component that created it unmounts.
+   */
+  dispose(): void;
 }
 
 interface RequestTokenParameters {
@@ -221,14 +595,52 @@ interface TokenResponse {
   accessToken: string;
 }
 
+export interface DeviceUserCode {
+  /** The code the user enters on the verification page */
+  userCode: string;
+  /** The page where the user enters the code to complete the login on another device */
+  verificationUri: string;
+  /** The verification page including the code, for example to display as a QR code, when provided by Authress */
+  verificationUriComplete?: string;
+  /** The number of seconds until the code expires */
+  expiresIn: number;
+}
+
+interface LoginWithDeviceCodeParameters {
+  /** Display the code and the verification page to the user. */
+  onUserCode(userCode: DeviceUserCode): void | Promise<void>;
+}
+
+export interface ExtensionClientOptions {
+  /** The fetch implementation used for all network calls. (Default: **the global fetch**) */
+  fetch?: typeof fetch;
+  /** Route the Authress API calls through a proxy. Replaces `{authressCustomDomain}/api` with this full url or path on the current origin. Paths require a browser, on the server a full url must be used. */
+  apiBasePath?: string;
+  /** Use the authorization and token endpoints advertised by the `/.well-known/openid-configuration` of the custom domain. A configured `apiBasePath` still takes precedence for the token endpoint. (Default: **false**) */
+  discovery?: boolean;
+  /** Tokens are considered expired this long before their actual expiry, which is compared to the server time estimated from Authress responses. (Default: **10**) */
+  clockSkewLeewayInSeconds?: number;
+  /** Where the session is persisted across page reloads, namespaced by the custom domain and the extensionId. (Default: **LocalStorage when available, otherwise memory**) */
+  storage?: StorageAdapter;
+  /** A configured logger object, optionally `console`, which can used to display debug and warning messages. (Default: **nothing is logged**) */
+  logger?: unknown;
+}
+
 export class ExtensionClient {
   /**
    * @constructor constructs an ExtensionClient to be embedded in your platform SDK to enable extension easy login
    * @param {string} authressCustomDomain Your Authress custom domain - see https://authress.io/app/#/manage?focus=domain
    * @param {string} extensionId The platform extensionId for this app - see https://authress.io/app/#/manage?focus=extensions
+   * @param {ExtensionClientOptions} [options] Configure how the network calls are made.
    */
   // eslint-disable-next-line @typescript-eslint/explicit-module-boundary-types
-  constructor(authressCustomDomain: string, extensionId: string);
+  constructor(authressCustomDomain: string, extensionId: string, options?: ExtensionClientOptions);
+
+  /**
+   * @description Gets the OpenID configuration of the custom domain used by the client. With the `discovery` option it is read from `/.well-known/openid-configuration` once and cached, otherwise, or when it cannot be loaded, the conventional Authress endpoints are returned.
+   * @return {Promise<OpenIdConfiguration>} The configuration.
+   */
+  getConfiguration(): Promise<OpenIdConfiguration>;
 
   /**
    * @description Gets the user's profile data and returns it if it exists. Should be called after {@link userSessionExists} or it will be empty.
@@ -243,9 +655,21 @@ export class ExtensionClient {
   requestToken(options?: RequestTokenParameters): Promise<TokenResponse>;
 
   /**
-      * @description Logs a user in, if the user is logged in, will return the token response, if the user is not logged in, will redirect the user to their selected connection/provider and then redirect back to the {@link redirectUrl}.
+      * @description Logs a user in, if the user is logged in, will return the token response, renewing an expired token with the stored refresh token, if the user is not logged in, will redirect the user to their selected connection/provider and then redirect back to the {@link redirectUrl}.
    * @param {String} [redirectUrl=${window.location.href}] Specify where the provider should redirect to the user to in your application. If not specified, the default is the current location href. Must be a valid redirect url matching what is defined in the application in the Authress Management portal. Only used if the user is not logged in.
    * @return {Promise<TokenResponse>} Returns the token if the user is logged in otherwise redirects the user
    */
   login(redirectUrl?: string): Promise<TokenResponse>;
+
+  /**
+   * @description Logs a user in on devices that cannot redirect to the login page, such as CLIs and TVs, using the OAuth device authorization grant (RFC 8628). The user completes the login on another device with the displayed code, while this method waits for the login to complete. Also available in Node.js.
+   * @param {LoginWithDeviceCodeParameters} options Display the user code with `onUserCode`.
+   * @return {Promise<TokenResponse>} Returns the token once the user completed the login. Throws an error with the code `InvalidConfiguration` when the `/.well-known/openid-configuration` of the custom domain does not advertise a `device_authorization_endpoint`, `AccessDenied` when the user denied the login, and `DeviceCodeExpired` when the code expired first.
+   */
+  loginWithDeviceCode(options: LoginWithDeviceCodeParameters): Promise<TokenResponse>;
+
+  /**
+   * @description Logs the user out of the extension by removing the session from memory and from the storage. The next call to {@link login} redirects the user to log in again.
+   */
+  logout(): Promise<void>;
 }
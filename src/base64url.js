@@ -30,3 +30,7 @@ module.exports.encode = function encode(str) {
   .replace(/\+/g, '-')
   .replace(/=+$/, '');
 };
+
+module.exports.decodeToBytes = function decodeToBytes(str) {
+  return Uint8Array.from(atob(str.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+};
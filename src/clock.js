@@ -0,0 +1,44 @@
+// The Date header only has a resolution of seconds, smaller differences cannot be distinguished from the request latency.
+const MinimumOffsetInMillis = 1000;
+
+class Clock {
+  constructor() {
+    this.offsetInMillis = 0;
+  }
+
+  /**
+   * @description The current time of the Authress servers, estimated from the device clock and the offset measured from the Date header of responses.
+   * @return {Number} Milliseconds since the epoch.
+   */
+  now() {
+    return Date.now() + this.offsetInMillis;
+  }
+
+  // Browsers expire cookies according to the device clock, so server times must be converted before they are used as a cookie expiry.
+  toLocalTime(serverTimeInMillis) {
+    return serverTimeInMillis - this.offsetInMillis;
+  }
+
+  /**
+   * @description Updates the offset between the device clock and the server clock.
+   * @param {String} dateHeader The Date header of the response. Cross origin responses only expose it when it is included in the Access-Control-Expose-Headers.
+   * @param {Number} requestSentAt The device time the request was sent.
+   * @param {Number} responseReceivedAt The device time the response was received.
+   */
+  synchronize(dateHeader, requestSentAt, responseReceivedAt) {
+    const serverTime = dateHeader ? Date.parse(dateHeader) : NaN;
+    if (Number.isNaN(serverTime)) {
+      return;
+    }
+
+    // The server time was truncated to the second somewhere between sending the request and receiving the response.
+    const estimatedOffset = serverTime + 500 - (requestSentAt + responseReceivedAt) / 2;
+    this.offsetInMillis = Math.abs(estimatedOffset) < MinimumOffsetInMillis ? 0 : Math.round(estimatedOffset);
+  }
+
+  reset() {
+    this.offsetInMillis = 0;
+  }
+}
+
+module.exports = new Clock();
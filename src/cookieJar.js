@@ -0,0 +1,185 @@
+const cookieManager = require('cookie');
+
+function decodeCookieValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+class BrowserCookieJar {
+  get(name) {
+    if (typeof document === 'undefined') {
+      return null;
+    }
+    // Cookies with the same name can exist for multiple domains and paths, skip the empty ones when fetching.
+    const value = document.cookie.split(';').map(c => c.trim()).filter(c => c.split('=')[0] === name).map(c => c.slice(name.length + 1)).find(c => c && c.trim());
+    return value ? decodeCookieValue(value) : null;
+  }
+
+  getAll() {
+    if (typeof document === 'undefined') {
+      return {};
+    }
+    return cookieManager.parse(document.cookie);
+  }
+
+  set(name, value, options) {
+    if (typeof document === 'undefined') {
+      return;
+    }
+    document.cookie = cookieManager.serialize(name, value, options);
+  }
+
+  remove(name) {
+    if (typeof window === 'undefined' || typeof document === 'undefined') {
+      return;
+    }
+
+    const domainParts = window.location.hostname.split('.');
+
+    const domainsToRemove = [...Array(domainParts.length - 1)].map((_, partLength) => domainParts.reverse().slice(0, partLength + 2).reverse().join('.')).map(domain => [domain, `.${domain}`]).flat(1).concat(null);
+
+    if (window.location.hostname === 'localhost') {
+      domainsToRemove.push('localhost');
+    }
+
+    // We will also clear cookies associated with localhost, but of course we don't need to clear domain cookies for the TLD, because parts like .com don't have cookies.
+    // * So instead we loop on domain parts more than just a single part.
+    for (const domain of domainsToRemove) {
+      const domainString = domain ? `domain=${domain};` : '';
+      const cookieBase = `${encodeURIComponent(name)}=; expires=Thu, 01-Jan-1970 00:00:01 GMT; ${domainString} SameSite=Strict; path=`;
+      document.cookie = `${cookieBase}/`;
+
+      // Also update all the paths as well
+      const path = location.pathname.split('/');
+      while (path.length > 0) {
+        document.cookie = cookieBase + path.join('/');
+        path.pop();
+      }
+    }
+  }
+
+  // The browser attaches the cookies to requests itself.
+  getRequestCookieHeader() {
+    return null;
+  }
+
+  getSetCookieHeaders() {
+    return [];
+  }
+}
+
+function getCookieHeader(request) {
+  if (!request) {
+    return '';
+  }
+
+  if (typeof request === 'string') {
+    return request;
+  }
+
+  // Cookie stores such as the Next.js `cookies()` expose the parsed cookies directly.
+  if (typeof request.getAll === 'function') {
+    return request.getAll().map(cookie => `${cookie.name}=${encodeURIComponent(cookie.value)}`).join('; ');
+  }
+
+  const headers = request.headers || {};
+  if (typeof headers.get === 'function') {
+    return headers.get('cookie') || '';
+  }
+  return headers.cookie || headers.Cookie || '';
+}
+
+class ServerCookieJar {
+  /**
+   * @constructor Reads the cookies of an incoming server request and records the cookies that should be set on the response.
+   * @param {Object|String} request A Fetch API Request, a Node.js IncomingMessage, a cookie store with `getAll()`, or the raw Cookie header.
+   */
+  constructor(request) {
+    this.cookies = cookieManager.parse(getCookieHeader(request));
+    this.setCookieHeaders = [];
+  }
+
+  get(name) {
+    return Object.hasOwnProperty.call(this.cookies, name) && this.cookies[name] ? this.cookies[name] : null;
+  }
+
+  getAll() {
+    return Object.assign({}, this.cookies);
+  }
+
+  set(name, value, options) {
+    this.cookies[name] = value;
+    this.setCookieHeaders.push(cookieManager.serialize(name, value, options));
+  }
+
+  remove(name) {
+    delete this.cookies[name];
+    this.setCookieHeaders.push(cookieManager.serialize(name, '', { expires: new Date(0), path: '/', sameSite: 'strict' }));
+  }
+
+  getRequestCookieHeader() {
+    return Object.keys(this.cookies).map(name => `${name}=${encodeURIComponent(this.cookies[name])}`).join('; ') || null;
+  }
+
+  getSetCookieHeaders() {
+    return this.setCookieHeaders.slice();
+  }
+}
+
+const SessionTokenCookieNames = ['authorization', 'user'];
+const SessionCookieNames = ['auth-code', 'AuthUserId'];
+
+class ClientCookieJar {
+  /**
+   * @constructor Restricts a cookie jar to the session cookies of a single LoginClient.
+   * @description The cookie names are shared by every client on the page, so the session tokens of another custom domain or application are neither read nor removed.
+   * @param {Object} cookieJar The cookie jar that stores the cookies.
+   * @param {Function} isOwnToken Returns whether the client owns the session token stored in a cookie.
+   */
+  constructor(cookieJar, isOwnToken) {
+    this.cookieJar = cookieJar;
+    this.isOwnToken = isOwnToken;
+  }
+
+  isForeignCookie(name, value) {
+    return SessionTokenCookieNames.includes(name) && !!value && !this.isOwnToken(value);
+  }
+
+  get(name) {
+    const value = this.cookieJar.get(name);
+    return this.isForeignCookie(name, value) ? null : value;
+  }
+
+  getAll() {
+    const cookies = this.cookieJar.getAll();
+    return Object.keys(cookies).filter(name => !this.isForeignCookie(name, cookies[name])).reduce((acc, name) => Object.assign(acc, { [name]: cookies[name] }), {});
+  }
+
+  set(name, value, options) {
+    this.cookieJar.set(name, value, options);
+  }
+
+  remove(name) {
+    if (this.isForeignCookie(name, this.cookieJar.get(name))) {
+      return;
+    }
+    // The remaining session cookies cannot be attributed to a client, they are kept while another client still has a session.
+    if (SessionCookieNames.includes(name) && SessionTokenCookieNames.some(tokenCookieName => this.isForeignCookie(tokenCookieName, this.cookieJar.get(tokenCookieName)))) {
+      return;
+    }
+    this.cookieJar.remove(name);
+  }
+
+  getRequestCookieHeader() {
+    return this.cookieJar.getRequestCookieHeader();
+  }
+
+  getSetCookieHeaders() {
+    return this.cookieJar.getSetCookieHeaders();
+  }
+}
+
+module.exports = { BrowserCookieJar, ServerCookieJar, ClientCookieJar };
@@ -0,0 +1,79 @@
+/**
+ * All errors thrown by the SDK extend the AuthressError. Every error carries a `code` to identify the failure, and when available the http `status`, the `requestId` of the Authress request, and the original `cause`.
+ */
+
+class AuthressError extends Error {
+  /**
+   * @constructor
+   * @param {String} message Human readable description of the failure.
+   * @param {Object} [properties]
+   * @param {String} [properties.code] Identifies the failure.
+   * @param {Number} [properties.status] The http status of the failed request.
+   * @param {String} [properties.requestId] The request id of the failed Authress request.
+   * @param {Error|Object} [properties.cause] The original error.
+   */
+  constructor(message, properties) {
+    super(message);
+    const { code, status, requestId, cause } = properties || {};
+    this.name = 'AuthressError';
+    this.code = code || 'AuthressError';
+    this.status = status;
+    this.requestId = requestId;
+    this.cause = cause;
+  }
+}
+
+class NotLoggedInError extends AuthressError {
+  constructor(message) {
+    super(message || 'User must be logged in.', { code: 'NotLoggedIn' });
+    this.name = 'NotLoggedInError';
+  }
+}
+
+class TokenTimeoutError extends AuthressError {
+  constructor(message) {
+    super(message || 'No token retrieved after timeout', { code: 'TokenTimeout' });
+    this.name = 'TokenTimeoutError';
+  }
+}
+
+class NetworkError extends AuthressError {
+  constructor(message, cause) {
+    super(message, { code: 'AuthressSdkNetworkError', status: cause && cause.status, requestId: cause && cause.requestId, cause });
+    this.name = 'NetworkError';
+  }
+}
+
+class HttpError extends AuthressError {
+  /**
+   * @constructor Thrown when an Authress API request does not succeed.
+   * @param {Object} response
+   * @param {String} response.url The requested url.
+   * @param {String} response.method The http method of the request.
+   * @param {Number} [response.status] The response status, missing when no response was received.
+   * @param {Object|String} [response.data] The parsed response body.
+   * @param {Headers} [response.headers] The response headers.
+   * @param {Error|Object} [cause] The original error.
+   */
+  constructor(response, cause) {
+    const { url, method, status, data, headers } = response;
+    const requestId = headers && typeof headers.get === 'function' && headers.get('X-Request-Id') || undefined;
+    const title = data && typeof data === 'object' && (data.title || data.errorCode);
+    super(title || `[Authress Login SDK] ${method} ${url} failed${status ? ` with status ${status}` : ''}`, { code: data && data.errorCode || 'HttpError', status, requestId, cause });
+    this.name = 'HttpError';
+    this.url = url;
+    this.method = method;
+    this.data = data;
+    this.headers = headers;
+  }
+}
+
+class BrowserExtensionError extends AuthressError {
+  constructor(extensionErrorId, cause) {
+    super(`Extension Error ID: ${extensionErrorId}`, { code: 'BROWSER_EXTENSION_ERROR', cause });
+    this.name = 'BrowserExtensionError';
+    this.extensionId = extensionErrorId;
+  }
+}
+
+module.exports = { AuthressError, NotLoggedInError, TokenTimeoutError, NetworkError, HttpError, BrowserExtensionError };
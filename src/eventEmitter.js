@@ -0,0 +1,44 @@
+const { AuthressError } = require('./errors');
+
+const SessionEvents = ['login', 'logout', 'tokenRefreshed', 'identityChanged', 'sessionExpired'];
+
+class EventEmitter {
+  constructor(logger) {
+    this.logger = logger;
+    this.listeners = {};
+  }
+
+  on(eventName, callback) {
+    if (!SessionEvents.includes(eventName)) {
+      throw new AuthressError(`Event "${eventName}" is not a valid event. Valid events are: ${SessionEvents.join(', ')}.`, { code: 'InvalidEvent' });
+    }
+
+    if (typeof callback !== 'function') {
+      throw new AuthressError(`Event listener for "${eventName}" must be a function.`, { code: 'InvalidInput' });
+    }
+
+    this.listeners[eventName] = (this.listeners[eventName] || []).concat(callback);
+  }
+
+  off(eventName, callback) {
+    if (!this.listeners[eventName]) {
+      return;
+    }
+
+    this.listeners[eventName] = callback ? this.listeners[eventName].filter(listener => listener !== callback) : [];
+  }
+
+  emit(eventName, event) {
+    for (const listener of this.listeners[eventName] || []) {
+      // A failing listener must never break the session flow of the SDK or prevent other listeners from being called.
+      try {
+        listener(event);
+      } catch (error) {
+        this.logger && this.logger.warn && this.logger.warn({ title: `[Authress Login SDK] Event listener for "${eventName}" threw an error`, error });
+      }
+    }
+  }
+}
+
+module.exports = EventEmitter;
+module.exports.SessionEvents = SessionEvents;
@@ -1,30 +1,61 @@
 const jwtManager = require('./jwtManager');
+const clock = require('./clock');
 const { sanitizeUrl } = require('./util');
 const windowManager = require('./windowManager');
+const HttpClient = require('./httpClient');
+const OpenIdConfiguration = require('./openIdConfiguration');
+const { isStorageAdapter, createDefaultStorageAdapter } = require('./storageAdapters');
+const { AuthressError } = require('./errors');
 
 const AuthenticationRequestNonceKey = 'ExtensionRequestNonce';
-
-let userSessionSequencePromise = null;
+const TokenResponseKey = 'ExtensionTokenResponse';
+const DeviceCodeGrantType = 'urn:ietf:params:oauth:grant-type:device_code';
+const AuthressTokenEndpoint = '/authentication/oauth/tokens';
 
 class ExtensionClient {
   /**
    * @constructor constructs an ExtensionClient to be embedded in your platform SDK to enable extension easy login
    * @param {string} authressCustomDomain Your Authress custom domain - see https://authress.io/app/#/manage?focus=domain
    * @param {string} extensionId The platform extensionId for this app - see https://authress.io/app/#/manage?focus=extensions
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] The fetch implementation used for all network calls, defaults to the global fetch.
+   * @param {String} [options.apiBasePath] Route the Authress API calls through a proxy, replacing `${authressCustomDomain}/api` with this full url or path on the current origin. Paths require a browser, on the server a full url must be used.
+   * @param {Boolean} [options.discovery=false] Use the authorization and token endpoints advertised by the `/.well-known/openid-configuration` of the custom domain, see {@link getConfiguration}.
+   * @param {Number} [options.clockSkewLeewayInSeconds=10] Tokens are considered expired this long before their actual expiry, which is compared to the server time estimated from Authress responses.
+   * @param {Object} [options.storage] A storage adapter implementing `get(key)`, `set(key, value)`, and `remove(key)`, each optionally async, used to persist the session across page reloads. Defaults to LocalStorage when available, otherwise memory.
+   * @param {Object} [options.logger] A configured logger object, optionally `console`, which can used to display debug and warning messages. Nothing is logged by default.
    */
-  constructor(authressCustomDomain, extensionId) {
+  constructor(authressCustomDomain, extensionId, options) {
     this.extensionId = extensionId;
 
     if (!authressCustomDomain) {
-      throw Error('Missing required property "authressCustomDomain" in ExtensionClient constructor. The Custom Authress Domain Host is required.');
+      throw new AuthressError('Missing required property "authressCustomDomain" in ExtensionClient constructor. The Custom Authress Domain Host is required.', { code: 'InvalidConfiguration' });
     }
 
     if (!extensionId) {
-      throw Error('Missing required property "extensionId" in ExtensionClient constructor. The extension is required for selecting the correct login method.');
+      throw new AuthressError('Missing required property "extensionId" in ExtensionClient constructor. The extension is required for selecting the correct login method.', { code: 'InvalidConfiguration' });
+    }
+
+    if (options && options.storage && !isStorageAdapter(options.storage)) {
+      throw new AuthressError('The "storage" option in the ExtensionClient constructor must be a storage adapter implementing get(key), set(key, value), and remove(key).', { code: 'InvalidStorage' });
     }
 
     this.authressCustomDomain = sanitizeUrl(authressCustomDomain);
+    this.logger = options && options.logger || null;
+    this.httpClient = new HttpClient(this.authressCustomDomain, this.logger, { fetch: options && options.fetch, apiBasePath: options && options.apiBasePath });
+    this.clockSkewLeewayInSeconds = options && options.clockSkewLeewayInSeconds;
+    this.discovery = !!(options && options.discovery);
+    this.apiBasePath = options && options.apiBasePath;
+    this.openIdConfiguration = new OpenIdConfiguration(this.authressCustomDomain, this.httpClient.fetch);
+    this.storage = options && options.storage || createDefaultStorageAdapter();
     this.accessToken = null;
+    this.refreshToken = null;
+    this.userSessionSequencePromise = null;
+    this.refreshTokenPromise = null;
+    const storageNamespace = `${new URL(this.authressCustomDomain).host}:${this.extensionId}`;
+    this.authenticationRequestNonceKey = `${AuthenticationRequestNonceKey}:${storageNamespace}`;
+    this.tokenResponseKey = `${TokenResponseKey}:${storageNamespace}`;
+    this.storedTokensPromise = this.loadStoredTokens();
 
     windowManager.onLoad(async () => {
       await this.requestToken({ silent: true });
@@ -36,12 +67,13 @@ class ExtensionClient {
    * @return {Promise<Record<string, unknown>>} The user data object.
    */
   async getUserIdentity() {
-    const userData = this.accessToken && await jwtManager.decode(this.accessToken);
+    await this.storedTokensPromise;
+    const userData = this.accessToken && await jwtManager.decode(this.accessToken, this.clockSkewLeewayInSeconds);
     if (!userData) {
       return null;
     }
 
-    if (userData.exp * 1000 < Date.now()) {
+    if (userData.exp * 1000 < clock.now()) {
       this.accessToken = null;
       return null;
     }
@@ -49,8 +81,25 @@ class ExtensionClient {
     return userData;
   }
 
+  /**
+   * @description Gets the OpenID configuration of the custom domain used by the client. With the `discovery` option it is read from `/.well-known/openid-configuration` once and cached, otherwise, or when it cannot be loaded, the conventional Authress endpoints are returned.
+   * @return {Promise<OpenIdConfiguration>} The configuration including the `issuer`, `authorization_endpoint`, `token_endpoint`, `end_session_endpoint`, and `jwks_uri`.
+   */
+  async getConfiguration() {
+    if (!this.discovery) {
+      return this.openIdConfiguration.getConventionalConfiguration();
+    }
+
+    try {
+      return await this.openIdConfiguration.discover();
+    } catch (error) {
+      this.logger && this.logger.warn && this.logger.warn({ title: '[Authress Login SDK] Failed to discover the OpenID configuration, using the conventional endpoints instead', error });
+      return this.openIdConfiguration.getConventionalConfiguration();
+    }
+  }
+
   async getTokenResponse() {
-    const isLoggedIn = await this.getUserIdentity();
+    const isLoggedIn = await this.getUserIdentity() || await this.refreshAccessToken();
     if (!isLoggedIn) {
       return null;
     }
@@ -58,50 +107,129 @@ class ExtensionClient {
     return { accessToken: this.accessToken };
   }
 
+  async getTokenEndpoint() {
+    // A proxy configured with the apiBasePath takes precedence over the advertised token endpoint.
+    return this.discovery && !this.apiBasePath ? (await this.getConfiguration()).token_endpoint : AuthressTokenEndpoint;
+  }
+
+  async loadStoredTokens() {
+    try {
+      const tokenResponse = JSON.parse(await this.storage.get(this.tokenResponseKey) || '{}');
+      this.accessToken = tokenResponse.access_token || null;
+      this.refreshToken = tokenResponse.refresh_token || null;
+    } catch (error) {
+      this.logger && this.logger.warn && this.logger.warn({ title: '[Authress Login SDK] Failed to load the stored session', error });
+    }
+  }
+
+  async storeTokens(tokenResponse) {
+    await this.storedTokensPromise;
+    this.accessToken = tokenResponse.access_token;
+    // Refresh tokens are rotated, so every response replaces the previous one. Responses without one keep using the current refresh token.
+    this.refreshToken = tokenResponse.refresh_token || this.refreshToken;
+    try {
+      await this.storage.set(this.tokenResponseKey, JSON.stringify({ access_token: this.accessToken, refresh_token: this.refreshToken }));
+    } catch (error) {
+      this.logger && this.logger.warn && this.logger.warn({ title: '[Authress Login SDK] Failed to store the session, the user will need to log in again after the page is reloaded', error });
+    }
+  }
+
+  async clearTokens() {
+    await this.storedTokensPromise;
+    this.accessToken = null;
+    this.refreshToken = null;
+    try {
+      await this.storage.remove(this.tokenResponseKey);
+    } catch (error) {
+      this.logger && this.logger.warn && this.logger.warn({ title: '[Authress Login SDK] Failed to remove the stored session', error });
+    }
+  }
+
+  /**
+   * @description Exchanges the stored refresh token for a new access token and the rotated refresh token. Concurrent calls share the same request, because using a refresh token twice revokes the session.
+   * @return {Promise<Boolean>} Whether a new access token was received.
+   */
+  refreshAccessToken() {
+    if (!this.refreshTokenPromise) {
+      this.refreshTokenPromise = this.refreshAccessTokenContinuation().finally(() => {
+        this.refreshTokenPromise = null;
+      });
+    }
+    return this.refreshTokenPromise;
+  }
+
+  async refreshAccessTokenContinuation() {
+    await this.storedTokensPromise;
+    // Other clients sharing the storage, such as other tabs, rotate the refresh token as well, so the latest stored session is used instead of the one loaded when this client was created.
+    await this.loadStoredTokens();
+    if (await this.getUserIdentity()) {
+      return true;
+    }
+
+    const refreshToken = this.refreshToken;
+    if (!refreshToken) {
+      return false;
+    }
+
+    let result;
+    try {
+      result = await this.httpClient.post(await this.getTokenEndpoint(), false, {
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: this.extensionId
+      }, null, true);
+    } catch (error) {
+      // The refresh token was already used, revoked, or expired. When a reused token is detected the whole session is revoked, so no stored token can be used anymore.
+      if (error.status >= 400 && error.status < 500 && error.data && error.data.error === 'invalid_grant' && this.refreshToken === refreshToken) {
+        await this.clearTokens();
+      }
+      return false;
+    }
+
+    // The user logged out or in again while the token was being renewed.
+    if (this.refreshToken !== refreshToken) {
+      return false;
+    }
+    await this.storeTokens(result.data);
+
+    return !!await this.getUserIdentity();
+  }
+
   /**
    * @description When a platform extension attempts to log a user in, the Authress Login page will redirect to your Platform defaultAuthenticationUrl. At this point, show the user the login screen, and then pass the results of the login to this method.
    * @param {String} [options.code] The redirect to your login screen will contain two query parameters `state` and `flow`. Pass the state into this method.
    * @return {Promise<TokenResponse>} Returns the token if the user is logged in otherwise redirects the user
    */
   requestToken(options = { code: null, silent: false }) {
-    if (userSessionSequencePromise) {
-      return userSessionSequencePromise = userSessionSequencePromise
+    if (this.userSessionSequencePromise) {
+      return this.userSessionSequencePromise = this.userSessionSequencePromise
       .catch(() => { /* ignore since we always want to continue even after a failure */ })
       .then(() => this.requestTokenContinuation(options));
     }
     const nextContinuation = this.requestTokenContinuation(options);
     nextContinuation.catch(() => { /* This prevents an uncaught promise rejection in the running process */ });
-    return userSessionSequencePromise = nextContinuation;
+    return this.userSessionSequencePromise = nextContinuation;
   }
 
   async requestTokenContinuation(options = { code: null, silent: false }) {
     const code = options && options.code || new URLSearchParams(windowManager.getCurrentLocation().search).get('code');
     if (!code) {
       if (!options || !options.silent) {
-        const e = Error('OAuth Authorization code is required');
-        e.code = 'InvalidAuthorizationCode';
-        throw e;
+        throw new AuthressError('OAuth Authorization code is required', { code: 'InvalidAuthorizationCode' });
       }
       return this.getTokenResponse();
     }
 
-    const url = new URL(this.authressCustomDomain);
-    url.pathname = '/api/authentication/oauth/tokens';
-    const { codeVerifier, redirectUrl } = JSON.parse(localStorage.getItem(AuthenticationRequestNonceKey) || '{}');
-    const result = await fetch(url.toString(), {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        code_verifier: codeVerifier,
-        code,
-        grant_type: 'authorization_code',
-        client_id: this.extensionId,
-        redirect_uri: redirectUrl
-      })
+    const { codeVerifier, redirectUrl } = JSON.parse(await this.storage.get(this.authenticationRequestNonceKey) || '{}');
+    const result = await this.httpClient.post(await this.getTokenEndpoint(), false, {
+      code_verifier: codeVerifier,
+      code,
+      grant_type: 'authorization_code',
+      client_id: this.extensionId,
+      redirect_uri: redirectUrl
     });
 
-    const tokenResponse = await result.json();
-    this.accessToken = tokenResponse.access_token;
+    await this.storeTokens(result.data);
 
     const newUrl = new URL(windowManager.getCurrentLocation());
     newUrl.searchParams.delete('code');
@@ -129,12 +257,12 @@ class ExtensionClient {
     if (completeLoginResult) {
       return completeLoginResult;
     }
-    const url = new URL(this.authressCustomDomain);
+    const url = new URL((await this.getConfiguration()).authorization_endpoint);
 
     const { codeVerifier, codeChallenge } = jwtManager.getAuthCodes();
 
     const redirectUrl = redirectUrlOverride || windowManager.getCurrentLocation().href;
-    localStorage.setItem(AuthenticationRequestNonceKey, JSON.stringify({ codeVerifier, redirectUrl }));
+    await this.storage.set(this.authenticationRequestNonceKey, JSON.stringify({ codeVerifier, redirectUrl }));
     url.searchParams.set('client_id', this.extensionId);
     url.searchParams.set('code_challenge', codeChallenge);
     url.searchParams.set('code_challenge_method', 'S256');
@@ -142,9 +270,70 @@ class ExtensionClient {
     windowManager.assign(url.toString());
 
     // Prevent the current UI from taking any action once we decided we need to log in.
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    await windowManager.waitForNavigation(5000);
     return null;
   }
+
+  /**
+   * @description Logs a user in on devices that cannot redirect to the login page, such as CLIs and TVs, using the OAuth device authorization grant (RFC 8628). The user completes the login on another device with the displayed code, while this method waits for the login to complete.
+   * @param {Object} options
+   * @param {Function} options.onUserCode Called with the `userCode`, `verificationUri`, `verificationUriComplete`, and `expiresIn` to display to the user.
+   * @return {Promise<TokenResponse>} Returns the token once the user completed the login.
+   * @throws {AuthressError} With the code `InvalidConfiguration` when the `/.well-known/openid-configuration` of the custom domain does not advertise a `device_authorization_endpoint`.
+   */
+  async loginWithDeviceCode(options) {
+    if (!options || typeof options.onUserCode !== 'function') {
+      throw new AuthressError('Missing required property "onUserCode" in loginWithDeviceCode(). The user code must be displayed to the user to complete the login.', { code: 'InvalidConfiguration' });
+    }
+
+    // There is no conventional device authorization endpoint, it is only available when the custom domain advertises it.
+    const { device_authorization_endpoint: deviceAuthorizationEndpoint } = await this.openIdConfiguration.discover();
+    if (!deviceAuthorizationEndpoint) {
+      throw new AuthressError('The custom domain does not advertise a "device_authorization_endpoint" in its /.well-known/openid-configuration, so the device authorization grant is not available.', { code: 'InvalidConfiguration' });
+    }
+    // RFC 8628 requires form encoded requests, only the Authress token endpoint also documents JSON bodies.
+    const deviceAuthorizationResult = await this.httpClient.post(deviceAuthorizationEndpoint, false, new URLSearchParams({ client_id: this.extensionId }));
+    const { device_code: deviceCode, user_code: userCode, verification_uri: verificationUri, expires_in: expiresIn } = deviceAuthorizationResult.data;
+    await options.onUserCode({ userCode, verificationUri, verificationUriComplete: deviceAuthorizationResult.data.verification_uri_complete, expiresIn });
+
+    const tokenEndpoint = await this.getTokenEndpoint();
+    const tokenRequest = { grant_type: DeviceCodeGrantType, device_code: deviceCode, client_id: this.extensionId };
+    const tokenRequestBody = tokenEndpoint === AuthressTokenEndpoint ? tokenRequest : new URLSearchParams(tokenRequest);
+    const expiresAt = Date.now() + (expiresIn || 600) * 1000;
+    // Authress returns how often the token endpoint may be polled, the RFC default is 5 seconds.
+    let intervalInSeconds = deviceAuthorizationResult.data.interval || 5;
+    for (;;) {
+      const delayInMillis = intervalInSeconds * 1000;
+      await new Promise(resolve => setTimeout(resolve, delayInMillis));
+      if (Date.now() >= expiresAt) {
+        throw new AuthressError('The device code expired before the user completed the login.', { code: 'DeviceCodeExpired' });
+      }
+
+      try {
+        const result = await this.httpClient.post(tokenEndpoint, false, tokenRequestBody, null, true);
+        await this.storeTokens(result.data);
+        return this.getTokenResponse();
+      } catch (error) {
+        const errorCode = error.status >= 400 && error.status < 500 && error.data && error.data.error;
+        if (errorCode === 'slow_down') {
+          intervalInSeconds += 5;
+        } else if (errorCode === 'expired_token') {
+          throw new AuthressError('The device code expired before the user completed the login.', { code: 'DeviceCodeExpired', cause: error });
+        } else if (errorCode === 'access_denied') {
+          throw new AuthressError('The user denied the login request.', { code: 'AccessDenied', cause: error });
+        } else if (errorCode !== 'authorization_pending') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * @description Logs the user out of the extension by removing the session from memory and from the storage. The next call to {@link login} redirects the user to log in again.
+   */
+  async logout() {
+    await this.clearTokens();
+  }
 }
 
 module.exports = ExtensionClient;
@@ -1,5 +1,7 @@
 const { sanitizeUrl } = require('./util');
 const windowManager = require('./windowManager');
+const clock = require('./clock');
+const { AuthressError, NetworkError, HttpError, BrowserExtensionError } = require('./errors');
 const packageInfo = require('../package.json');
 
 const defaultHeaders = {
@@ -17,94 +19,217 @@ const errorMessages = new Set([
   '<HTML DOCUMENT></HTML>' // Handle some HTML error page responses as well, or sometimes CDN is having problems, if the response includes an HTML Document, then for sure there was an issue
 ]);
 
+// Failures without a response from Authress, these are always safe to retry for idempotent requests.
 function isNetworkError(error) {
-  return error.message === 'Network Error' || error.code === 'ERR_NETWORK' || !error.status || error.status >= 500
+  return error.message === 'Network Error' || error.code === 'ERR_NETWORK' || !error.status
     || typeof error.message === 'string' && errorMessages.has(error.message)
     || typeof error.data === 'string' && errorMessages.has(error.data);
 }
 
-async function retryExecutor(func) {
-  let lastNetworkError = null;
-  for (let iteration = 0; iteration < 5; iteration++) {
-    try {
-      const result = await func();
-      return result;
-    } catch (error) {
-      error.retryCount = iteration;
+function isAbsoluteUrl(url) {
+  try {
+    return !!new URL(url);
+  } catch (error) {
+    return false;
+  }
+}
 
-      if (!isNetworkError(error)) {
-        throw error;
-      }
-      
-      lastNetworkError = error;
-      lastNetworkError.isNetworkError = true;
-      await new Promise(resolve => setTimeout(resolve, 10 * 2 ** iteration));
-      continue;
-    }
+function getRetryAfterInMillis(error) {
+  const retryAfter = error.headers && typeof error.headers.get === 'function' && error.headers.get('Retry-After');
+  if (!retryAfter) {
+    return null;
   }
 
-  const customError = new Error('[Authress Login SDK] Http Request failed due to a Network Error even after multiple retries', { cause: lastNetworkError });
-  customError.code = 'AuthressSdkNetworkError';
-  throw customError;
+  // Retry-After is either the number of seconds to wait or an http date.
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(date - clock.now(), 0);
 }
 
+const defaultRetryPolicy = {
+  maxAttempts: 5,
+  baseDelayInMillis: 10,
+  maxDelayInMillis: 5000,
+  jitter: true,
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+  retryNonIdempotentRequests: false
+};
+
 class HttpClient {
-  constructor(authressLoginCustomDomain, overrideLogger) {
+  /**
+   * @constructor
+   * @param {String} authressLoginCustomDomain The Authress custom domain.
+   * @param {Object} [overrideLogger] a configured logger object.
+   * @param {Object} [options]
+   * @param {Object} [options.retryPolicy] Overrides for the retry policy, see {@link defaultRetryPolicy}.
+   * @param {Number} [options.timeoutInMillis=10000] Abort requests that do not complete within this time.
+   * @param {Function} [options.fetch] The fetch implementation used for all requests, defaults to the global fetch.
+   * @param {String} [options.apiBasePath] Replaces the Authress API location `${authressLoginCustomDomain}/api`, either a full url or a path on the current origin, to route requests through a proxy.
+   * @param {Array<Object>} [options.interceptors] Middleware called in order for every request, each optionally implementing `beforeRequest(request)`, `afterResponse(response, request)`, and `onError(error, request)`.
+   */
+  constructor(authressLoginCustomDomain, overrideLogger, options) {
     if (!authressLoginCustomDomain) {
-      throw Error('Custom Authress Domain Host is required');
+      throw new AuthressError('Custom Authress Domain Host is required', { code: 'InvalidConfiguration' });
     }
     // eslint-disable-next-line @typescript-eslint/no-empty-function
     const logger = overrideLogger || { debug() {}, warn() {}, critical() {} };
     this.logger = logger;
 
     const loginHostFullUrl = new URL(sanitizeUrl(authressLoginCustomDomain));
-    this.loginUrl = `${loginHostFullUrl.origin}/api`;
+    if (options && options.apiBasePath && typeof window === 'undefined' && !isAbsoluteUrl(options.apiBasePath)) {
+      throw new AuthressError('The apiBasePath must be a full url when there is no current location to resolve the path against, such as on the server.', { code: 'InvalidConfiguration' });
+    }
+    this.loginUrl = options && options.apiBasePath
+      ? new URL(options.apiBasePath, windowManager.getCurrentLocation()).toString().replace(/\/+$/, '')
+      : `${loginHostFullUrl.origin}/api`;
+    // The global fetch is resolved on every call so that it can still be replaced after the client was created.
+    // * A provided fetch, such as window.fetch, is also not called as a method of the client, because native implementations throw "Illegal invocation" for any other `this`.
+    const customFetch = options && options.fetch;
+    this.fetch = customFetch ? (url, request) => customFetch(url, request) : (url, request) => fetch(url, request);
+
+    this.retryPolicy = Object.assign({}, defaultRetryPolicy, options && options.retryPolicy);
+    this.timeoutInMillis = options && typeof options.timeoutInMillis === 'number' ? options.timeoutInMillis : 10000;
+    this.interceptors = options && options.interceptors || [];
+  }
+
+  async retryExecutor(method, func) {
+    const { maxAttempts, baseDelayInMillis, maxDelayInMillis, jitter, retryableStatuses, retryNonIdempotentRequests } = this.retryPolicy;
+    // A POST might have been processed even though the response never arrived, so repeating it could for example create a second authentication request.
+    const maxAttemptsForRequest = method === 'POST' && !retryNonIdempotentRequests ? 1 : Math.max(maxAttempts, 1);
+
+    for (let iteration = 0; ; iteration++) {
+      try {
+        const result = await func();
+        return result;
+      } catch (error) {
+        error.retryCount = iteration;
+
+        const networkError = isNetworkError(error);
+        if (!networkError && !retryableStatuses.includes(error.status)) {
+          throw error;
+        }
+
+        const retryAfter = getRetryAfterInMillis(error);
+        const backoff = Math.min(baseDelayInMillis * 2 ** iteration, maxDelayInMillis);
+        const delay = retryAfter !== null ? retryAfter : jitter ? backoff / 2 + Math.random() * backoff / 2 : backoff;
+        // When Authress asks to wait longer than the policy allows, waiting would block the caller for too long.
+        if (iteration + 1 >= maxAttemptsForRequest || delay > maxDelayInMillis) {
+          if (!networkError) {
+            throw error;
+          }
+          error.isNetworkError = true;
+          throw new NetworkError(`[Authress Login SDK] Http Request failed due to a Network Error${iteration > 0 ? ' even after multiple retries' : ''}`, error);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
   }
 
   get(url, withCredentials, headers, ignoreExpectedWarnings) {
-    return retryExecutor(() => {
+    return this.retryExecutor('GET', () => {
       return this.fetchWrapper('GET', url, null, headers, withCredentials, ignoreExpectedWarnings);
     });
   }
 
   delete(url, withCredentials, headers, ignoreExpectedWarnings) {
-    return retryExecutor(() => {
+    return this.retryExecutor('DELETE', () => {
       return this.fetchWrapper('DELETE', url, null, headers, withCredentials, ignoreExpectedWarnings);
     });
   }
 
   post(url, withCredentials, data, headers, ignoreExpectedWarnings) {
-    return retryExecutor(() => {
+    return this.retryExecutor('POST', () => {
       return this.fetchWrapper('POST', url, data, headers, withCredentials, ignoreExpectedWarnings);
     });
   }
 
   put(url, withCredentials, data, headers, ignoreExpectedWarnings) {
-    return retryExecutor(() => {
+    return this.retryExecutor('PUT', () => {
       return this.fetchWrapper('PUT', url, data, headers, withCredentials, ignoreExpectedWarnings);
     });
   }
 
   patch(url, withCredentials, data, headers, ignoreExpectedWarnings) {
-    return retryExecutor(() => {
+    return this.retryExecutor('PATCH', () => {
       return this.fetchWrapper('PATCH', url, data, headers, withCredentials, ignoreExpectedWarnings);
     });
   }
 
   async fetchWrapper(rawMethod, urlObject, data, requestHeaders, withCredentials, ignoreExpectedWarnings) {
-    const url = `${this.loginUrl}${urlObject.toString()}`;
-    const method = rawMethod.toUpperCase();
-    const headers = Object.assign({}, defaultHeaders, requestHeaders);
+    // Endpoints advertised by the OpenID configuration are full urls, every other path is relative to the Authress API.
+    const urlString = urlObject.toString();
+    let request = {
+      url: (/^https?:\/\//).test(urlString) ? urlString : `${this.loginUrl}${urlString}`,
+      method: rawMethod.toUpperCase(),
+      // OAuth endpoints such as the device authorization grant only accept form encoded bodies.
+      headers: Object.assign({}, defaultHeaders, data instanceof URLSearchParams ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}, requestHeaders),
+      data
+    };
+
+    try {
+      let response = null;
+      for (const interceptor of this.interceptors.filter(i => i.beforeRequest)) {
+        const result = await interceptor.beforeRequest(request);
+        // Returning a response skips sending the request.
+        if (result && Object.hasOwnProperty.call(result, 'status')) {
+          response = result;
+          break;
+        }
+        request = result || request;
+      }
+
+      if (!response) {
+        response = await this.sendRequest(request, withCredentials);
+      }
+
+      for (const interceptor of this.interceptors.filter(i => i.afterResponse)) {
+        response = await interceptor.afterResponse(response, request) || response;
+      }
+      return response;
+    } catch (error) {
+      let resolvedError = error;
+      for (const interceptor of this.interceptors.filter(i => i.onError)) {
+        try {
+          const result = await interceptor.onError(resolvedError, request);
+          // Returning a response recovers from the error, returning an error replaces it.
+          if (result && !(result instanceof Error) && Object.hasOwnProperty.call(result, 'status')) {
+            return result;
+          }
+          resolvedError = result || resolvedError;
+        } catch (interceptorError) {
+          resolvedError = interceptorError;
+        }
+      }
+
+      // Errors are only logged after the interceptors, so that they can redact the request and the error first.
+      this.logRequestError(resolvedError, request, ignoreExpectedWarnings);
+      throw resolvedError;
+    }
+  }
+
+  async sendRequest(interceptedRequest, withCredentials) {
+    const { url, method, headers, data } = interceptedRequest;
+    const abortController = typeof AbortController !== 'undefined' && this.timeoutInMillis > 0 ? new AbortController() : null;
+    const timeout = abortController && setTimeout(() => abortController.abort(), this.timeoutInMillis);
     try {
       this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] HttpClient Request', method, url });
       const request = { method, headers };
+      if (abortController) {
+        request.signal = abortController.signal;
+      }
       if (data) {
-        request.body = JSON.stringify(data);
+        request.body = data instanceof URLSearchParams ? data.toString() : JSON.stringify(data);
       }
       if (!windowManager.isLocalHost() && !!withCredentials) {
         request.credentials = 'include';
       }
-      const response = await fetch(url, request);
+      const requestSentAt = Date.now();
+      const response = await this.fetch(url, request);
+      clock.synchronize(response.headers && response.headers.get && response.headers.get('Date'), requestSentAt, Date.now());
 
       if (!response.ok) {
         throw response;
@@ -125,6 +250,10 @@ class HttpClient {
         data: responseBody
       };
     } catch (error) {
+      if (abortController && abortController.signal.aborted) {
+        throw new AuthressError(`[Authress Login SDK] Http Request timed out after ${this.timeoutInMillis}ms - ${method} - ${url}`, { code: 'RequestTimeout', cause: error });
+      }
+
       let resolvedError = error;
       try {
         resolvedError = await error.text();
@@ -135,43 +264,48 @@ class HttpClient {
 
       const extensionErrorId = resolvedError.stack && resolvedError.stack.match(/chrome-extension:[/][/](\w+)[/]/);
       if (extensionErrorId) {
-        this.logger && this.logger.debug && this.logger.debug({ title: `[Authress Login SDK] Fetch failed due to a browser extension - ${method} - ${url}`, method, url, data, headers, error, resolvedError, extensionErrorId });
-        const newError = new Error(`Extension Error ID: ${extensionErrorId}`);
-        newError.code = 'BROWSER_EXTENSION_ERROR';
-        throw newError;
+        throw new BrowserExtensionError(extensionErrorId[1], error);
       }
 
-      const status = error.status;
-      let level = 'warn';
-      let message = '[Authress Login SDK] HttpClient Response Error';
-      if (!error) {
-        message = '[Authress Login SDK] HttpClient Response Error - Unknown error occurred';
-      } else if (status === 401) {
-        message = '[Authress Login SDK] HttpClient Response Error due to invalid token';
-        level = 'debug';
-      } else if (status === 404) {
-        message = '[Authress Login SDK] HttpClient Response: Not Found';
-        level = 'debug';
-      } else if (status < 500 && ignoreExpectedWarnings) {
-        level = 'debug';
-      }
+      throw new HttpError({ url, method, status: error.status, data: resolvedError, headers: error.headers }, error);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
 
-      if (this.logger && this.logger[level]) {
-        this.logger[level]({
-          title: message,
-          online: typeof navigator === 'undefined' || navigator.onLine,
-          method, url, status, data, headers, error, resolvedError
-        });
-      }
+  logRequestError(error, request, ignoreExpectedWarnings) {
+    const { method, url, headers, data } = request;
+    if (error instanceof BrowserExtensionError) {
+      this.logger && this.logger.debug && this.logger.debug({ title: `[Authress Login SDK] Fetch failed due to a browser extension - ${method} - ${url}`, method, url, data, headers, error, extensionErrorId: error.extensionId });
+      return;
+    }
 
-      const httpError = {
-        url,
-        method,
-        status,
-        data: resolvedError,
-        headers: error.headers
-      };
-      throw httpError;
+    if (error && error.code === 'RequestTimeout') {
+      this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] HttpClient Request timed out', method, url, timeoutInMillis: this.timeoutInMillis });
+      return;
+    }
+
+    const status = error && error.status;
+    let level = 'warn';
+    let message = '[Authress Login SDK] HttpClient Response Error';
+    if (!error) {
+      message = '[Authress Login SDK] HttpClient Response Error - Unknown error occurred';
+    } else if (status === 401) {
+      message = '[Authress Login SDK] HttpClient Response Error due to invalid token';
+      level = 'debug';
+    } else if (status === 404) {
+      message = '[Authress Login SDK] HttpClient Response: Not Found';
+      level = 'debug';
+    } else if (status < 500 && ignoreExpectedWarnings) {
+      level = 'debug';
+    }
+
+    if (this.logger && this.logger[level]) {
+      this.logger[level]({
+        title: message,
+        online: typeof navigator === 'undefined' || navigator.onLine,
+        method, url, status, data, headers, error, resolvedError: error && error.data
+      });
     }
   }
 }
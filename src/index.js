@@ -1,18 +1,40 @@
-const cookieManager = require('cookie');
 const take = require('lodash.take');
 
 const windowManager = require('./windowManager');
 const HttpClient = require('./httpClient');
 const jwtManager = require('./jwtManager');
-const { sanitizeUrl } = require('./util');
-const userIdentityTokenStorageManager = require('./userIdentityTokenStorageManager');
+const base64url = require('./base64url');
+const clock = require('./clock');
+const EventEmitter = require('./eventEmitter');
+const SessionSynchronizer = require('./sessionSynchronizer');
+const TokenRefreshScheduler = require('./tokenRefreshScheduler');
+const { sanitizeUrl, isIssuerOfDomain } = require('./util');
+const UserIdentityTokenStorageManager = require('./userIdentityTokenStorageManager');
+const TokenVerifier = require('./tokenVerifier');
+const webAuthnManager = require('./webAuthnManager');
+const totpManager = require('./totpManager');
+const OpenIdConfiguration = require('./openIdConfiguration');
+const { BrowserCookieJar, ServerCookieJar, ClientCookieJar } = require('./cookieJar');
+const { AuthressError, NotLoggedInError, TokenTimeoutError, NetworkError, HttpError, BrowserExtensionError } = require('./errors');
+const { LocalStorageAdapter, SessionStorageAdapter, MemoryStorageAdapter, CookieStorageAdapter, isStorageAdapter, createDefaultStorageAdapter } = require('./storageAdapters');
 
-let userSessionResolver;
-let userSessionPromise = new Promise(resolve => userSessionResolver = resolve);
+const AuthenticationRequestNonceKey = 'AuthenticationRequestNonce';
+const AuthenticationWindowRequestKey = 'AuthenticationWindowRequest';
+const SilentAuthenticationHintKey = 'SilentAuthenticationHint';
 
-let userSessionSequencePromise = null;
+// Session events that are shared with the other tabs of the same origin.
+const SynchronizedSessionEvents = ['login', 'logout', 'tokenRefreshed'];
 
-const AuthenticationRequestNonceKey = 'AuthenticationRequestNonce';
+// The `amr` claim values of the second factors, see RFC 8176.
+const StepUpFactorMethods = {
+  WebAuthN: 'hwk',
+  TOTP: 'otp'
+};
+
+// Token expiries are server times, while browsers expire cookies according to the device clock.
+function toCookieExpiry(expiry) {
+  return expiry && new Date(clock.toLocalTime(expiry.getTime()));
+}
 
 class LoginClient {
   /**
@@ -20,6 +42,19 @@ class LoginClient {
    * @param {Object} settings
    * @param {String} settings.authressApiUrl Your Authress custom domain - see https://authress.io/app/#/manage?focus=applications
    * @param {String} settings.applicationId the Authress applicationId for this app - see https://authress.io/app/#/manage?focus=applications
+   * @param {Boolean|Object} [settings.silentAuthentication=false] When the custom domain does not match the application domain, the session cannot be continued with cookies. Enable to instead attempt to log the user in silently using a hidden iframe, for users that logged in before on this device and did not log out. Pass an object to configure the `redirectUrl` (default current location) that Authress redirects the iframe to, and the `timeoutInMillis` (default 5000).
+   * @param {Object} [settings.storage] A storage adapter implementing `get(key)`, `set(key, value)`, and `remove(key)`, each optionally async, used for all data persisted by the SDK. Defaults to LocalStorage when available, otherwise memory. Storage that does not survive a page navigation, such as memory, only works with logins that do not redirect the current page.
+   * @param {Boolean} [settings.skipSessionSynchronization=false] Disable synchronizing login, logout, and token refreshes with the other browser tabs of the same origin.
+   * @param {Boolean|Object} [settings.automaticTokenRefresh=false] Renew the user session in the background before the token expires. Pass an object to configure the `leadTimeInMillis` (default 60000) and the `maxBackoffInMillis` (default 300000) used for retries.
+   * @param {Object} [settings.retryPolicy] Configure how failed requests to Authress are retried: `maxAttempts` (default 5), `baseDelayInMillis` (default 10) for the exponential backoff, `maxDelayInMillis` (default 5000), `jitter` (default true), `retryableStatuses` (default 408, 429, 500, 502, 503, 504), and `retryNonIdempotentRequests` (default false) to also retry POST requests. A Retry-After response header takes precedence over the backoff.
+   * @param {Number} [settings.requestTimeoutInMillis=10000] Abort requests to Authress that do not complete within this time.
+   * @param {Function} [settings.fetch] The fetch implementation used for all network calls, defaults to the global fetch. For example a mock in tests, or undici with a custom dispatcher.
+   * @param {String} [settings.apiBasePath] Route the Authress API calls through a proxy, replacing `${authressApiUrl}/api` with this full url or path on the current origin. Paths require a browser, on the server a full url must be used.
+   * @param {Array<Object>} [settings.interceptors] Middleware for every request to Authress, called in order. Each interceptor optionally implements `beforeRequest(request)` to modify the request or return a response instead of sending it, `afterResponse(response, request)` to modify the response, and `onError(error, request)` to return a response that recovers from the error or a replacement error. Failures are logged after the interceptors ran.
+   * @param {Boolean} [settings.discovery=false] Read the endpoints of the custom domain from its `/.well-known/openid-configuration` instead of deriving them from the Authress conventions, see {@link getConfiguration}.
+   * @param {Number} [settings.clockSkewLeewayInSeconds=10] Tokens are considered expired this long before their actual expiry. Expiries are compared to the server time, estimated from the Date header of Authress responses, so that devices with an incorrect clock do not discard valid tokens or keep expired ones.
+   * @param {Boolean} [settings.verifyTokens=false] Verify the signature and the `iss`, `aud`, `nbf`, and `exp` claims of every token using the keys published by the custom domain at `/.well-known/openid-configuration`. Only verified tokens are used for the user identity, and stored tokens that fail verification are removed.
+   * @param {Object|String} [settings.request] Enables the server side mode for SSR frameworks and Node.js. The incoming request, either a Fetch API Request, a Node.js IncomingMessage, a cookie store with `getAll()` such as the Next.js `cookies()`, or the raw Cookie header. The user session is read from the request cookies, and cookies that must be updated are returned by {@link getSetCookieHeaders} instead of being written to the document. The request cookies can be forged, so their tokens are always verified as with `verifyTokens`, and the user identity is only available after `await userSessionExists()`. Create a new client for every request.
    * @param {Object} [logger] a configured logger object, optionally `console`, which can used to display debug and warning messages.
    */
   constructor(settings, logger) {
@@ -28,21 +63,67 @@ class LoginClient {
     const hostUrl = settingsWithDefault.authressApiUrl || settingsWithDefault.authressLoginHostUrl || settingsWithDefault.authenticationServiceUrl || '';
 
     if (!hostUrl) {
-      throw Error('Missing required property "authressApiUrl" in LoginClient constructor. Custom Authress Domain Host is required.');
+      throw new AuthressError('Missing required property "authressApiUrl" in LoginClient constructor. Custom Authress Domain Host is required.', { code: 'InvalidConfiguration' });
     }
 
     this.applicationId = settingsWithDefault.applicationId;
     if (!this.applicationId || this.applicationId.match(/^(sc_|ext_)/)) {
-      const error = Error("You have incorrectly specified an Authress Service Client or Extension as the applicationId instead of a valid application. The applicationId is your application that your users will log into, usually hosted on your domain https://example.yourdomain.com. Users cannot log *into* a Service Client, but they can log in *with* one. Users can use a Service Client to log in, by setting the connection ID in the *authenticate({ connectionId })* method to be the Authress Service Client.\n(1) If you are building an Custom Login Portal, then the application ID should correspond to this login portal.\n(2) If you are replacing or extending an Authress connection, then specify the Service Client as the connectionId and the end user application as the applicationId.\n(3) If you are building a platform or plugin marketplace, where users will log into third party extensions or apps, then distribute in your SDK a wrapper for the Authress Extension Client using: import { extensionClient } from '@authress/login' found within this SDK.\n(4) If you aren't sure what to do here to fix the problem, the fastest and usually correct solution is go to https://authress.io/app/#/settings?focus=applications create a new application, specify your site in the application url property and then update the value here.");
-      error.code = 'InvalidApplication';
-      throw error;
+      throw new AuthressError("You have incorrectly specified an Authress Service Client or Extension as the applicationId instead of a valid application. The applicationId is your application that your users will log into, usually hosted on your domain https://example.yourdomain.com. Users cannot log *into* a Service Client, but they can log in *with* one. Users can use a Service Client to log in, by setting the connection ID in the *authenticate({ connectionId })* method to be the Authress Service Client.\n(1) If you are building an Custom Login Portal, then the application ID should correspond to this login portal.\n(2) If you are replacing or extending an Authress connection, then specify the Service Client as the connectionId and the end user application as the applicationId.\n(3) If you are building a platform or plugin marketplace, where users will log into third party extensions or apps, then distribute in your SDK a wrapper for the Authress Extension Client using: import { extensionClient } from '@authress/login' found within this SDK.\n(4) If you aren't sure what to do here to fix the problem, the fastest and usually correct solution is go to https://authress.io/app/#/settings?focus=applications create a new application, specify your site in the application url property and then update the value here.", { code: 'InvalidApplication' });
     }
 
     this.hostUrl = sanitizeUrl(hostUrl);
-    this.httpClient = new HttpClient(this.hostUrl, logger);
+    this.httpClient = new HttpClient(this.hostUrl, logger, {
+      retryPolicy: settingsWithDefault.retryPolicy,
+      timeoutInMillis: settingsWithDefault.requestTimeoutInMillis,
+      interceptors: settingsWithDefault.interceptors,
+      fetch: settingsWithDefault.fetch,
+      apiBasePath: settingsWithDefault.apiBasePath
+    });
+    this.clockSkewLeewayInSeconds = settingsWithDefault.clockSkewLeewayInSeconds;
+    this.discovery = !!settingsWithDefault.discovery;
+    this.openIdConfiguration = new OpenIdConfiguration(this.hostUrl, this.httpClient.fetch);
+    // The cookies of a request can be set by anyone, on the server they are therefore always verified.
+    const verifyTokens = settingsWithDefault.verifyTokens || !!settingsWithDefault.request;
+    this.tokenVerifier = verifyTokens ? new TokenVerifier(this.hostUrl, this.applicationId, this.openIdConfiguration, this.clockSkewLeewayInSeconds) : null;
     this.lastSessionCheck = 0;
 
+    if (settingsWithDefault.storage && !isStorageAdapter(settingsWithDefault.storage)) {
+      throw new AuthressError('The "storage" property in the LoginClient constructor must be a storage adapter implementing get(key), set(key, value), and remove(key).', { code: 'InvalidStorage' });
+    }
+    this.storage = settingsWithDefault.storage || createDefaultStorageAdapter();
+    this.isServerMode = !!settingsWithDefault.request;
+
+    // Multiple clients can exist on the same page, all session state and persisted data are therefore isolated by custom domain and application.
+    this.cookieJar = new ClientCookieJar(this.isServerMode ? new ServerCookieJar(settingsWithDefault.request) : new BrowserCookieJar(), token => this.isOwnToken(token));
+    const storageNamespace = `${new URL(this.hostUrl).host}:${this.applicationId}`;
+    this.authenticationRequestNonceKey = `${AuthenticationRequestNonceKey}:${storageNamespace}`;
+    this.authenticationWindowRequestKey = `${AuthenticationWindowRequestKey}:${storageNamespace}`;
+    this.silentAuthenticationHintKey = `${SilentAuthenticationHintKey}:${storageNamespace}`;
+    this.userIdentityTokenStorageManager = new UserIdentityTokenStorageManager(storageNamespace, this.storage, this.cookieJar, token => this.isOwnToken(token));
+    this.userSessionSequencePromise = null;
+    this.resetUserSession();
+    this.eventEmitter = new EventEmitter(this.logger);
+    this.lastUserIdentity = null;
+
     this.enableCredentials = this.getMatchingDomainInfo(this.hostUrl);
+    this.silentAuthenticationSettings = settingsWithDefault.silentAuthentication ? Object.assign({ timeoutInMillis: 5000 }, settingsWithDefault.silentAuthentication) : null;
+
+    this.sessionSynchronizer = new SessionSynchronizer(storageNamespace, this.storage, message => this.onSynchronizedSessionEvent(message), this.logger);
+    if (!settingsWithDefault.skipSessionSynchronization && typeof window !== 'undefined') {
+      this.sessionSynchronizer.start();
+    }
+
+    this.tokenRefreshScheduler = null;
+    if (settingsWithDefault.automaticTokenRefresh && typeof window !== 'undefined') {
+      const tokenRefreshSettings = typeof settingsWithDefault.automaticTokenRefresh === 'object' ? settingsWithDefault.automaticTokenRefresh : {};
+      this.tokenRefreshScheduler = new TokenRefreshScheduler({
+        getTokenExpiry: () => this.getTokenExpiry(),
+        refresh: () => this.sequenceBackgroundTokenRefresh(),
+        leadTimeInMillis: tokenRefreshSettings.leadTimeInMillis,
+        maxBackoffInMillis: tokenRefreshSettings.maxBackoffInMillis
+      }, this.logger);
+      this.tokenRefreshScheduler.start();
+    }
 
     if (!settingsWithDefault.skipBackgroundCredentialsCheck) {
       windowManager.onLoad(async () => {
@@ -90,6 +171,99 @@ class LoginClient {
     return false;
   }
 
+  /**
+   * @description Subscribe to session lifecycle events. The listener receives an event containing the `type` and the decoded `userIdentity` the event relates to.
+   * @param {String} eventName One of `login`, `logout`, `tokenRefreshed`, `identityChanged`, or `sessionExpired`.
+   * @param {Function} callback The listener to call when the event occurs.
+   * @return {Function} Calling the returned function removes the listener again.
+   */
+  on(eventName, callback) {
+    this.eventEmitter.on(eventName, callback);
+    return () => this.off(eventName, callback);
+  }
+
+  /**
+   * @description Remove a listener previously registered with {@link on}. When no callback is specified, all listeners for the event are removed.
+   * @param {String} eventName The event the listener was registered for.
+   * @param {Function} [callback] The listener to remove.
+   */
+  off(eventName, callback) {
+    this.eventEmitter.off(eventName, callback);
+  }
+
+  publishSessionEvent(eventName, userIdentity, skipSynchronization) {
+    const previousUserIdentity = this.lastUserIdentity;
+    this.lastUserIdentity = userIdentity || null;
+
+    if (!skipSynchronization && SynchronizedSessionEvents.includes(eventName)) {
+      this.sessionSynchronizer.publish({
+        type: eventName,
+        idToken: userIdentity ? this.userIdentityTokenStorageManager.get() : null,
+        expiry: userIdentity && userIdentity.exp ? userIdentity.exp * 1000 : null
+      });
+    }
+
+    // Logout and session expiration no longer have an identity, so those events carry the identity of the session that just ended.
+    if (eventName) {
+      this.eventEmitter.emit(eventName, { type: eventName, userIdentity: userIdentity || previousUserIdentity });
+    }
+
+    if ((userIdentity && userIdentity.userId) !== (previousUserIdentity && previousUserIdentity.userId)) {
+      this.eventEmitter.emit('identityChanged', { type: 'identityChanged', userIdentity: userIdentity || null });
+    }
+
+    if (this.silentAuthenticationSettings && (eventName === 'login' || !userIdentity)) {
+      this.updateSilentAuthenticationHint(!!userIdentity);
+    }
+
+    if (this.tokenRefreshScheduler) {
+      if (this.lastUserIdentity) {
+        this.tokenRefreshScheduler.schedule();
+      } else {
+        this.tokenRefreshScheduler.cancel();
+      }
+    }
+  }
+
+  resetUserSession() {
+    this.userSessionPromise = new Promise(resolve => this.userSessionResolver = resolve);
+  }
+
+  async onSynchronizedSessionEvent(message) {
+    if (message.type === 'logout') {
+      this.userIdentityTokenStorageManager.delete();
+      this.resetUserSession();
+      this.lastSessionCheck = 0;
+      this.publishSessionEvent('logout', null, true);
+      return;
+    }
+
+    // Storage is usually already shared between tabs, however the identity is stored again in case the storage isn't shared or was just cleared by this tab.
+    if (message.idToken && (!this.tokenVerifier || await this.verifyReceivedTokens(message.idToken))) {
+      this.userIdentityTokenStorageManager.set(message.idToken, message.expiry && new Date(message.expiry));
+    }
+
+    const userIdentity = this.getUserIdentity();
+    if (userIdentity) {
+      this.userSessionResolver();
+      this.publishSessionEvent(message.type, userIdentity, true);
+    }
+  }
+
+  // On the server the identity token is only available in the browser storage, however the access token cookie of the request identifies the same user.
+  getUserIdentityFromAccessToken() {
+    if (!this.isServerMode) {
+      return null;
+    }
+
+    const accessTokenString = this.cookieJar.get('authorization');
+    const accessToken = this.isTrustedToken(accessTokenString) && jwtManager.decode(accessTokenString, this.clockSkewLeewayInSeconds);
+    if (!accessToken || accessToken.exp && accessToken.exp * 1000 < clock.now()) {
+      return null;
+    }
+    return accessToken;
+  }
+
   /**
    * @description Gets the user's profile data and returns it if it exists. Should be called after {@link userSessionExists} or it will be empty.
    * @return {Object} The user data object.
@@ -97,32 +271,26 @@ class LoginClient {
   getUserIdentity() {
     // Implementor's Note: Do not log in this method as it is frequently called from loggers and therefore would introduce an infinite loop.
 
-    const idToken = userIdentityTokenStorageManager.getUserCookie();
+    const idToken = this.userIdentityTokenStorageManager.getUserCookie();
     // Cache the ID Token in the local storage as soon as we attempt to check for it.
     // * We need this in the cache, and the best way to do this is right here, so it's in one place
     // * While this isn't the optimal location, this will ensure that every fetch to the user identity correctly is cached and is returned to the caller.
-    const userDataFromCookie = jwtManager.decodeOrParse(idToken);
+    const userDataFromCookie = this.isTrustedToken(idToken) && jwtManager.decodeOrParse(idToken, this.clockSkewLeewayInSeconds);
     if (userDataFromCookie) {
-      const expiry = userDataFromCookie.exp ? new Date(userDataFromCookie.exp * 1000) : new Date(Date.now() + 86400000);
-      userIdentityTokenStorageManager.set(idToken, expiry);
+      const expiry = userDataFromCookie.exp ? new Date(userDataFromCookie.exp * 1000) : new Date(clock.now() + 86400000);
+      this.userIdentityTokenStorageManager.set(idToken, expiry);
       userDataFromCookie.userId = userDataFromCookie.sub;
       return userDataFromCookie;
     }
 
-    const userIdToken = userIdentityTokenStorageManager.get();
-    const userData = jwtManager.decodeOrParse(userIdToken);
+    const userIdToken = this.userIdentityTokenStorageManager.get();
+    const userData = this.isTrustedToken(userIdToken) && jwtManager.decodeOrParse(userIdToken, this.clockSkewLeewayInSeconds) || this.getUserIdentityFromAccessToken();
     if (!userData) {
       return null;
     }
 
-    // We use endsWith because the issuer will be limited to only the authress custom domain FQDN subdomain, the hostUrl could be a specific subdomain subdomain for the tenant.
-    // * issuer = tenant.custom.domain, hostUrl = custom.domain => ✓
-    // * issuer = accountId.login.authress.io, hostUrl = login.authress.io => ✓
-
-    const issuerOrigin = new URL(userData.iss).hostname;
-    const hostUrlOrigin = new URL(this.hostUrl).hostname;
-    if (!issuerOrigin.endsWith(hostUrlOrigin) && !hostUrlOrigin.endsWith(issuerOrigin)) {
-      userIdentityTokenStorageManager.clear();
+    if (!isIssuerOfDomain(userData.iss, this.hostUrl)) {
+      this.userIdentityTokenStorageManager.clear();
       return null;
     }
 
@@ -130,6 +298,77 @@ class LoginClient {
     return userData;
   }
 
+  /**
+   * @description Gets the OpenID configuration of the custom domain used by the SDK. With the `discovery` setting it is read from `/.well-known/openid-configuration` once and cached, otherwise, or when it cannot be loaded, the conventional Authress endpoints are returned.
+   * @return {Promise<OpenIdConfiguration>} The configuration including the `issuer`, `authorization_endpoint`, `token_endpoint`, `end_session_endpoint`, and `jwks_uri`.
+   */
+  async getConfiguration() {
+    if (!this.discovery) {
+      return this.openIdConfiguration.getConventionalConfiguration();
+    }
+
+    try {
+      return await this.openIdConfiguration.discover();
+    } catch (error) {
+      this.logger && this.logger.warn && this.logger.warn({ title: '[Authress Login SDK] Failed to discover the OpenID configuration, using the conventional endpoints instead', error });
+      return this.openIdConfiguration.getConventionalConfiguration();
+    }
+  }
+
+  // Without verification every token is trusted, otherwise only tokens whose signature and claims were verified.
+  isTrustedToken(token) {
+    return !this.tokenVerifier || this.tokenVerifier.isVerified(token);
+  }
+
+  // The session cookies are shared by all clients on the page, a token belongs to this client unless it was issued by another custom domain or for another application.
+  isOwnToken(token) {
+    const claims = jwtManager.decode(token);
+    if (!claims) {
+      return true;
+    }
+    if (claims.iss && !isIssuerOfDomain(claims.iss, this.hostUrl)) {
+      return false;
+    }
+    return !claims.client_id || !this.applicationId || claims.client_id === this.applicationId;
+  }
+
+  // Returns whether the tokens received from Authress can be used. Tokens that cannot be verified, for example because the keys are not available, are not used either.
+  async verifyReceivedTokens(...tokens) {
+    if (!this.tokenVerifier) {
+      return true;
+    }
+
+    try {
+      await Promise.all(tokens.filter(token => token).map(token => this.tokenVerifier.verify(token)));
+      return true;
+    } catch (error) {
+      this.logger && this.logger.warn && this.logger.warn({ title: '[Authress Login SDK] Received token failed verification', error });
+      return false;
+    }
+  }
+
+  // Stored tokens could have been modified by anything running on the page, so they are only trusted once verified. Tokens that are invalid are removed, expired tokens are left for the session continuation to replace.
+  async verifyStoredTokens() {
+    if (!this.tokenVerifier) {
+      return;
+    }
+
+    const storedTokens = [this.userIdentityTokenStorageManager.getUserCookie(), this.userIdentityTokenStorageManager.get(), this.cookieJar.get('authorization')]
+    .filter(token => typeof token === 'string' && token !== 'undefined' && !this.tokenVerifier.isVerified(token));
+    for (const token of storedTokens) {
+      try {
+        await this.tokenVerifier.verify(token);
+      } catch (error) {
+        if (error.code === 'InvalidToken') {
+          this.logger && this.logger.warn && this.logger.warn({ title: '[Authress Login SDK] Removing stored token that failed verification', error });
+          this.userIdentityTokenStorageManager.clear();
+          return;
+        }
+        this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] Stored token could not be verified', error });
+      }
+    }
+  }
+
   /**
    * @description Gets the user's credentials that were generated as part of the connection provider. These credentials work directly with that provider.
    * @return {Promise<UserCredentials?>} The user's connection credentials.
@@ -146,31 +385,87 @@ class LoginClient {
     }
   }
 
-  async getDevices() {
+  /**
+   * @description Gets the MFA devices registered by the user.
+   * @param {Object} [options]
+   * @param {Boolean} [options.throwOnError=false] Throw when the devices cannot be loaded instead of returning no devices, so that a failure can be told apart from a user without devices.
+   * @return {Promise<Array<Device>>} The devices.
+   * @throws {NotLoggedInError} With `throwOnError`, when there is no user session.
+   * @throws {HttpError} With `throwOnError`, when Authress rejected the request.
+   * @throws {NetworkError} With `throwOnError`, when Authress could not be reached.
+   */
+  async getDevices(options = {}) {
     try {
       const token = await this.ensureToken();
       const deviceResult = await this.httpClient.get('/session/devices', this.enableCredentials, { Authorization: token && `Bearer ${token}` });
-      return deviceResult.data.devices;
+      return (deviceResult.data.devices || []).map(device => this.toDevice(device));
     } catch (error) {
+      this.logDeviceFailure({ title: '[Authress Login SDK] Failed to get devices', error });
+      if (options && options.throwOnError) {
+        throw error instanceof TokenTimeoutError ? new NotLoggedInError('User must be logged in to get their devices.') : error;
+      }
       return [];
     }
   }
 
+  /**
+   * @description Renames one of the user's MFA devices.
+   * @param {String} deviceId The device to update.
+   * @param {Object} update
+   * @param {String} update.name The new name of the device shown to the user in the list of their devices.
+   * @return {Promise<Device>} The updated device.
+   */
+  async updateDevice(deviceId, update) {
+    if (!deviceId) {
+      throw new AuthressError("Update Device missing required parameter: 'deviceId'", { code: 'InvalidInput' });
+    }
+    if (!update || typeof update.name !== 'string' || !update.name.trim()) {
+      throw new AuthressError("Update Device missing required parameter: 'name'", { code: 'InvalidInput' });
+    }
+
+    try {
+      const token = await this.ensureToken();
+      const deviceResult = await this.httpClient.patch(`/session/devices/${encodeURIComponent(deviceId)}`, this.enableCredentials, { name: update.name }, { Authorization: token && `Bearer ${token}` });
+      return this.toDevice(deviceResult.data);
+    } catch (error) {
+      this.logDeviceFailure({ title: '[Authress Login SDK] Failed to update device', error });
+      throw error;
+    }
+  }
+
   async deleteDevice(deviceId) {
     try {
       const token = await this.ensureToken();
       await this.httpClient.delete(`/session/devices/${encodeURIComponent(deviceId)}`, this.enableCredentials, { Authorization: token && `Bearer ${token}` });
     } catch (error) {
-      this.logger && this.logger.log({ title: 'Failed to delete device', error });
+      this.logDeviceFailure({ title: '[Authress Login SDK] Failed to delete device', error });
       throw error;
     }
   }
 
+  // Converts the device records of Authress to the documented Device.
+  toDevice(device) {
+    const aaguid = device.aaguid || null;
+    // The device is returned as Authress sent it, so that fields such as the createdDate remain available.
+    return Object.assign({}, device, {
+      type: device.type || null,
+      createdAt: device.createdDate || null,
+      lastUsed: device.lastUsedDate || null,
+      authenticatorAttachment: device.authenticatorAttachment || null,
+      aaguid,
+      vendorName: webAuthnManager.getAuthenticatorVendorName(aaguid)
+    });
+  }
+
+  // Loggers without a warn method receive the message on log instead.
+  logDeviceFailure(details) {
+    const log = this.logger && (this.logger.warn || this.logger.log);
+    log && log.call(this.logger, details);
+  }
+
   async openUserConfigurationScreen(options = { redirectUrl: null, startPage: 'Profile' }) {
     if (!await this.userSessionExists()) {
-      const e = Error('User must be logged to configure user profile data.');
-      e.code = 'NotLoggedIn';
-      throw e;
+      throw new NotLoggedInError('User must be logged to configure user profile data.');
     }
 
     const userConfigurationScreenUrl = new URL('/settings', this.hostUrl);
@@ -184,71 +479,22 @@ class LoginClient {
   async registerDevice(options = { name: '', type: '', totp: {} }) {
     const userIdentity = await this.getUserIdentity();
     if (!userIdentity) {
-      const e = Error('User must be logged to configure user profile data.');
-      e.code = 'NotLoggedIn';
-      throw e;
+      throw new NotLoggedInError('User must be logged to configure user profile data.');
     }
 
     if (!options) {
-      const e = Error("Register Device missing required parameter: 'Options'");
-      e.code = 'InvalidInput';
-      throw e;
+      throw new AuthressError("Register Device missing required parameter: 'Options'", { code: 'InvalidInput' });
     }
 
     let request;
     if (!options.type || options.type === 'WebAuthN') {
       const userId = userIdentity.sub;
-
-      // https://developer.mozilla.org/en-US/docs/Web/API/CredentialsContainer/create
-      // Development Note: To actually test to see if this works on your local development machine, run this code on an https domain in the Web Inspector Console tab.
-      const publicKeyCredentialCreationOptions = {
-        challenge: Uint8Array.from(userId, c => c.charCodeAt(0)),
-        rp: {
-          // Allow all subdomains, this works because Authress always runs on a subdomain such as login.example.com, where the domain example.com is owned by the authress account owner.
-          id: this.hostUrl.split('.').slice(1).join('.'),
-          name: 'WebAuthN Login'
-        },
-        user: {
-          id: Uint8Array.from(userId, c => c.charCodeAt(0)),
-          name: userId,
-          displayName: `Generated User ID: ${userId}`
-        },
-        // https://www.iana.org/assignments/cose/cose.xhtml#algorithms (Order Matters)
-        pubKeyCredParams: [
-          // Disabled in the library and not currently supported
-          // { type: 'public-key', alg: -8 }, /* EdDSA */
-          // { type: 'public-key', alg: -36 }, /* ES512 */
-          // { type: 'public-key', alg: -35 }, /* ES384 */
-          { type: 'public-key', alg: -7 }, /* ES256 */
-          // { type: 'public-key', alg: -39 }, /* PS512 */
-          // { type: 'public-key', alg: -38 }, /* PS384 */
-          // { type: 'public-key', alg: -37 }, /* PS256 */
-          // { type: 'public-key', alg: -259 }, /* RS512 */
-          // { type: 'public-key', alg: -258 }, /* RS384 */
-          { type: 'public-key', alg: -257 } /* RS256 */
-        ],
-        authenticatorSelection: {
-          residentKey: 'discouraged',
-          requireResidentKey: false,
-          userVerification: 'discouraged'
-          // authenticatorAttachment: 'cross-platform'
-        },
-        timeout: 60000,
-        attestation: 'direct'
-      };
-
-      const credential = await navigator.credentials.create({
-        publicKey: publicKeyCredentialCreationOptions
-      });
-
-      const webAuthNTokenRequest = {
-        authenticatorAttachment: credential.authenticatorAttachment,
-        credentialId: credential.id,
-        type: credential.type,
-        userId: userId,
-        attestation: btoa(String.fromCharCode(...new Uint8Array(credential.response.attestationObject))),
-        client: btoa(String.fromCharCode(...new Uint8Array(credential.response.clientDataJSON)))
-      };
+      const algorithms = options.algorithms && options.algorithms.length ? options.algorithms : null;
+      const webAuthNTokenRequest = Object.assign({ userId }, await webAuthnManager.createCredential(this.hostUrl, {
+        user: { id: base64url.encode(userId), name: userId, displayName: `Generated User ID: ${userId}` },
+        algorithms,
+        authenticatorSelection: { authenticatorAttachment: options.authenticatorAttachment, residentKey: 'discouraged', requireResidentKey: false, userVerification: options.userVerification || 'discouraged' }
+      }));
 
       request = {
         name: options && options.name,
@@ -259,28 +505,179 @@ class LoginClient {
       request = {
         name: options.name,
         code: options.totp.verificationCode,
-        totpData: options.totp,
+        // Only the data is sent, so that an enrollment from createTotpEnrollment() can be passed directly.
+        totpData: { secret: options.totp.secret, verificationCode: options.totp.verificationCode },
         type: 'TOTP'
       };
     }
 
+    return this.createDevice(request);
+  }
+
+  /**
+   * @description Starts the enrollment of a TOTP authenticator app. Show the `uri` as a QR code, ask the user for the code displayed by their app, and call `verify(code)`. Once verified, pass the enrollment as the `totp` of {@link registerDevice}.
+   * @param {Object} [options]
+   * @param {String} [options.issuer] The service name displayed in the authenticator app, defaults to the custom domain.
+   * @param {String} [options.accountName] The account displayed in the authenticator app, defaults to the email of the user.
+   * @param {Number} [options.window=1] The number of 30 second time steps before and after the current one in which codes are also accepted.
+   * @return {Promise<TotpEnrollment>} The enrollment with the base32 encoded `secret`, the otpauth `uri`, and `verify(code)`.
+   */
+  async createTotpEnrollment(options = {}) {
+    const userIdentity = await this.getUserIdentity();
+    if (!userIdentity) {
+      throw new NotLoggedInError('User must be logged in to enroll a TOTP authenticator app.');
+    }
+
+    const issuer = options && options.issuer || new URL(this.hostUrl).hostname;
+    const accountName = options && options.accountName || userIdentity.email || userIdentity.preferred_username || userIdentity.sub;
+    const verificationWindow = options && typeof options.window === 'number' ? options.window : 1;
+    const secret = totpManager.generateSecret();
+    const enrollment = {
+      secret,
+      uri: totpManager.getUri({ secret, issuer, accountName }),
+      verificationCode: null,
+      async verify(code) {
+        const valid = await totpManager.verify(secret, code, verificationWindow);
+        // The last valid code is sent to Authress to complete the registration.
+        if (valid) {
+          enrollment.verificationCode = String(code).replace(/\s/g, '');
+        }
+        return valid;
+      }
+    };
+    return enrollment;
+  }
+
+  async createDevice(request) {
     try {
       const token = await this.ensureToken();
       const deviceCreationResult = await this.httpClient.post('/session/devices', this.enableCredentials, request, { Authorization: token && `Bearer ${token}` });
-      return deviceCreationResult.data;
+      return this.toDevice(deviceCreationResult.data);
     } catch (error) {
-      this.logger && this.logger.log({ title: 'Failed to register new device', error, request });
+      // The request contains the TOTP secret, which must not be logged.
+      this.logDeviceFailure({ title: '[Authress Login SDK] Failed to register new device', error, deviceType: request.type });
       throw error;
     }
   }
 
+  /**
+   * @description Registers a passkey for the logged in user, a discoverable WebAuthn credential which requires user verification. The SDK does not sign users in with passkeys, Authress does not document an authentication flow that accepts a WebAuthn assertion, so there is no `authenticateWithPasskey()`.
+   * @param {Object} [options]
+   * @param {String} [options.name] The name of the device shown to the user in the list of their devices.
+   * @return {Promise<Device>} The registered device.
+   */
+  async registerPasskey(options = { name: '' }) {
+    const userIdentity = await this.getUserIdentity();
+    if (!userIdentity) {
+      throw new NotLoggedInError('User must be logged in to register a passkey.');
+    }
+
+    if (!webAuthnManager.isSupported()) {
+      throw new AuthressError('Passkeys are not supported by this browser.', { code: 'PasskeysNotSupported' });
+    }
+
+    const userId = userIdentity.sub;
+    // The authenticator shows these names when the user selects one of their passkeys to log in.
+    const name = userIdentity.email || userIdentity.preferred_username || userId;
+    const webAuthNTokenRequest = Object.assign({ userId }, await webAuthnManager.createCredential(this.hostUrl, {
+      user: { id: base64url.encode(userId), name, displayName: userIdentity.name || name },
+      authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'required' }
+    }));
+
+    return this.createDevice({
+      name: options && options.name,
+      code: webAuthNTokenRequest,
+      type: 'WebAuthN',
+      discoverable: true
+    });
+  }
+
+  /**
+   * @description Ensures that the user recently authenticated with a second factor before a sensitive action, such as deleting a workspace. When the `auth_time` and `amr` claims of the current token do not satisfy the requirement, the user logs in again in a popup, where the Authress hosted login asks for one of their registered devices. The popup must be opened from a user interaction, such as a click handler.
+   * @param {Object} [options]
+   * @param {Number} [options.maxAge=300] The maximum number of seconds since the user authenticated.
+   * @param {Array<String>} [options.factors] The accepted second factors, `WebAuthN` and `TOTP` by default.
+   * @return {Promise<String>} The elevated access token, which is also used for the user session from now on.
+   * @throws {PopupBlocked} When the browser blocked opening the popup.
+   * @throws {StepUpCancelled} When the user closed the popup before completing the login.
+   * @throws {StepUpFailed} When the user logged in again without one of the accepted second factors.
+   * @throws {StepUpUserMismatch} When a different user logged in. The previous session is restored whenever the step up does not succeed.
+   */
+  async requireStepUp(options = {}) {
+    const maxAge = options && typeof options.maxAge === 'number' ? options.maxAge : 300;
+    const factors = options && options.factors && options.factors.length ? options.factors : Object.keys(StepUpFactorMethods);
+    const unknownFactor = factors.find(factor => !Object.hasOwnProperty.call(StepUpFactorMethods, factor));
+    if (unknownFactor) {
+      throw new AuthressError(`The step up factor "${unknownFactor}" is not supported, use one of ${Object.keys(StepUpFactorMethods).join(', ')}.`, { code: 'InvalidInput' });
+    }
+
+    const userIdentity = await this.getUserIdentity();
+    if (!userIdentity) {
+      throw new NotLoggedInError('User must be logged in to step up the authentication.');
+    }
+
+    const token = await this.ensureToken();
+    if (this.isStepUpSatisfied(token, { maxAge, factors })) {
+      return token;
+    }
+
+    // The current session is restored when the re-authentication does not succeed, so that the user stays logged in as the user who started it.
+    const previousSession = { userId: userIdentity.sub, idToken: this.userIdentityTokenStorageManager.get(), accessToken: this.cookieJar.get('authorization') };
+    let elevatedToken;
+    try {
+      await this.authenticate({
+        force: true, openType: 'popup', clearUserDataBeforeLogin: false,
+        // Asks the login to authenticate the user again with one of the accepted second factors.
+        connectionProperties: { prompt: 'login', max_age: String(maxAge), amr_values: factors.map(factor => StepUpFactorMethods[factor]).join(' ') }
+      });
+      elevatedToken = await this.ensureToken();
+    } catch (error) {
+      this.restoreStepUpSession(previousSession);
+      if (error.code === 'PopupClosed') {
+        throw new AuthressError('The step up authentication was cancelled.', { code: 'StepUpCancelled', cause: error });
+      }
+      throw error;
+    }
+
+    const elevatedUserIdentity = this.getUserIdentity();
+    if (!elevatedUserIdentity || elevatedUserIdentity.sub !== previousSession.userId) {
+      this.restoreStepUpSession(previousSession);
+      throw new AuthressError('The step up authentication was completed by a different user than the logged in user.', { code: 'StepUpUserMismatch' });
+    }
+    if (!this.isStepUpSatisfied(elevatedToken, { maxAge, factors })) {
+      this.restoreStepUpSession(previousSession);
+      throw new AuthressError('The step up authentication did not result in a token satisfying the requirement.', { code: 'StepUpFailed' });
+    }
+    return elevatedToken;
+  }
+
+  restoreStepUpSession({ idToken, accessToken }) {
+    if (this.userIdentityTokenStorageManager.get() === idToken && this.cookieJar.get('authorization') === accessToken) {
+      return;
+    }
+    const claims = jwtManager.decodeOrParse(idToken, this.clockSkewLeewayInSeconds);
+    const expiry = claims && claims.exp && new Date(claims.exp * 1000);
+    this.cookieJar.set('authorization', accessToken || '', { expires: toCookieExpiry(expiry), path: '/', sameSite: 'strict' });
+    this.userIdentityTokenStorageManager.set(idToken, expiry);
+    this.publishSessionEvent('tokenRefreshed', this.getUserIdentity());
+  }
+
+  // When the access token is hidden from javascript, the identity token carries the same authentication claims.
+  isStepUpSatisfied(token, { maxAge, factors }) {
+    const claims = jwtManager.decode(token, this.clockSkewLeewayInSeconds) || this.getUserIdentity();
+    if (!claims || !claims.auth_time || !Array.isArray(claims.amr)) {
+      return false;
+    }
+    return claims.auth_time * 1000 >= clock.now() - maxAge * 1000 && factors.some(factor => claims.amr.includes(StepUpFactorMethods[factor]));
+  }
+
   /**
    * @description Async wait for a user session to exist. Will block until {@link userSessionExists} or {@link authenticate} is called.
    * @return {Promise<void>}
    */
   async waitForUserSession() {
     try {
-      await userSessionPromise;
+      await this.userSessionPromise;
       return true;
     } catch (error) {
       return false;
@@ -292,35 +689,41 @@ class LoginClient {
    * @return {Promise<Boolean>} Returns truthy if there a valid existing session, falsy otherwise.
    */
   userSessionExists(backgroundTrigger) {
-    if (userSessionSequencePromise) {
+    if (this.userSessionSequencePromise) {
       // Prevent duplicate calls to checking the user session when they happen within the same 50ms time span
       if (Date.now() - this.lastSessionCheck < 50) {
-        return userSessionSequencePromise;
+        return this.userSessionSequencePromise;
       }
 
       this.lastSessionCheck = Date.now();
-      return userSessionSequencePromise = userSessionSequencePromise
+      return this.userSessionSequencePromise = this.userSessionSequencePromise
       .catch(() => { /* ignore since we always want to continue even after a failure */ })
       .then(() => this.userSessionContinuation(backgroundTrigger));
     }
     this.lastSessionCheck = Date.now();
-    return userSessionSequencePromise = this.userSessionContinuation(backgroundTrigger);
+    return this.userSessionSequencePromise = this.userSessionContinuation(backgroundTrigger);
   }
 
   async userSessionContinuation(backgroundTrigger) {
+    // This page is the redirect back to the app inside of an authentication popup, the window that opened the popup completes the login.
+    if (await this.isAuthenticationWindow()) {
+      windowManager.notifyAuthenticationWindowParent(windowManager.getCurrentLocation());
+      return false;
+    }
+
     const urlSearchParams = new URLSearchParams(windowManager.getCurrentLocation().search);
 
     let authRequest = {};
-    if (typeof localStorage !== 'undefined') {
-      try {
-        authRequest = JSON.parse(localStorage.getItem(AuthenticationRequestNonceKey) || '{}');
-        localStorage.removeItem(AuthenticationRequestNonceKey);
-        if (Object.hasOwnProperty.call(authRequest, 'enableCredentials')) {
-          this.enableCredentials = authRequest.enableCredentials;
-        }
-      } catch (error) {
-        this.logger && this.logger.debug && this.logger.debug({ title: 'LocalStorage failed in Browser', error });
+    try {
+      await this.userIdentityTokenStorageManager.load();
+      await this.verifyStoredTokens();
+      authRequest = JSON.parse(await this.storage.get(this.authenticationRequestNonceKey) || '{}');
+      await this.storage.remove(this.authenticationRequestNonceKey);
+      if (Object.hasOwnProperty.call(authRequest, 'enableCredentials')) {
+        this.enableCredentials = authRequest.enableCredentials;
       }
+    } catch (error) {
+      this.logger && this.logger.debug && this.logger.debug({ title: 'Storage failed in Browser', error });
     }
 
     // Your app was redirected to from the Authress Hosted Login page. The next step is to show the user the login widget and enable them to login.
@@ -333,19 +736,75 @@ class LoginClient {
       this.sanitizeQueryParameters();
     }
 
+    // A result of null means this page load is not the redirect back from this authentication request, so the existing session is checked instead.
+    const authenticationRedirectResult = await this.completeAuthenticationRedirect(authRequest, urlSearchParams);
+    if (authenticationRedirectResult !== null) {
+      return authenticationRedirectResult;
+    }
+
+    // At this point the user identity should have been loaded through cookies (if the cookie mechanism was selected and it isn't local host.) So we'll first check if a login session just completed.
+    const userData = this.getUserIdentity();
+    // User is already logged in
+    if (userData) {
+      this.userSessionResolver();
+      // The stored identity is already shared with the other tabs, so only this client is notified of the login.
+      this.publishSessionEvent(this.lastUserIdentity ? null : 'login', userData, true);
+      return true;
+    }
+
+    if (!windowManager.isLocalHost() && !backgroundTrigger) {
+      try {
+        await this.refreshSession();
+      } catch (error) {
+        // On 400, 404, 409 we know that the session is no longer able to be continued.
+        if (error.status === 400 || error.status === 404 || error.status === 409) {
+          this.logger && this.logger.log && this.logger.log({ title: 'User does not have an existing authentication session', error });
+        } else {
+          this.logger && this.logger.log && this.logger.log({ title: 'Failed attempting to check if the user has an existing authentication session', error });
+        }
+      }
+      const newUserData = this.getUserIdentity();
+      // User session exists and now is logged in
+      if (newUserData) {
+        this.userSessionResolver();
+        // A previously known session was renewed, otherwise the existing session was just picked up by this client.
+        this.publishSessionEvent(this.lastUserIdentity ? 'tokenRefreshed' : 'login', newUserData);
+        return true;
+      }
+    }
+
+    // Cross domain sessions cannot be continued using the session cookie, so instead attempt to log the user in without any user interaction, including on the background check when the page loads.
+    if (!windowManager.isLocalHost() && !this.enableCredentials && this.silentAuthenticationSettings && await this.hasSilentAuthenticationHint()) {
+      if (await this.silentAuthentication()) {
+        return true;
+      }
+      await this.updateSilentAuthenticationHint(false);
+    }
+
+    if (this.lastUserIdentity) {
+      this.publishSessionEvent('sessionExpired', null);
+    }
+    return false;
+  }
+
+  async completeAuthenticationRedirect(authRequest, urlSearchParams) {
     if (authRequest.nonce && urlSearchParams.get('code')) {
       // Compare the initial authentication requestId to the returned one. If they don't match either the nonce has been tampered with or this isn't the latest authentication request
       // * This prevents canonical replay attacks, and fall through. If the user is already logged in, then the new log in attempt is ignored.
       if (authRequest.nonce === urlSearchParams.get('nonce')) {
-        const code = urlSearchParams.get('code') === 'cookie' ? cookieManager.parse(document.cookie)['auth-code'] : urlSearchParams.get('code');
+        const code = urlSearchParams.get('code') === 'cookie' ? this.cookieJar.get('auth-code') : urlSearchParams.get('code');
         const request = { grant_type: 'authorization_code', redirect_uri: authRequest.redirectUrl, client_id: this.applicationId, code, code_verifier: authRequest.codeVerifier };
         try {
           const tokenResult = await this.httpClient.post(`/authentication/${authRequest.nonce}/tokens`, this.enableCredentials, request);
-          const idToken = jwtManager.decode(tokenResult.data.id_token);
-          const expiry = idToken.exp && new Date(idToken.exp * 1000) || tokenResult.data.expires_in && new Date(Date.now() + tokenResult.data.expires_in * 1000);
-          document.cookie = cookieManager.serialize('authorization', tokenResult.data.access_token || '', { expires: expiry, path: '/', sameSite: 'strict' });
-          userIdentityTokenStorageManager.set(tokenResult.data.id_token, expiry);
-          userSessionResolver();
+          if (!await this.verifyReceivedTokens(tokenResult.data.id_token, tokenResult.data.access_token)) {
+            return false;
+          }
+          const idToken = jwtManager.decode(tokenResult.data.id_token, this.clockSkewLeewayInSeconds);
+          const expiry = idToken.exp && new Date(idToken.exp * 1000) || tokenResult.data.expires_in && new Date(clock.now() + tokenResult.data.expires_in * 1000);
+          this.cookieJar.set('authorization', tokenResult.data.access_token || '', { expires: toCookieExpiry(expiry), path: '/', sameSite: 'strict' });
+          this.userIdentityTokenStorageManager.set(tokenResult.data.id_token, expiry);
+          this.userSessionResolver();
+          this.publishSessionEvent('login', this.getUserIdentity());
           return true;
         } catch (error) {
           this.logger && this.logger.log({ title: 'Failed exchange authentication response for a token.', error });
@@ -354,7 +813,7 @@ class LoginClient {
           if (error.data && error.data.error === 'invalid_request') {
             return false;
           }
-          throw (error.data || error);
+          throw error;
         }
       }
     }
@@ -364,51 +823,184 @@ class LoginClient {
         // Compare the initial authentication requestId to the returned one. If they don't match either the nonce has been tampered with or this isn't the latest authentication request
         // * This prevents canonical replay attacks, and fall through. If the user is already logged in, then the new log in attempt is ignored.
         if (!authRequest.nonce || authRequest.nonce === urlSearchParams.get('nonce')) {
-          const idToken = jwtManager.decode(urlSearchParams.get('id_token'));
-          const expiry = idToken.exp && new Date(idToken.exp * 1000) || Number(urlSearchParams.get('expires_in')) && new Date(Date.now() + Number(urlSearchParams.get('expires_in')) * 1000);
-          document.cookie = cookieManager.serialize('authorization', urlSearchParams.get('access_token') || '', { expires: expiry, path: '/', sameSite: 'strict' });
-          userIdentityTokenStorageManager.set(urlSearchParams.get('id_token'), expiry);
-          userSessionResolver();
+          if (!await this.verifyReceivedTokens(urlSearchParams.get('id_token'), urlSearchParams.get('access_token'))) {
+            return false;
+          }
+          const idToken = jwtManager.decode(urlSearchParams.get('id_token'), this.clockSkewLeewayInSeconds);
+          const expiry = idToken.exp && new Date(idToken.exp * 1000) || Number(urlSearchParams.get('expires_in')) && new Date(clock.now() + Number(urlSearchParams.get('expires_in')) * 1000);
+          this.cookieJar.set('authorization', urlSearchParams.get('access_token') || '', { expires: toCookieExpiry(expiry), path: '/', sameSite: 'strict' });
+          this.userIdentityTokenStorageManager.set(urlSearchParams.get('id_token'), expiry);
+          this.userSessionResolver();
+          this.publishSessionEvent('login', this.getUserIdentity());
           return true;
         }
       }
-      // Otherwise check cookies and then force the user to log in
     }
 
-    // At this point the user identity should have been loaded through cookies (if the cookie mechanism was selected and it isn't local host.) So we'll first check if a login session just completed.
-    const userData = this.getUserIdentity();
-    // User is already logged in
-    if (userData) {
-      userSessionResolver();
-      return true;
+    return null;
+  }
+
+  // Browsers clear the window name when the popup navigates to the Authress login page, so the redirect back is recognized by the request the opening window stored for it.
+  async isAuthenticationWindow() {
+    const urlSearchParams = new URLSearchParams(windowManager.getCurrentLocation().search);
+    const nonce = urlSearchParams.get('nonce');
+    if (!nonce || !windowManager.hasParentWindow()) {
+      return false;
     }
+    try {
+      if (await this.storage.get(`${this.authenticationWindowRequestKey}:${nonce}`)) {
+        return true;
+      }
+      // Storage that is not shared with the opening window, such as memory, does not contain the request. Redirects from Authress that this page did not start itself are then completed by the opening window.
+      const authRequest = JSON.parse(await this.storage.get(this.authenticationRequestNonceKey) || '{}');
+      return authRequest.nonce !== nonce && !!urlSearchParams.get('iss') && urlSearchParams.get('iss').includes(this.hostUrl);
+    } catch (error) {
+      this.logger && this.logger.debug && this.logger.debug({ title: 'Storage failed in Browser', error });
+      return false;
+    }
+  }
 
-    if (!windowManager.isLocalHost() && !backgroundTrigger) {
+  async trackAuthenticationWindowRequest(nonce) {
+    await this.storage.set(`${this.authenticationWindowRequestKey}:${nonce}`, 'true');
+    return async () => {
       try {
-        const sessionResult = await this.httpClient.patch('/session', this.enableCredentials, {}, null, true);
-        // In the case that the session contains non cookie based data, store it back to the cookie for this domain
-        if (sessionResult.data.access_token) {
-          const idToken = jwtManager.decode(sessionResult.data.id_token);
-          const expiry = idToken.exp && new Date(idToken.exp * 1000) || sessionResult.data.expires_in && new Date(Date.now() + sessionResult.data.expires_in * 1000);
-          document.cookie = cookieManager.serialize('authorization', sessionResult.data.access_token || '', { expires: expiry, path: '/', sameSite: 'strict' });
-          userIdentityTokenStorageManager.set(sessionResult.data.id_token, expiry);
-        }
+        await this.storage.remove(`${this.authenticationWindowRequestKey}:${nonce}`);
       } catch (error) {
-        // On 400, 404, 409 we know that the session is no longer able to be continued.
-        if (error.status === 400 || error.status === 404 || error.status === 409) {
-          this.logger && this.logger.log && this.logger.log({ title: 'User does not have an existing authentication session', error });
-        } else {
-          this.logger && this.logger.log && this.logger.log({ title: 'Failed attempting to check if the user has an existing authentication session', error });
-        }
+        this.logger && this.logger.debug && this.logger.debug({ title: 'Storage failed in Browser', error });
       }
-      const newUserData = this.getUserIdentity();
-      // User session exists and now is logged in
-      if (newUserData) {
-        userSessionResolver();
-        return true;
+    };
+  }
+
+  // Without a session Authress shows the login page in the hidden iframe, which is only detected by the timeout. So the silent authentication is only attempted for users that logged in before and did not log out, otherwise checking the session of logged out users would wait for the timeout on every page load.
+  async updateSilentAuthenticationHint(loggedIn) {
+    try {
+      if (loggedIn) {
+        await this.storage.set(this.silentAuthenticationHintKey, 'true');
+      } else {
+        await this.storage.remove(this.silentAuthenticationHintKey);
       }
+    } catch (error) {
+      this.logger && this.logger.debug && this.logger.debug({ title: 'Storage failed in Browser', error });
     }
-    return false;
+  }
+
+  async hasSilentAuthenticationHint() {
+    try {
+      return !!await this.storage.get(this.silentAuthenticationHintKey);
+    } catch (error) {
+      this.logger && this.logger.debug && this.logger.debug({ title: 'Storage failed in Browser', error });
+      return false;
+    }
+  }
+
+  async silentAuthentication() {
+    let iframe = null;
+    let removeWindowRequest = null;
+    try {
+      const { codeVerifier, codeChallenge } = await jwtManager.getAuthCodes();
+      const antiAbuseHash = await jwtManager.calculateAntiAbuseHash({ applicationId: this.applicationId });
+      const redirectUrl = this.silentAuthenticationSettings.redirectUrl && new URL(this.silentAuthenticationSettings.redirectUrl).toString() || windowManager.getCurrentLocation().href;
+      const authResponse = await this.httpClient.post('/authentication', false, {
+        antiAbuseHash,
+        redirectUrl, codeChallengeMethod: 'S256', codeChallenge,
+        applicationId: this.applicationId,
+        responseLocation: 'query', flowType: 'code'
+      });
+      const authRequest = { nonce: authResponse.data.authenticationRequestId, codeVerifier, redirectUrl, enableCredentials: authResponse.data.enableCredentials };
+      removeWindowRequest = await this.trackAuthenticationWindowRequest(authRequest.nonce);
+
+      iframe = windowManager.createHiddenIframe(authResponse.data.authenticationUrl);
+      if (!iframe) {
+        return false;
+      }
+
+      const redirect = await windowManager.waitForAuthenticationRedirect(iframe.contentWindow, { timeoutInMillis: this.silentAuthenticationSettings.timeoutInMillis });
+      // Without an existing session Authress redirects back with an error such as `login_required`, because the user cannot interact with the hidden iframe.
+      if (redirect.searchParams.get('error')) {
+        this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] Silent authentication did not find a session', error: redirect.searchParams.get('error') });
+        return false;
+      }
+
+      if (Object.hasOwnProperty.call(authRequest, 'enableCredentials')) {
+        this.enableCredentials = authRequest.enableCredentials;
+      }
+      return await this.completeAuthenticationRedirect(authRequest, redirect.searchParams) === true;
+    } catch (error) {
+      this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] Silent authentication failed', error });
+      return false;
+    } finally {
+      windowManager.removeIframe(iframe);
+      removeWindowRequest && await removeWindowRequest();
+    }
+  }
+
+  async refreshSession() {
+    // The browser sends the session cookies itself, on the server they are forwarded from the incoming request.
+    const cookieHeader = this.cookieJar.getRequestCookieHeader();
+    const sessionResult = await this.httpClient.patch('/session', this.enableCredentials, {}, cookieHeader ? { Cookie: cookieHeader } : null, true);
+    // In the case that the session contains non cookie based data, store it back to the cookie for this domain
+    if (sessionResult.data.access_token && await this.verifyReceivedTokens(sessionResult.data.id_token, sessionResult.data.access_token)) {
+      const idToken = jwtManager.decode(sessionResult.data.id_token, this.clockSkewLeewayInSeconds);
+      const expiry = idToken.exp && new Date(idToken.exp * 1000) || sessionResult.data.expires_in && new Date(clock.now() + sessionResult.data.expires_in * 1000);
+      this.cookieJar.set('authorization', sessionResult.data.access_token || '', { expires: toCookieExpiry(expiry), path: '/', sameSite: 'strict' });
+      this.userIdentityTokenStorageManager.set(sessionResult.data.id_token, expiry);
+    }
+  }
+
+  // The renewal updates the same tokens as the session check, so it waits for a running check, and the next check waits for the renewal.
+  sequenceBackgroundTokenRefresh() {
+    const refreshPromise = Promise.resolve(this.userSessionSequencePromise)
+    .catch(() => { /* ignore since we always want to continue even after a failure */ })
+    .then(() => this.backgroundTokenRefresh());
+    // Callers of userSessionExists() that join the sequence expect whether there is a session, rather than a failed renewal which is retried.
+    this.userSessionSequencePromise = refreshPromise.catch(() => !!this.getUserIdentity());
+    return refreshPromise;
+  }
+
+  /**
+   * @description Stops the background work of the client, the automatic token refresh and the session synchronization with other tabs. Call it before discarding the client, for example when the component that created it unmounts.
+   */
+  dispose() {
+    this.tokenRefreshScheduler && this.tokenRefreshScheduler.stop();
+    this.sessionSynchronizer.stop();
+  }
+
+  async backgroundTokenRefresh() {
+    try {
+      await this.refreshSession();
+    } catch (error) {
+      // On 400, 404, 409 we know that the session is no longer able to be continued, so there is nothing left to renew.
+      if (error.status === 400 || error.status === 404 || error.status === 409) {
+        if (this.lastUserIdentity) {
+          this.publishSessionEvent('sessionExpired', null);
+        }
+        return false;
+      }
+      throw error;
+    }
+
+    const userIdentity = this.getUserIdentity();
+    if (!userIdentity) {
+      return false;
+    }
+    this.userSessionResolver();
+    this.publishSessionEvent('tokenRefreshed', userIdentity);
+    return true;
+  }
+
+  getTokenExpiry() {
+    let accessToken = null;
+    try {
+      accessToken = this.cookieJar.get('authorization');
+    } catch (error) {
+      this.logger && this.logger.debug && this.logger.debug({ title: 'CookieManagement failed in Browser', error });
+    }
+
+    // When the application restricts javascript access to the authorization cookie, only the identity token expiry is available.
+    // * The refresh is scheduled using the device clock, so the expiry is converted to the device time.
+    const expiries = [jwtManager.decode(accessToken, this.clockSkewLeewayInSeconds), jwtManager.decodeOrParse(this.userIdentityTokenStorageManager.get(), this.clockSkewLeewayInSeconds)]
+    .filter(tokenData => tokenData && tokenData.exp).map(tokenData => clock.toLocalTime(tokenData.exp * 1000));
+    return expiries.length ? Math.min(...expiries) : null;
   }
 
   /**
@@ -421,17 +1013,13 @@ class LoginClient {
    */
   async updateExtensionAuthenticationRequest({ state, connectionId, tenantLookupIdentifier, connectionProperties }) {
     if (!connectionId && !tenantLookupIdentifier) {
-      const e = Error('connectionId or tenantLookupIdentifier must be specified');
-      e.code = 'InvalidConnection';
-      throw e;
+      throw new AuthressError('connectionId or tenantLookupIdentifier must be specified', { code: 'InvalidConnection' });
     }
 
     const urlSearchParams = new URLSearchParams(windowManager.getCurrentLocation().search);
     const authenticationRequestId = state || urlSearchParams.get('state');
     if (!authenticationRequestId) {
-      const e = Error('The `state` parameters must be specified to update this authentication request');
-      e.code = 'InvalidAuthenticationRequest';
-      throw e;
+      throw new AuthressError('The `state` parameters must be specified to update this authentication request', { code: 'InvalidAuthenticationRequest' });
     }
 
     try {
@@ -451,16 +1039,11 @@ class LoginClient {
       windowManager.assign(requestOptions.data.authenticationUrl);
     } catch (error) {
       this.logger && this.logger.log && this.logger.log({ title: 'Failed to update extension authentication request', error });
-      if (error.status && error.status >= 400 && error.status < 500) {
-        const e = Error(error.data && (error.data.title || error.data.errorCode) || error.data || 'Unknown Error');
-        e.code = error.data && error.data.errorCode;
-        throw e;
-      }
-      throw (error.data || error);
+      throw error;
     }
 
     // Prevent the current UI from taking any action once we decided we need to log in.
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    await windowManager.waitForNavigation(5000);
     return null;
   }
 
@@ -471,15 +1054,11 @@ class LoginClient {
    */
   async unlinkIdentity(identityId) {
     if (!identityId) {
-      const e = Error('connectionId must be specified');
-      e.code = 'InvalidConnection';
-      throw e;
+      throw new AuthressError('connectionId must be specified', { code: 'InvalidConnection' });
     }
 
     if (!this.getUserIdentity()) {
-      const e = Error('User must be logged in to unlink an account.');
-      e.code = 'NotLoggedIn';
-      throw e;
+      throw new NotLoggedInError('User must be logged in to unlink an account.');
     }
 
     let accessToken;
@@ -487,9 +1066,7 @@ class LoginClient {
       accessToken = await this.ensureToken({ timeoutInMillis: 100 });
     } catch (error) {
       if (error.code === 'TokenTimeout') {
-        const e = Error('User must be logged into an existing account before linking a second account.');
-        e.code = 'NotLoggedIn';
-        throw e;
+        throw new NotLoggedInError('User must be logged into an existing account before linking a second account.');
       }
     }
 
@@ -501,12 +1078,7 @@ class LoginClient {
       await this.httpClient.delete(`/identities/${encodeURIComponent(identityId)}`, this.enableCredentials, headers);
     } catch (error) {
       this.logger && this.logger.log && this.logger.log({ title: 'Failed to unlink user identity', error });
-      if (error.status && error.status >= 400 && error.status < 500) {
-        const e = Error(error.data && (error.data.title || error.data.errorCode) || error.data || 'Unknown Error');
-        e.code = error.data && error.data.errorCode;
-        throw e;
-      }
-      throw (error.data || error);
+      throw error;
     }
   }
 
@@ -520,15 +1092,11 @@ class LoginClient {
    */
   async linkIdentity({ connectionId, tenantLookupIdentifier, redirectUrl, connectionProperties }) {
     if (!connectionId && !tenantLookupIdentifier) {
-      const e = Error('connectionId or tenantLookupIdentifier must be specified');
-      e.code = 'InvalidConnection';
-      throw e;
+      throw new AuthressError('connectionId or tenantLookupIdentifier must be specified', { code: 'InvalidConnection' });
     }
 
     if (!this.getUserIdentity()) {
-      const e = Error('User must be logged into an existing account before linking a second account.');
-      e.code = 'NotLoggedIn';
-      throw e;
+      throw new NotLoggedInError('User must be logged into an existing account before linking a second account.');
     }
 
     let accessToken;
@@ -536,9 +1104,7 @@ class LoginClient {
       accessToken = await this.ensureToken({ timeoutInMillis: 100 });
     } catch (error) {
       if (error.code === 'TokenTimeout') {
-        const e = Error('User must be logged into an existing account before linking a second account.');
-        e.code = 'NotLoggedIn';
-        throw e;
+        throw new NotLoggedInError('User must be logged into an existing account before linking a second account.');
       }
     }
 
@@ -562,16 +1128,11 @@ class LoginClient {
       windowManager.assign(requestOptions.data.authenticationUrl);
     } catch (error) {
       this.logger && this.logger.log && this.logger.log({ title: 'Failed to start user identity link', error });
-      if (error.status && error.status >= 400 && error.status < 500) {
-        const e = Error(error.data && (error.data.title || error.data.errorCode) || error.data || 'Unknown Error');
-        e.code = error.data && error.data.errorCode;
-        throw e;
-      }
       throw error;
     }
 
     // Prevent the current UI from taking any action once we decided we need to log in.
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    await windowManager.waitForNavigation(5000);
   }
 
   /**
@@ -586,28 +1147,38 @@ class LoginClient {
    * @param {Boolean} [force=false] Force getting new credentials.
    * @param {Boolean} [multiAccount=false] Enable multi-account login. The user will be prompted to login with their other account, if they are not logged in already.
    * @param {Boolean} [clearUserDataBeforeLogin=true] Remove all cookies, LocalStorage, and SessionStorage related data before logging in. In most cases, this helps prevent corrupted browser state from affecting your user's experience.
-   * @return {Promise<AuthenticateResponse | null>} The authentication response.
+   * @param {String} [openType] Set to `tab` to open the login in a new tab, or `popup` to log the user in using a popup window without leaving the current page. The popup must be opened from a user interaction, such as a click handler.
+   * @return {Promise<AuthenticateResponse | null>} The authentication response. When using the `popup` openType, resolves after the login completed with the logged in user identity.
+   * @throws {PopupBlocked} When the browser blocked opening the popup.
+   * @throws {PopupClosed} When the user closed the popup before completing the login.
    */
   async authenticate(options = {}) {
     const { connectionId, tenantLookupIdentifier, inviteId, redirectUrl, force, responseLocation, flowType, connectionProperties, openType, multiAccount, clearUserDataBeforeLogin } = (options || {});
     if (responseLocation && responseLocation !== 'cookie' && responseLocation !== 'query' && responseLocation !== 'none') {
-      const e = Error('Authentication response location is not valid');
-      e.code = 'InvalidResponseLocation';
-      throw e;
+      throw new AuthressError('Authentication response location is not valid', { code: 'InvalidResponseLocation' });
+    }
+
+    // Browsers only allow popups that are opened directly from a user interaction, so the popup must be opened before waiting for anything else.
+    let popup = null;
+    let removeWindowRequest = null;
+    if (openType === 'popup') {
+      popup = windowManager.openPopup('about:blank');
+      if (!popup || popup.closed || typeof popup.closed === 'undefined') {
+        throw new AuthressError('The authentication popup was blocked by the browser. Call authenticate() directly from a user interaction such as a click handler, or use a different openType.', { code: 'PopupBlocked' });
+      }
     }
 
     if (!force && !multiAccount && await this.userSessionExists()) {
+      popup && popup.close();
       const existingJwtTokenString = await this.ensureToken();
       const jwtPayload = jwtManager.decode(existingJwtTokenString);
       if (connectionId && jwtPayload && jwtPayload.azp && connectionId !== jwtPayload.azp) {
         this.logger && this.logger.log && this.logger.log({ title: 'Authentication blocked because the user is already logged in, and the requested authentication parameters do not match the original session.', requestedAuthenticationOptions: options, currentAuthenticationSessionData: jwtPayload });
-        const e = Error(`Authentication requested for user that is already logged in, but the connectionId specified does not match their existing session.
+        throw new AuthressError(`Authentication requested for user that is already logged in, but the connectionId specified does not match their existing session.
         Recommended Options:
           (1) If the goal is to force them to log in with this new connection and ignore their existing session, use the "force" flag.
           (2) If the goal is link their current identity with a new from the new connection, use the linkIdentity() method.
-          (3) If the goal is skip log in if they are already logged in or force log in with the connectionId, first check if userSessionExists() and then only if "false", call authenticate().`);
-        e.code = 'AuthenticationConstraintContention';
-        throw e;
+          (3) If the goal is skip log in if they are already logged in or force log in with the connectionId, first check if userSessionExists() and then only if "false", call authenticate().`, { code: 'AuthenticationConstraintContention' });
       }
 
       return null;
@@ -616,11 +1187,12 @@ class LoginClient {
     const { codeVerifier, codeChallenge } = await jwtManager.getAuthCodes();
     const antiAbuseHash = await jwtManager.calculateAntiAbuseHash({ connectionId, tenantLookupIdentifier, inviteId, applicationId: this.applicationId });
 
+    let authenticationRequest;
     try {
       const normalizedRedirectUrl = redirectUrl && new URL(redirectUrl).toString();
       const selectedRedirectUrl = normalizedRedirectUrl || windowManager.getCurrentLocation().href;
       if (clearUserDataBeforeLogin !== false) {
-        userIdentityTokenStorageManager.clear();
+        this.userIdentityTokenStorageManager.clear();
       }
 
       const authResponse = await this.httpClient.post('/authentication', false, {
@@ -631,19 +1203,27 @@ class LoginClient {
         applicationId: this.applicationId,
         responseLocation, flowType, multiAccount
       });
-      localStorage.setItem(AuthenticationRequestNonceKey, JSON.stringify({
+      authenticationRequest = {
         nonce: authResponse.data.authenticationRequestId, codeVerifier, lastConnectionId: connectionId, tenantLookupIdentifier, redirectUrl: selectedRedirectUrl,
         enableCredentials: authResponse.data.enableCredentials, multiAccount
-      }));
+      };
+      // The popup login is completed by this window directly, so the request is not persisted where the page loaded in the popup could pick it up.
+      if (!popup) {
+        await this.storage.set(this.authenticationRequestNonceKey, JSON.stringify(authenticationRequest));
+      }
 
       // If authenticate is called from inside the custom login screen then instead return the redirect url and let the caller deal with it. That is, if the federated login provider is the same as the current UI, there is no need to do anything special.
       if (new URL(authResponse.data.authenticationUrl).hostname === windowManager.getCurrentLocation().hostname) {
+        popup && popup.close();
         return {
           authenticationUrl: authResponse.data.authenticationUrl
         };
       }
 
-      if (openType === 'tab') {
+      if (popup) {
+        removeWindowRequest = await this.trackAuthenticationWindowRequest(authenticationRequest.nonce);
+        popup.location.assign(authResponse.data.authenticationUrl);
+      } else if (openType === 'tab') {
         const result = windowManager.open(authResponse.data.authenticationUrl, '_blank');
         if (!result || result.closed || typeof result.closed === 'undefined') {
           windowManager.assign(authResponse.data.authenticationUrl);
@@ -652,45 +1232,78 @@ class LoginClient {
         windowManager.assign(authResponse.data.authenticationUrl);
       }
     } catch (error) {
+      popup && popup.close();
+      removeWindowRequest && await removeWindowRequest();
       this.logger && this.logger.log && this.logger.log({ title: 'Failed to start authentication for user', error });
-      if (error.status && error.status >= 400 && error.status < 500) {
-        const e = Error(error.data && (error.data.title || error.data.errorCode) || error.data || 'Unknown Error');
-        e.code = error.data && error.data.errorCode;
-        throw e;
-      }
-      throw (error.data || error);
+      throw error;
+    }
+
+    if (popup) {
+      return this.completePopupAuthentication(popup, authenticationRequest, removeWindowRequest);
     }
 
     // Prevent the current UI from taking any action once we decided we need to log in.
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    await windowManager.waitForNavigation(5000);
     return null;
   }
 
+  async completePopupAuthentication(popup, authRequest, removeWindowRequest) {
+    let redirectUrl;
+    try {
+      redirectUrl = await windowManager.waitForAuthenticationRedirect(popup);
+    } finally {
+      popup.close();
+      await removeWindowRequest();
+    }
+
+    if (redirectUrl.searchParams.get('error')) {
+      throw new AuthressError(redirectUrl.searchParams.get('error_description') || redirectUrl.searchParams.get('error'), { code: redirectUrl.searchParams.get('error') });
+    }
+
+    if (Object.hasOwnProperty.call(authRequest, 'enableCredentials')) {
+      this.enableCredentials = authRequest.enableCredentials;
+    }
+
+    // When the credentials are returned as cookies there is nothing to exchange, the cookies are shared with the popup, so the session only needs to be checked.
+    const authenticationRedirectResult = await this.completeAuthenticationRedirect(authRequest, redirectUrl.searchParams);
+    if (authenticationRedirectResult === false || authenticationRedirectResult === null && !await this.userSessionExists()) {
+      throw new AuthressError('The login in the authentication popup did not result in a valid user session.', { code: 'AuthenticationFailed' });
+    }
+
+    return { userIdentity: this.getUserIdentity() };
+  }
+
   /**
    * @description Ensures the user's bearer token exists. To be used in the Authorization header as a Bearer token. This method blocks on a valid user session being created, and expects {@link authenticate} to have been called first. Additionally, if the application configuration specifies that tokens should be secured from javascript, the token will be a hidden cookie only visible to service APIs and will not be returned. If the token is expired and the session is still valid, then it will automatically generate a new token directly from Authress.
    * @param {Object} [options] Options for getting a token including timeout configuration.
    * @param {Number} [options.timeoutInMillis=5000] Timeout waiting for user token to populate. After this time an error will be thrown.
    * @return {Promise<String>} The Authorization Bearer token
-   * @throws {TokenTimeout} After the timeout if no session was found. By default waits for 5000 for another thread to continue the session, after which if still no token exists, will throw
+   * @throws {TokenTimeoutError} After the timeout if no session was found. By default waits for 5000 for another thread to continue the session, after which if still no token exists, will throw
    */
   async ensureToken(options) {
     // When the time is set to zero, don't race the promises, instead just directly check if the token likely exists and return it. Otherwise throw.
     // * We do this to avoid a scenario where the Promise.race(setTimeout(0)) immediately returns first even if the session is available.
     if (options && options.timeoutInMillis === 0) {
       const userIdentity = this.getUserIdentity();
-      const cookies = cookieManager.parse(document.cookie);
+      const cookies = this.cookieJar.getAll();
       if (userIdentity) {
         return cookies.authorization !== 'undefined' && cookies.authorization;
       }
 
-      const error = Error('No token retrieved after timeout');
-      error.code = 'TokenTimeout';
-      throw error;
+      throw new TokenTimeoutError();
     }
 
     // Using this function blocks all ensureToken calls on a single session continuation, this is required.
     await this.userSessionExists();
 
+    // On the server there is no other thread that could still continue the session, so there is nothing to wait for.
+    if (this.isServerMode) {
+      if (!this.getUserIdentity()) {
+        throw new TokenTimeoutError();
+      }
+      return this.cookieJar.get('authorization');
+    }
+
     // Timeout after the timeout so that all threads don't "get stuck" in an unexpected way for consumers of the library.
     const inputOptions = Object.assign({ timeoutInMillis: 5000 }, options || {});
     const sessionWaiterAsync = this.waitForUserSession();
@@ -703,14 +1316,72 @@ class LoginClient {
     try {
       await Promise.race([sessionWaiterAsync, timeoutAsync]);
     } catch (timeout) {
-      const error = Error('No token retrieved after timeout');
-      error.code = 'TokenTimeout';
-      throw error;
+      throw new TokenTimeoutError();
     }
-    const cookies = cookieManager.parse(document.cookie);
+    const cookies = this.cookieJar.getAll();
     return cookies.authorization !== 'undefined' && cookies.authorization;
   }
 
+  /**
+   * @description Creates a fetch compatible function that calls your APIs with the user's token. For requests to the allowed origins the token is added as the Authorization Bearer header, and cookies are included when the custom domain matches the application domain. When the API responds with a 401, the user session is renewed and the request is replayed once.
+   * @param {Object} [options]
+   * @param {Array<String>} [options.allowedOrigins] The origins of your APIs that should receive the token, defaults to the origin of the current location. Requests to any other origin are sent unchanged.
+   * @param {Number} [options.timeoutInMillis=5000] Timeout waiting for the user token, see {@link ensureToken}.
+   * @return {Function} A function with the same signature as `fetch`.
+   * @throws {TokenTimeoutError} When no token is available for a request to an allowed origin.
+   */
+  createAuthenticatedFetch(options) {
+    const inputOptions = Object.assign({ timeoutInMillis: 5000 }, options || {});
+    const allowedOrigins = (inputOptions.allowedOrigins || [windowManager.getCurrentLocation().origin]).map(origin => new URL(origin).origin);
+
+    // Concurrent requests that fail at the same time all wait for the same session renewal.
+    let sessionRenewalPromise = null;
+    const renewSession = () => {
+      if (!sessionRenewalPromise) {
+        sessionRenewalPromise = this.sequenceBackgroundTokenRefresh().catch(error => {
+          this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] Failed to renew the session after an unauthorized response', error });
+          return false;
+        }).then(sessionRenewed => {
+          sessionRenewalPromise = null;
+          return sessionRenewed;
+        });
+      }
+      return sessionRenewalPromise;
+    };
+
+    return async (input, init) => {
+      const url = new URL(input instanceof Request ? input.url : input.toString(), windowManager.getCurrentLocation());
+      if (!allowedOrigins.includes(url.origin)) {
+        return this.httpClient.fetch(input, init);
+      }
+
+      const requestOptions = this.enableCredentials ? Object.assign({ credentials: 'include' }, init) : init;
+      // The request is cloned before it is sent, because the body can only be read once and the request might need to be replayed.
+      const request = new Request(input instanceof Request ? input : url.toString(), requestOptions);
+      const sendRequest = token => {
+        const authenticatedRequest = request.clone();
+        if (token && !authenticatedRequest.headers.has('Authorization')) {
+          authenticatedRequest.headers.set('Authorization', `Bearer ${token}`);
+        }
+        return this.httpClient.fetch(authenticatedRequest);
+      };
+
+      const response = await sendRequest(await this.ensureToken({ timeoutInMillis: inputOptions.timeoutInMillis }));
+      if (response.status !== 401 || !await renewSession()) {
+        return response;
+      }
+      return sendRequest(await this.ensureToken({ timeoutInMillis: 0 }));
+    };
+  }
+
+  /**
+   * @description In server side mode, returns the Set-Cookie headers for the cookies updated while handling the request, such as the access token from a renewed session. Add these to the response so that the browser receives the updated cookies. Outside of server side mode the cookies are written to the document directly and this is always empty.
+   * @return {Array<String>} The Set-Cookie header values.
+   */
+  getSetCookieHeaders() {
+    return this.cookieJar.getSetCookieHeaders();
+  }
+
   /**
    * @description Log the user out removing the current user's session. If the user is not logged in this has no effect. If the user is logged in via secure session, the the redirect url will be ignored. If the user is logged in without a secure session the user agent will be redirected to the hosted login and then redirected to the {@link redirectUrl}.
    * @param {String} [redirectUrl='window.location.href'] Optional redirect location to return the user to after logout. Will only be used for cross domain sessions.
@@ -727,20 +1398,19 @@ class LoginClient {
         try {
           redirectUrl = new URL(requestedRedirectUrl, windowManager.getCurrentLocation().href).toString();
         } catch (relativeRedirectUrlAlsoFailed) {
-          const e = Error(`The logout redirect url is not valid URL: ${requestedRedirectUrl}`);
-          e.code = 'InvalidRedirectUrl';
-          throw e;
+          throw new AuthressError(`The logout redirect url is not valid URL: ${requestedRedirectUrl}`, { code: 'InvalidRedirectUrl' });
         }
       }
     }
 
-    userIdentityTokenStorageManager.clear();
+    this.userIdentityTokenStorageManager.clear();
+    this.publishSessionEvent('logout', null);
 
     // Terminate all query parameters in the URL which might trick the app into thinking that the user is still logged in. Any property that is associated with Authress should be removed.
     this.sanitizeQueryParameters();
 
     // Reset user local session
-    userSessionPromise = new Promise(resolve => userSessionResolver = resolve);
+    this.resetUserSession();
     if (this.enableCredentials) {
       try {
         await this.httpClient.delete('/session', this.enableCredentials);
@@ -754,7 +1424,9 @@ class LoginClient {
       } catch (error) { /**/ }
     }
 
-    const fullLogoutUrl = new URL('/logout', this.hostUrl);
+    // The conventional configuration is used directly, so that the redirect is not delayed when nothing needs to be discovered.
+    const { end_session_endpoint: endSessionEndpoint } = this.discovery ? await this.getConfiguration() : this.openIdConfiguration.getConventionalConfiguration();
+    const fullLogoutUrl = new URL(endSessionEndpoint);
     fullLogoutUrl.searchParams.set('redirect_uri', redirectUrl || windowManager.getCurrentLocation().href);
     fullLogoutUrl.searchParams.set('client_id', this.applicationId);
     windowManager.assign(fullLogoutUrl.toString());
@@ -762,7 +1434,7 @@ class LoginClient {
     this.lastSessionCheck = 0;
 
     // Prevent the current UI from taking any action once we decided we need to log out.
-    await new Promise(resolve => setTimeout(resolve, 500));
+    await windowManager.waitForNavigation(500);
   }
 
   sanitizeQueryParameters() {
@@ -784,4 +1456,8 @@ const UserConfigurationScreen = {
   MFA: 'MFA'
 };
 
-module.exports = { LoginClient, ExtensionClient, UserConfigurationScreen };
+module.exports = {
+  LoginClient, ExtensionClient, UserConfigurationScreen,
+  LocalStorageAdapter, SessionStorageAdapter, MemoryStorageAdapter, CookieStorageAdapter,
+  AuthressError, NotLoggedInError, TokenTimeoutError, NetworkError, HttpError, BrowserExtensionError
+};
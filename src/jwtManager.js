@@ -1,18 +1,20 @@
 const base64url = require('./base64url');
 
+const DefaultClockSkewLeewayInSeconds = 10;
+
 class JwtManager {
-  decode(token) {
+  decode(token, clockSkewLeewayInSeconds = DefaultClockSkewLeewayInSeconds) {
     if (!token) {
       return null;
     }
 
     try {
       const parsedToken = JSON.parse(base64url.decode(token.split('.')[1]));
-      // If the identity expires in less than 10 seconds from now, assume it is already expired.
+      // If the identity expires in less than the leeway (default 10 seconds) from now, assume it is already expired.
       // * This blocks issues with intermittent access, and subsequent issues when the token has a limited finite lifetime
       // * All the Authress token server returns 5 second long JWT lifetimes to prevent issues with browsers refusing 0 second long lifetimes, so a buffer is required
       if (parsedToken.exp) {
-        parsedToken.exp = parsedToken.exp - 10;
+        parsedToken.exp = parsedToken.exp - clockSkewLeewayInSeconds;
       }
       return parsedToken;
     } catch (error) {
@@ -20,7 +22,7 @@ class JwtManager {
     }
   }
 
-  decodeOrParse(token) {
+  decodeOrParse(token, clockSkewLeewayInSeconds) {
     if (!token) {
       return null;
     }
@@ -32,11 +34,11 @@ class JwtManager {
     try {
       return JSON.parse(token);
     } catch (error) {
-      return this.decode(token);
+      return this.decode(token, clockSkewLeewayInSeconds);
     }
   }
 
-  decodeFull(token) {
+  decodeFull(token, clockSkewLeewayInSeconds = DefaultClockSkewLeewayInSeconds) {
     if (!token) {
       return null;
     }
@@ -44,11 +46,9 @@ class JwtManager {
     try {
       const header = JSON.parse(base64url.decode(token.split('.')[0]));
       const payload = JSON.parse(base64url.decode(token.split('.')[1]));
-      // If the identity expires in less than 10 seconds from now, assume it is already expired.
-      // * This blocks issues with intermittent access, and subsequent issues when the token has a limited finite lifetime
-      // * All the Authress token server returns 5 second long JWT lifetimes to prevent issues with browsers refusing 0 second long lifetimes, so a buffer is required
+      // If the identity expires in less than the leeway from now, assume it is already expired, see decode().
       if (payload.exp) {
-        payload.exp = payload.exp - 10;
+        payload.exp = payload.exp - clockSkewLeewayInSeconds;
       }
       return { header, payload };
     } catch (error) {
@@ -0,0 +1,78 @@
+const { AuthressError } = require('./errors');
+
+// The configuration and keys of a custom domain are shared by all clients, clients are created for every request on the server.
+const configurationCache = new Map();
+const keysCache = new Map();
+
+function cache(store, key, loader) {
+  if (!store.has(key)) {
+    const resultAsync = loader();
+    store.set(key, resultAsync);
+    // Failures are not cached, so that the next call tries again.
+    resultAsync.catch(() => store.get(key) === resultAsync && store.delete(key));
+  }
+  return store.get(key);
+}
+
+class OpenIdConfiguration {
+  /**
+   * @constructor Loads the OpenID configuration advertised by the Authress custom domain at `/.well-known/openid-configuration`.
+   * @param {String} hostUrl The Authress custom domain.
+   * @param {Function} fetchFunction The fetch implementation used to load the configuration and keys.
+   */
+  constructor(hostUrl, fetchFunction) {
+    this.hostUrl = hostUrl;
+    this.fetch = fetchFunction;
+  }
+
+  async fetchJson(url) {
+    const response = await this.fetch(url, { method: 'GET', headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new AuthressError(`[Authress Login SDK] Failed to load ${url} with status ${response.status}`, { code: 'ConfigurationNotAvailable', status: response.status });
+    }
+    return response.json();
+  }
+
+  /**
+   * @description The endpoints of the custom domain when it follows the Authress conventions, used when the configuration is not discovered.
+   * @return {Object} The configuration.
+   */
+  getConventionalConfiguration() {
+    return {
+      issuer: this.hostUrl,
+      authorization_endpoint: `${this.hostUrl}/`,
+      token_endpoint: `${this.hostUrl}/api/authentication/oauth/tokens`,
+      end_session_endpoint: `${this.hostUrl}/logout`,
+      jwks_uri: `${this.hostUrl}/.well-known/openid-configuration/jwks`
+    };
+  }
+
+  /**
+   * @description Loads the advertised configuration once, endpoints missing from it fall back to the conventional ones.
+   * @return {Promise<Object>} The configuration.
+   */
+  discover() {
+    return cache(configurationCache, this.hostUrl, async () => {
+      const discoveredConfiguration = await this.fetchJson(`${this.hostUrl}/.well-known/openid-configuration`);
+      return Object.assign(this.getConventionalConfiguration(), discoveredConfiguration);
+    });
+  }
+
+  /**
+   * @description Loads the signing keys from the advertised `jwks_uri`.
+   * @param {Boolean} [reload=false] Load the keys again instead of using the cached keys, for example after they were rotated.
+   * @return {Promise<Array<Object>>} The JSON web keys.
+   */
+  async getKeys(reload) {
+    const { jwks_uri: jwksUri } = await this.discover();
+    if (reload) {
+      keysCache.delete(jwksUri);
+    }
+    return cache(keysCache, jwksUri, async () => {
+      const jwks = await this.fetchJson(jwksUri);
+      return jwks.keys || [];
+    });
+  }
+}
+
+module.exports = OpenIdConfiguration;
@@ -0,0 +1,98 @@
+const SessionSynchronizationKey = 'AuthressSessionSynchronization';
+
+class SessionSynchronizer {
+  /**
+   * @constructor Synchronizes session changes between browser tabs of the same origin. Uses a BroadcastChannel when available and otherwise falls back to the `storage` events of writes to the storage adapter, which browsers only dispatch for LocalStorage.
+   * @param {String} namespace Isolates the messages of this client from other clients on the same page.
+   * @param {Object} storage The storage adapter configured for the client.
+   * @param {Function} onMessage Called with every message published by another tab.
+   * @param {Object} [logger] a configured logger object.
+   */
+  constructor(namespace, storage, onMessage, logger) {
+    this.channelName = namespace ? `${SessionSynchronizationKey}:${namespace}` : SessionSynchronizationKey;
+    this.storage = storage;
+    this.onMessage = onMessage;
+    this.logger = logger;
+    this.channel = null;
+    this.storageListener = null;
+  }
+
+  start() {
+    if (this.channel || this.storageListener) {
+      return;
+    }
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      try {
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = event => this.receive(event.data);
+        return;
+      } catch (error) {
+        this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] BroadcastChannel failed in Browser', error });
+      }
+    }
+
+    if (typeof window === 'undefined' || !window.addEventListener) {
+      return;
+    }
+
+    this.storageListener = event => {
+      // The key is removed directly after it is set, so removal events are ignored.
+      if (event.key !== this.channelName || !event.newValue) {
+        return;
+      }
+
+      try {
+        this.receive(JSON.parse(event.newValue));
+      } catch (error) {
+        this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] Failed to parse session synchronization message', error });
+      }
+    };
+    window.addEventListener('storage', this.storageListener);
+  }
+
+  stop() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    if (this.storageListener) {
+      window.removeEventListener('storage', this.storageListener);
+      this.storageListener = null;
+    }
+  }
+
+  async publish(message) {
+    if (this.channel) {
+      try {
+        this.channel.postMessage(message);
+      } catch (error) {
+        this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] Failed to publish session synchronization message', error });
+      }
+      return;
+    }
+
+    if (!this.storageListener) {
+      return;
+    }
+
+    try {
+      // Storage events only fire in other tabs and only when the value changes, the timestamp guarantees every message is delivered.
+      await this.storage.set(this.channelName, JSON.stringify(Object.assign({ timestamp: Date.now() }, message)));
+      await this.storage.remove(this.channelName);
+    } catch (error) {
+      this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] Failed to store session synchronization message', error });
+    }
+  }
+
+  receive(message) {
+    if (!message || !message.type) {
+      return;
+    }
+
+    this.onMessage(message);
+  }
+}
+
+module.exports = SessionSynchronizer;
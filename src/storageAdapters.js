@@ -0,0 +1,115 @@
+const cookieManager = require('cookie');
+
+/**
+ * Storage adapters persist string values by key. Every adapter exposes `get(key)`, `set(key, value)`, and `remove(key)`, which can optionally return promises.
+ */
+
+class WebStorageAdapter {
+  constructor(storageName) {
+    this.storageName = storageName;
+  }
+
+  getStorage() {
+    // Accessing the storage itself throws in sandboxed iframes, so it is resolved on every call instead of once.
+    return typeof window !== 'undefined' ? window[this.storageName] : null;
+  }
+
+  get(key) {
+    const storage = this.getStorage();
+    return storage ? storage.getItem(key) : null;
+  }
+
+  set(key, value) {
+    const storage = this.getStorage();
+    storage && storage.setItem(key, value);
+  }
+
+  remove(key) {
+    const storage = this.getStorage();
+    storage && storage.removeItem(key);
+  }
+}
+
+class LocalStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super('localStorage');
+  }
+}
+
+class SessionStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super('sessionStorage');
+  }
+}
+
+class MemoryStorageAdapter {
+  constructor() {
+    this.values = new Map();
+  }
+
+  get(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  set(key, value) {
+    this.values.set(key, value);
+  }
+
+  remove(key) {
+    this.values.delete(key);
+  }
+}
+
+class CookieStorageAdapter {
+  /**
+   * @constructor Persists values in first party cookies of the current domain.
+   * @param {Object} [options] Cookie attributes, such as `domain`, `path`, `sameSite`, `secure`, and `maxAge` in seconds.
+   */
+  constructor(options) {
+    this.options = Object.assign({ path: '/', sameSite: 'strict', maxAge: 86400 * 30 }, options);
+  }
+
+  get(key) {
+    if (typeof document === 'undefined') {
+      return null;
+    }
+    const value = cookieManager.parse(document.cookie)[encodeURIComponent(key)];
+    return typeof value === 'undefined' ? null : value;
+  }
+
+  set(key, value) {
+    if (typeof document === 'undefined') {
+      return;
+    }
+    document.cookie = cookieManager.serialize(encodeURIComponent(key), value, this.options);
+  }
+
+  remove(key) {
+    if (typeof document === 'undefined') {
+      return;
+    }
+    document.cookie = cookieManager.serialize(encodeURIComponent(key), '', Object.assign({}, this.options, { maxAge: undefined, expires: new Date(0) }));
+  }
+}
+
+function isStorageAdapter(storage) {
+  return !!storage && typeof storage.get === 'function' && typeof storage.set === 'function' && typeof storage.remove === 'function';
+}
+
+// LocalStorage is unavailable in Safari private mode, in sandboxed iframes, and outside of browsers. In those cases the data can only be kept in memory.
+function createDefaultStorageAdapter() {
+  const localStorageAdapter = new LocalStorageAdapter();
+  try {
+    const testKey = 'AuthressStorageAvailabilityCheck';
+    localStorageAdapter.set(testKey, testKey);
+    if (localStorageAdapter.get(testKey) === testKey) {
+      localStorageAdapter.remove(testKey);
+      return localStorageAdapter;
+    }
+  } catch (error) {
+    /* */
+  }
+  return new MemoryStorageAdapter();
+}
+
+module.exports = { LocalStorageAdapter, SessionStorageAdapter, MemoryStorageAdapter, CookieStorageAdapter, isStorageAdapter, createDefaultStorageAdapter };
@@ -0,0 +1,5 @@
+const MockAuthressServer = require('./mockAuthressServer');
+const TestBrowser = require('./testBrowser');
+const VirtualAuthenticator = require('./virtualAuthenticator');
+
+module.exports = { MockAuthressServer, TestBrowser, VirtualAuthenticator };
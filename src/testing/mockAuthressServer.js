@@ -0,0 +1,440 @@
+const base64url = require('../base64url');
+const totpManager = require('../totpManager');
+const { sanitizeUrl } = require('../util');
+
+function getCrypto() {
+  if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+    return globalThis.crypto;
+  }
+  return require('crypto').webcrypto;
+}
+
+function createId(prefix) {
+  const bytes = getCrypto().getRandomValues(new Uint8Array(16));
+  return `${prefix}${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function jsonResponse(status, body) {
+  return new Response(status === 204 ? null : JSON.stringify(body || {}), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+class MockAuthressServer {
+  /**
+   * @constructor An in-process fake of the Authress login API. Pass its {@link fetch} to the LoginClient or ExtensionClient `fetch` setting to send all requests to it instead of the network. The server tracks a single user session, as if it was used by a single browser.
+   * It implements the OpenID configuration and JWKS, `POST /authentication`, `POST /authentication/{id}/tokens`, `PATCH /session`, `DELETE /session`, `/session/devices`, `DELETE /identities/{id}`,
+   * and for the ExtensionClient the `refresh_token` and device code grants of `POST /authentication/oauth/tokens` and the `POST /authentication/oauth/device` device authorization. Every other route responds with a 404.
+   * @param {Object} [options]
+   * @param {String} [options.authressApiUrl='https://login.example.com'] The custom domain the server pretends to be.
+   * @param {String} [options.applicationId='app_default'] The application that users log into.
+   * @param {Object} [options.user] The claims of the user that logs in when no user is specified, defaults to `{ sub: 'test-user' }`.
+   * @param {Number} [options.tokenLifetimeInSeconds=3600] The lifetime of issued tokens.
+   */
+  constructor(options = {}) {
+    this.url = new URL(sanitizeUrl(options.authressApiUrl || 'https://login.example.com')).origin;
+    this.applicationId = options.applicationId || 'app_default';
+    this.defaultUser = Object.assign({ sub: 'test-user' }, options.user);
+    this.tokenLifetimeInSeconds = options.tokenLifetimeInSeconds || 3600;
+
+    this.authenticationRequests = new Map();
+    this.authorizationCodes = new Map();
+    this.session = null;
+    this.devices = [];
+    // The WebAuthn credentials of the devices by credential id.
+    this.webAuthnCredentials = new Map();
+    // The secrets of the TOTP devices by device id.
+    this.totpSecrets = new Map();
+    // The pending device authorizations by device code.
+    this.deviceAuthorizations = new Map();
+    // The issued refresh tokens, rotated tokens are kept to detect their reuse.
+    this.refreshTokens = new Map();
+    this.requests = [];
+    this.signingKeyPromise = null;
+
+    // Bound so that it can be passed directly as the fetch implementation.
+    this.fetch = this.fetch.bind(this);
+  }
+
+  getSigningKey() {
+    if (!this.signingKeyPromise) {
+      this.signingKeyPromise = (async () => {
+        const subtle = getCrypto().subtle;
+        const keyPair = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+        const publicJwk = await subtle.exportKey('jwk', keyPair.publicKey);
+        const keyId = createId('key-');
+        return { keyPair, jwk: { kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y, alg: 'ES256', use: 'sig', kid: keyId } };
+      })();
+    }
+    return this.signingKeyPromise;
+  }
+
+  /**
+   * @description Issues a JWT signed with the server key using ES256.
+   * @param {Object} claims The token payload.
+   * @return {Promise<String>} The signed token.
+   */
+  async createToken(claims) {
+    const { keyPair, jwk } = await this.getSigningKey();
+    const header = base64url.encode(JSON.stringify({ alg: 'ES256', typ: 'JWT', kid: jwk.kid }));
+    const payload = base64url.encode(JSON.stringify(claims));
+    const signature = await getCrypto().subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, keyPair.privateKey, new TextEncoder().encode(`${header}.${payload}`));
+    return `${header}.${payload}.${base64url.encode(signature)}`;
+  }
+
+  /**
+   * @description Verifies that the token was issued by this server and did not expire.
+   * @param {String} token The JWT.
+   * @return {Promise<Object>} The token claims, or null when the token is not valid.
+   */
+  async verifyToken(token) {
+    try {
+      const [header, payload, signature] = token.split('.');
+      const { keyPair } = await this.getSigningKey();
+      const valid = await getCrypto().subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, keyPair.publicKey, base64url.decodeToBytes(signature), new TextEncoder().encode(`${header}.${payload}`));
+      const claims = JSON.parse(base64url.decode(payload));
+      return valid && claims.exp * 1000 > Date.now() ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async issueTokens(user, connectionId) {
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + this.tokenLifetimeInSeconds;
+    // How the user authenticated, tokens issued for the current session carry its authentication.
+    const session = this.session && this.session.user.sub === user.sub ? this.session : { authTime: now, amr: ['pwd'] };
+    const authentication = { auth_time: session.authTime, amr: session.amr };
+    const accessToken = await this.createToken(Object.assign({ iss: this.url, sub: user.sub, aud: this.applicationId, client_id: this.applicationId, azp: connectionId || 'default', scope: 'openid profile email', iat: now, exp }, authentication));
+    const idToken = await this.createToken(Object.assign({}, user, { iss: this.url, aud: this.applicationId, iat: now, exp }, authentication));
+    return { access_token: accessToken, id_token: idToken, token_type: 'Bearer', expires_in: this.tokenLifetimeInSeconds };
+  }
+
+  /**
+   * @description Starts a session for the user, as if they logged in before.
+   * @param {Object} [user] The claims of the user, defaults to the server user.
+   * @param {Object} [options]
+   * @param {Array<String>} [options.amr=['pwd']] The methods the user authenticated with, such as `otp` or `hwk`.
+   * @param {Number} [options.authTime] When the user authenticated in seconds since the epoch, defaults to now.
+   */
+  startSession(user, options = {}) {
+    this.session = this.createSession(Object.assign({}, this.defaultUser, user), options.amr || ['pwd'], options.authTime);
+  }
+
+  createSession(user, amr, authTime) {
+    return { user, identities: [], amr, authTime: authTime || Math.floor(Date.now() / 1000) };
+  }
+
+  /**
+   * @description Records that the user authenticated with the device, as Authress does when the device is used to log in.
+   * @param {String} deviceId The id of the device.
+   */
+  markDeviceUsed(deviceId) {
+    const device = this.devices.find(d => d.deviceId === deviceId);
+    if (device) {
+      device.lastUsedDate = new Date().toISOString();
+    }
+  }
+
+  endSession() {
+    this.session = null;
+  }
+
+  /**
+   * @description Simulates the user completing the Authress hosted login page.
+   * @param {String|URL} authenticationUrl The authentication url returned by Authress, which the application navigated to.
+   * @param {Object} [options]
+   * @param {Object} [options.user] The claims of the user that logs in. Defaults to the user of the existing session, or the server user.
+   * @param {String} [options.error] Fail the login with this OAuth error, such as `access_denied`.
+   * @param {Array<String>} [options.amr=['pwd']] The methods the user authenticated with, such as `otp` or `hwk` when the login asked for a second factor.
+   * @return {Promise<Object>} The `redirectUrl` to navigate back to, and the `cookies` that were set for the application domain.
+   */
+  async login(authenticationUrl, options = {}) {
+    const authenticationRequestId = new URL(authenticationUrl).searchParams.get('authenticationRequestId');
+    const authenticationRequest = this.authenticationRequests.get(authenticationRequestId);
+    if (!authenticationRequest) {
+      throw Error(`The authentication url does not belong to an authentication request of this server: ${authenticationUrl}`);
+    }
+
+    const redirectUrl = new URL(authenticationRequest.redirectUrl);
+    redirectUrl.searchParams.set('nonce', authenticationRequestId);
+    redirectUrl.searchParams.set('iss', this.url);
+
+    if (options.error) {
+      redirectUrl.searchParams.set('error', options.error);
+      return { redirectUrl: redirectUrl.toString(), cookies: {} };
+    }
+
+    if (authenticationRequest.linkIdentity && this.session) {
+      this.session.identities.push({ connectionId: authenticationRequest.connectionId, userId: options.user && options.user.sub || createId('identity-') });
+    } else {
+      this.session = this.createSession(Object.assign({}, this.session && !options.user ? this.session.user : this.defaultUser, options.user), options.amr || ['pwd']);
+    }
+
+    const code = createId('code-');
+    this.authorizationCodes.set(code, { authenticationRequestId, user: this.session.user });
+    await this.getSigningKey();
+
+    if (authenticationRequest.responseLocation === 'query') {
+      redirectUrl.searchParams.set('code', code);
+      return { redirectUrl: redirectUrl.toString(), cookies: {} };
+    }
+    redirectUrl.searchParams.set('code', 'cookie');
+    return { redirectUrl: redirectUrl.toString(), cookies: { 'auth-code': code } };
+  }
+
+  /**
+   * @description Simulates the Authress hosted logout page, which ends the session.
+   * @param {String|URL} logoutUrl The logout url the application navigated to.
+   * @return {String} The url to redirect back to.
+   */
+  logout(logoutUrl) {
+    this.endSession();
+    return new URL(logoutUrl).searchParams.get('redirect_uri');
+  }
+
+  authorize(request) {
+    const authorization = request.headers.get('Authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+      return this.verifyToken(authorization.slice(7));
+    }
+    // Without a token the session cookie of the custom domain is used.
+    return this.session && this.session.user;
+  }
+
+  /**
+   * @description Simulates the user entering the user code of a device authorization on the Authress hosted device page.
+   * @param {String} userCode The user code displayed by the device.
+   * @param {Object} [options]
+   * @param {Object} [options.user] The claims of the user that logs in. Defaults to the user of the existing session, or the server user.
+   * @param {String} [options.error] Deny the login with this OAuth error, such as `access_denied`.
+   */
+  approveDeviceCode(userCode, options = {}) {
+    const deviceAuthorization = Array.from(this.deviceAuthorizations.values()).find(authorization => authorization.userCode === userCode);
+    if (!deviceAuthorization) {
+      throw Error(`The user code does not belong to a device authorization of this server: ${userCode}`);
+    }
+    if (options.error) {
+      deviceAuthorization.error = options.error;
+      return;
+    }
+    this.session = this.createSession(Object.assign({}, this.session && !options.user ? this.session.user : this.defaultUser, options.user), ['pwd']);
+    deviceAuthorization.user = this.session.user;
+  }
+
+  /**
+   * @description A fetch compatible function that handles requests to the server, and sends every other request to the global fetch.
+   * @return {Promise<Response>}
+   */
+  async fetch(input, init) {
+    const request = new Request(input, init);
+    const url = new URL(request.url);
+    if (url.origin !== this.url) {
+      return fetch(input, init);
+    }
+
+    const bodyText = await request.text();
+    // OAuth endpoints receive form encoded bodies, every other endpoint receives JSON.
+    const isFormEncoded = (request.headers.get('Content-Type') || '').startsWith('application/x-www-form-urlencoded');
+    const body = !bodyText ? null : isFormEncoded ? Object.fromEntries(new URLSearchParams(bodyText)) : JSON.parse(bodyText);
+    this.requests.push({ method: request.method, path: url.pathname, headers: request.headers, body });
+
+    try {
+      return await this.handleRequest(request, url, body);
+    } catch (error) {
+      return jsonResponse(500, { errorCode: 'InternalServerError', title: error.message });
+    }
+  }
+
+  async handleRequest(request, url, body) {
+    const route = `${request.method} ${url.pathname.replace(/\/+$/, '')}`;
+
+    if (route === 'GET /.well-known/openid-configuration') {
+      return jsonResponse(200, {
+        issuer: this.url,
+        jwks_uri: `${this.url}/.well-known/openid-configuration/jwks`,
+        authorization_endpoint: `${this.url}/`,
+        token_endpoint: `${this.url}/api/authentication/oauth/tokens`,
+        device_authorization_endpoint: `${this.url}/api/authentication/oauth/device`,
+        end_session_endpoint: `${this.url}/logout`,
+        id_token_signing_alg_values_supported: ['ES256']
+      });
+    }
+
+    if (route === 'GET /.well-known/openid-configuration/jwks') {
+      const { jwk } = await this.getSigningKey();
+      return jsonResponse(200, { keys: [jwk] });
+    }
+
+    if (route === 'POST /api/authentication') {
+      const authenticationRequestId = createId('auth-');
+      this.authenticationRequests.set(authenticationRequestId, Object.assign({}, body));
+      const authenticationUrl = new URL('/login', this.url);
+      authenticationUrl.searchParams.set('authenticationRequestId', authenticationRequestId);
+      return jsonResponse(200, { authenticationRequestId, authenticationUrl: authenticationUrl.toString() });
+    }
+
+    if (route === 'POST /api/authentication/oauth/device') {
+      const deviceCode = createId('device-code-');
+      const code = createId('').slice(0, 8).toUpperCase();
+      const userCode = `${code.slice(0, 4)}-${code.slice(4)}`;
+      this.deviceAuthorizations.set(deviceCode, { userCode, clientId: body && body.client_id, expiresAt: Date.now() + 600000, user: null, error: null });
+      return jsonResponse(200, {
+        device_code: deviceCode, user_code: userCode, verification_uri: `${this.url}/device`, verification_uri_complete: `${this.url}/device?user_code=${userCode}`, expires_in: 600, interval: 5
+      });
+    }
+
+    if (route === 'POST /api/authentication/oauth/tokens') {
+      return this.handleTokenRequest(body || {});
+    }
+
+    const tokenExchangeMatch = route.match(/^POST \/api\/authentication\/([^/]+)\/tokens$/);
+    if (tokenExchangeMatch) {
+      const authenticationRequestId = decodeURIComponent(tokenExchangeMatch[1]);
+      const authenticationRequest = this.authenticationRequests.get(authenticationRequestId);
+      const authorizationCode = this.authorizationCodes.get(body && body.code);
+      const codeChallenge = body && body.code_verifier && base64url.encode(await getCrypto().subtle.digest('SHA-256', new TextEncoder().encode(body.code_verifier)));
+      // Codes can only be exchanged once.
+      this.authorizationCodes.delete(body && body.code);
+      if (!authenticationRequest || !authorizationCode || authorizationCode.authenticationRequestId !== authenticationRequestId
+        || codeChallenge !== authenticationRequest.codeChallenge || body.redirect_uri !== authenticationRequest.redirectUrl) {
+        return jsonResponse(400, { error: 'invalid_request' });
+      }
+      return jsonResponse(200, await this.issueTokens(authorizationCode.user, authenticationRequest.connectionId));
+    }
+
+    if (route === 'PATCH /api/session') {
+      if (!this.session) {
+        return jsonResponse(404, { errorCode: 'SessionNotFound', title: 'The user does not have an active session' });
+      }
+      return jsonResponse(200, await this.issueTokens(this.session.user));
+    }
+
+    if (route === 'DELETE /api/session') {
+      this.endSession();
+      return jsonResponse(204);
+    }
+
+    const user = await this.authorize(request);
+    if (route.startsWith('GET /api/session/devices') || route.startsWith('POST /api/session/devices') || route.startsWith('PATCH /api/session/devices/') || route.startsWith('DELETE /api/session/devices/')
+      || route.startsWith('DELETE /api/identities/')) {
+      if (!user) {
+        return jsonResponse(401, { errorCode: 'Unauthorized', title: 'A valid token is required' });
+      }
+    }
+
+    if (route === 'GET /api/session/devices') {
+      return jsonResponse(200, { devices: this.devices.filter(device => device.userId === user.sub) });
+    }
+
+    if (route === 'POST /api/session/devices') {
+      const registration = body && body.type === 'WebAuthN' && body.code;
+      if (registration) {
+        const clientData = registration.client ? JSON.parse(atob(registration.client)) : {};
+        // The challenge of registrations is derived from the userId.
+        if (clientData.type !== 'webauthn.create' || clientData.challenge !== base64url.encode(user.sub)) {
+          return jsonResponse(400, { errorCode: 'InvalidChallenge', title: 'The WebAuthn registration does not contain the challenge of the user' });
+        }
+      }
+      const totpData = body && body.type === 'TOTP' && body.totpData;
+      if (totpData && (!totpData.secret || !await totpManager.verify(totpData.secret, body.code))) {
+        return jsonResponse(400, { errorCode: 'InvalidVerificationCode', title: 'The verification code does not match the TOTP secret' });
+      }
+      const device = {
+        deviceId: createId('device-'), userId: user.sub, name: body && body.name, type: body && body.type, createdDate: new Date().toISOString(), lastUsedDate: null,
+        authenticatorAttachment: registration && registration.authenticatorAttachment || null, aaguid: registration && registration.aaguid || null
+      };
+      this.devices.push(device);
+      if (totpData) {
+        this.totpSecrets.set(device.deviceId, totpData.secret);
+      }
+      if (registration) {
+        const credentialUser = this.session && this.session.user.sub === user.sub ? this.session.user : { sub: user.sub };
+        this.webAuthnCredentials.set(registration.credentialId, {
+          deviceId: device.deviceId, user: credentialUser, discoverable: !!body.discoverable, transports: registration.transports, publicKeyAlgorithm: registration.publicKeyAlgorithm
+        });
+      }
+      return jsonResponse(201, device);
+    }
+
+    const deviceUpdateMatch = route.match(/^PATCH \/api\/session\/devices\/([^/]+)$/);
+    if (deviceUpdateMatch) {
+      const device = this.devices.find(d => d.deviceId === decodeURIComponent(deviceUpdateMatch[1]) && d.userId === user.sub);
+      if (!device) {
+        return jsonResponse(404, { errorCode: 'DeviceNotFound', title: 'The device does not exist' });
+      }
+      if (!body || typeof body.name !== 'string' || !body.name.trim()) {
+        return jsonResponse(400, { errorCode: 'InvalidDeviceName', title: 'The device name must not be empty' });
+      }
+      device.name = body.name;
+      return jsonResponse(200, device);
+    }
+
+    const deviceMatch = route.match(/^DELETE \/api\/session\/devices\/([^/]+)$/);
+    if (deviceMatch) {
+      const deviceId = decodeURIComponent(deviceMatch[1]);
+      const device = this.devices.find(d => d.deviceId === deviceId && d.userId === user.sub);
+      if (!device) {
+        return jsonResponse(404, { errorCode: 'DeviceNotFound', title: 'The device does not exist' });
+      }
+      this.devices = this.devices.filter(d => d !== device);
+      Array.from(this.webAuthnCredentials.entries()).filter(([, credential]) => credential.deviceId === deviceId).forEach(([credentialId]) => this.webAuthnCredentials.delete(credentialId));
+      this.totpSecrets.delete(deviceId);
+      return jsonResponse(204);
+    }
+
+    const identityMatch = route.match(/^DELETE \/api\/identities\/([^/]+)$/);
+    if (identityMatch) {
+      const identityId = decodeURIComponent(identityMatch[1]);
+      const identities = this.session ? this.session.identities : [];
+      const identity = identities.find(i => i.connectionId === identityId || i.userId === identityId);
+      if (!identity) {
+        return jsonResponse(404, { errorCode: 'IdentityNotFound', title: 'The identity is not linked to the user' });
+      }
+      this.session.identities = identities.filter(i => i !== identity);
+      return jsonResponse(204);
+    }
+
+    return jsonResponse(404, { errorCode: 'NotFound', title: `${route} is not implemented by the MockAuthressServer` });
+  }
+
+  async handleTokenRequest(body) {
+    if (body.grant_type === 'urn:ietf:params:oauth:grant-type:device_code') {
+      const deviceAuthorization = this.deviceAuthorizations.get(body.device_code);
+      if (!deviceAuthorization || deviceAuthorization.clientId !== body.client_id) {
+        return jsonResponse(400, { error: 'invalid_grant' });
+      }
+      if (Date.now() >= deviceAuthorization.expiresAt) {
+        return jsonResponse(400, { error: 'expired_token' });
+      }
+      if (deviceAuthorization.error || !deviceAuthorization.user) {
+        return jsonResponse(400, { error: deviceAuthorization.error || 'authorization_pending' });
+      }
+      // Device codes can only be exchanged once.
+      this.deviceAuthorizations.delete(body.device_code);
+      return jsonResponse(200, await this.issueRefreshableTokens(deviceAuthorization.user, body.client_id, createId('family-')));
+    }
+
+    if (body.grant_type === 'refresh_token') {
+      const refreshToken = this.refreshTokens.get(body.refresh_token);
+      if (!refreshToken || refreshToken.clientId !== body.client_id) {
+        return jsonResponse(400, { error: 'invalid_grant' });
+      }
+      // A rotated token that is used again was leaked, so every token of the session is revoked.
+      if (refreshToken.rotated) {
+        Array.from(this.refreshTokens.entries()).filter(([, token]) => token.family === refreshToken.family).forEach(([token]) => this.refreshTokens.delete(token));
+        return jsonResponse(400, { error: 'invalid_grant' });
+      }
+      refreshToken.rotated = true;
+      return jsonResponse(200, await this.issueRefreshableTokens(refreshToken.user, body.client_id, refreshToken.family));
+    }
+
+    return jsonResponse(400, { error: 'unsupported_grant_type' });
+  }
+
+  async issueRefreshableTokens(user, clientId, family) {
+    const refreshToken = createId('refresh-');
+    this.refreshTokens.set(refreshToken, { user, clientId, family, rotated: false });
+    return Object.assign(await this.issueTokens(user), { refresh_token: refreshToken });
+  }
+}
+
+module.exports = MockAuthressServer;
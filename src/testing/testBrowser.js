@@ -0,0 +1,256 @@
+const cookieManager = require('cookie');
+const VirtualAuthenticator = require('./virtualAuthenticator');
+const windowManager = require('../windowManager');
+
+const BrowserGlobals = ['window', 'document', 'location', 'history', 'localStorage', 'sessionStorage', 'navigator'];
+
+class MemoryWebStorage {
+  constructor() {
+    this.values = new Map();
+  }
+
+  getItem(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.values.delete(key);
+  }
+
+  clear() {
+    this.values.clear();
+  }
+}
+
+class TestBrowser {
+  /**
+   * @constructor Simulates the browser globals the SDK depends on in Node.js, a single page with its location, history, cookies and storage. Navigations are recorded instead of loading pages, and {@link completeLogin} follows the redirect round trip through the {@link MockAuthressServer}.
+   * @param {MockAuthressServer} server The server that handles the Authress requests.
+   * @param {Object} [options]
+   * @param {String} [options.url='https://app.example.com/'] The initial location of the page.
+   * @param {String} [options.aaguid] The AAGUID of the {@link authenticator}.
+   */
+  constructor(server, options = {}) {
+    this.server = server;
+    this.href = new URL(options.url || 'https://app.example.com/').toString();
+    this.cookies = new Map();
+    this.navigations = [];
+    this.navigationWaiters = [];
+    this.previousGlobals = null;
+    this.localStorage = new MemoryWebStorage();
+    this.sessionStorage = new MemoryWebStorage();
+    this.authenticator = new VirtualAuthenticator(() => new URL(this.href).origin, { aaguid: options.aaguid });
+
+    const noop = () => { /* Events are not dispatched by the test browser */ };
+    const location = {
+      assign: url => this.recordNavigation(url),
+      replace: url => this.recordNavigation(url),
+      reload() { /* The page is never reloaded */ },
+      toString: () => this.href
+    };
+    ['href', 'origin', 'protocol', 'host', 'hostname', 'port', 'pathname', 'search', 'hash'].forEach(property => {
+      Object.defineProperty(location, property, { enumerable: true, get: () => new URL(this.href)[property] });
+    });
+
+    this.location = location;
+    this.history = {
+      replaceState: (state, title, url) => this.navigate(url),
+      pushState: (state, title, url) => this.navigate(url)
+    };
+    this.document = {
+      visibilityState: 'visible',
+      body: null,
+      addEventListener: noop,
+      removeEventListener: noop
+    };
+    Object.defineProperty(this.document, 'cookie', { enumerable: true, get: () => this.getCookieHeader(), set: value => { this.setCookie(value); } });
+    this.window = {
+      name: '',
+      opener: null,
+      location,
+      history: this.history,
+      document: this.document,
+      localStorage: this.localStorage,
+      sessionStorage: this.sessionStorage,
+      crypto: globalThis.crypto && globalThis.crypto.subtle ? globalThis.crypto : require('crypto').webcrypto,
+      addEventListener: noop,
+      removeEventListener: noop,
+      postMessage: noop,
+      // Popups are blocked in the test browser, so the SDK falls back to redirecting the page.
+      open: () => null
+    };
+    this.window.parent = this.window;
+    this.navigator = {
+      onLine: true,
+      credentials: {
+        create: request => this.authenticator.create(request),
+        get: request => this.authenticator.get(request)
+      }
+    };
+    this.window.navigator = this.navigator;
+    this.window.PublicKeyCredential = {};
+  }
+
+  /**
+   * @description Sets the `window`, `document`, `location`, `history`, `localStorage`, `sessionStorage`, and `navigator` globals to this browser. Call {@link uninstall} to restore the previous values.
+   * @return {TestBrowser} This browser.
+   */
+  install() {
+    if (!this.previousGlobals) {
+      this.previousGlobals = BrowserGlobals.map(name => ({ name, descriptor: Object.getOwnPropertyDescriptor(global, name) }));
+    }
+    global.window = this.window;
+    global.document = this.document;
+    global.location = this.location;
+    global.history = this.history;
+    global.localStorage = this.localStorage;
+    global.sessionStorage = this.sessionStorage;
+    // Newer Node.js versions define navigator as a getter.
+    Object.defineProperty(global, 'navigator', { value: this.navigator, configurable: true, writable: true });
+
+    // The test browser never unloads the page, so the SDK waiting for the navigation must not keep the Node.js process alive.
+    if (!this.previousWaitForNavigation) {
+      this.previousWaitForNavigation = windowManager.waitForNavigation;
+      windowManager.waitForNavigation = timeoutInMillis => new Promise(resolve => setTimeout(resolve, timeoutInMillis).unref());
+    }
+    return this;
+  }
+
+  uninstall() {
+    if (!this.previousGlobals) {
+      return;
+    }
+    this.previousGlobals.forEach(({ name, descriptor }) => {
+      if (descriptor) {
+        Object.defineProperty(global, name, descriptor);
+      } else {
+        delete global[name];
+      }
+    });
+    this.previousGlobals = null;
+    windowManager.waitForNavigation = this.previousWaitForNavigation;
+    this.previousWaitForNavigation = null;
+  }
+
+  getCookieHeader() {
+    const now = Date.now();
+    return Array.from(this.cookies.entries()).filter(([, cookie]) => !cookie.expires || cookie.expires > now).map(([name, cookie]) => `${name}=${cookie.value}`).join('; ');
+  }
+
+  getCookie(name) {
+    const value = cookieManager.parse(this.getCookieHeader())[name];
+    return value === undefined ? null : value;
+  }
+
+  setCookie(cookieString) {
+    const [nameValue, ...attributes] = cookieString.split(';');
+    const separatorIndex = nameValue.indexOf('=');
+    const name = nameValue.slice(0, separatorIndex).trim();
+    const value = nameValue.slice(separatorIndex + 1).trim();
+    let expires = null;
+    for (const attribute of attributes) {
+      const [key, attributeValue] = attribute.split('=').map(part => part && part.trim());
+      if (key.toLowerCase() === 'expires') {
+        expires = new Date(attributeValue).getTime();
+      }
+      if (key.toLowerCase() === 'max-age') {
+        expires = Date.now() + Number(attributeValue) * 1000;
+      }
+    }
+
+    // Domains and paths are not tracked, so a cookie only exists once per name.
+    if (!value || expires !== null && expires <= Date.now()) {
+      this.cookies.delete(name);
+      return;
+    }
+    this.cookies.set(name, { value, expires });
+  }
+
+  recordNavigation(url) {
+    const navigation = new URL(url, this.href).toString();
+    const waiter = this.navigationWaiters.shift();
+    if (waiter) {
+      waiter(navigation);
+      return;
+    }
+    this.navigations.push(navigation);
+  }
+
+  /**
+   * @description Waits until the page navigates away, for example when the SDK redirects to the Authress login page. The page location does not change until {@link navigate} is called.
+   * @param {Number} [timeoutInMillis=1000] How long to wait for the navigation.
+   * @return {Promise<String>} The url the page navigated to.
+   */
+  waitForNavigation(timeoutInMillis = 1000) {
+    if (this.navigations.length) {
+      return Promise.resolve(this.navigations.shift());
+    }
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const waiter = navigation => {
+        clearTimeout(timer);
+        resolve(navigation);
+      };
+      timer = setTimeout(() => {
+        this.navigationWaiters = this.navigationWaiters.filter(w => w !== waiter);
+        reject(Error('The page did not navigate before the timeout'));
+      }, timeoutInMillis);
+      timer && timer.unref && timer.unref();
+      this.navigationWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * @description Loads a new page. Clients created for the previous page should no longer be used, create a new client instead, as the application would after a page load.
+   * @param {String} url The url of the new page.
+   */
+  navigate(url) {
+    this.href = new URL(url, this.href).toString();
+  }
+
+  /**
+   * @description Completes the redirect round trip of a login started by the SDK: waits for the navigation to the Authress login page, logs the user in, sets the cookies for the application and loads the page Authress redirects back to.
+   * @param {Object} [options] The login options passed to {@link MockAuthressServer.login}.
+   * @return {Promise<String>} The url of the loaded page.
+   */
+  async completeLogin(options) {
+    const authenticationUrl = await this.waitForNavigation();
+    const { redirectUrl, cookies } = await this.server.login(authenticationUrl, options);
+    Object.keys(cookies).forEach(name => this.setCookie(cookieManager.serialize(name, cookies[name], { path: '/' })));
+    this.navigate(redirectUrl);
+    return redirectUrl;
+  }
+
+  /**
+   * @description Completes the redirect round trip of a logout started by the SDK, and loads the page Authress redirects back to.
+   * @return {Promise<String>} The url of the loaded page.
+   */
+  async completeLogout() {
+    const logoutUrl = await this.waitForNavigation();
+    const redirectUrl = this.server.logout(logoutUrl);
+    this.navigate(redirectUrl);
+    return redirectUrl;
+  }
+
+  /**
+   * @description Creates a LoginClient for the current page that sends its requests to the server.
+   * @param {Object} [settings] Overrides of the LoginClient settings.
+   * @param {Object} [logger] Defaults to a logger that drops all messages.
+   * @return {LoginClient} The client.
+   */
+  createLoginClient(settings, logger) {
+    const { LoginClient } = require('../index');
+    const defaultSettings = {
+      authressApiUrl: this.server.url, applicationId: this.server.applicationId, fetch: this.server.fetch,
+      skipBackgroundCredentialsCheck: true, skipSessionSynchronization: true
+    };
+    const noop = () => { /* Test clients are quiet by default */ };
+    return new LoginClient(Object.assign(defaultSettings, settings), logger || { debug: noop, log: noop, warn: noop, error: noop });
+  }
+}
+
+module.exports = TestBrowser;
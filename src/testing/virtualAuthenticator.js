@@ -0,0 +1,120 @@
+const base64url = require('../base64url');
+
+function getCrypto() {
+  if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+    return globalThis.crypto;
+  }
+  return require('crypto').webcrypto;
+}
+
+function toArrayBuffer(value) {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : new Uint8Array(value.buffer || value, value.byteOffset || 0, value.byteLength);
+  return bytes.slice().buffer;
+}
+
+// The COSE algorithms the authenticator can create keys for: EdDSA, ES256, and RS256.
+const SupportedAlgorithms = [-8, -7, -257];
+
+function isRelyingPartyOfOrigin(rpId, origin) {
+  const hostname = new URL(origin).hostname;
+  return hostname === rpId || hostname.endsWith(`.${rpId}`);
+}
+
+class VirtualAuthenticator {
+  /**
+   * @constructor Simulates a platform authenticator for `navigator.credentials`, which stores the created credentials and supports the EdDSA, ES256, and RS256 algorithms. Security keys are never connected, so `cross-platform` registrations fail. When asked for a credential the simulated user always selects the first matching one. Attestations and signatures are placeholders, they cannot be verified.
+   * @param {Function} getOrigin Returns the origin of the current page.
+   * @param {Object} [options]
+   * @param {String} [options.aaguid] The AAGUID identifying the model of the authenticator, for example the one of a password manager. Defaults to the empty AAGUID of unidentified authenticators.
+   */
+  constructor(getOrigin, options = {}) {
+    this.getOrigin = getOrigin;
+    this.aaguid = options.aaguid || '00000000-0000-0000-0000-000000000000';
+    this.credentials = [];
+  }
+
+  clientData(type, challenge) {
+    return toArrayBuffer(JSON.stringify({ type, challenge: base64url.encode(toArrayBuffer(challenge)), origin: this.getOrigin(), crossOrigin: false }));
+  }
+
+  async create({ publicKey }) {
+    if (!isRelyingPartyOfOrigin(publicKey.rp.id, this.getOrigin())) {
+      throw new DOMException(`The relying party ${publicKey.rp.id} is not valid for this origin.`, 'SecurityError');
+    }
+    const excludedIds = (publicKey.excludeCredentials || []).map(excluded => base64url.encode(toArrayBuffer(excluded.id)));
+    if (this.credentials.some(c => excludedIds.includes(c.id))) {
+      throw new DOMException('The authenticator already contains one of the excluded credentials.', 'InvalidStateError');
+    }
+    const algorithm = (publicKey.pubKeyCredParams || []).map(parameter => parameter.alg).find(alg => SupportedAlgorithms.includes(alg));
+    if (!algorithm) {
+      throw new DOMException('The authenticator does not support any of the requested algorithms.', 'NotSupportedError');
+    }
+    const selection = publicKey.authenticatorSelection || {};
+    if (selection.authenticatorAttachment === 'cross-platform') {
+      throw new DOMException('The user did not connect a security key.', 'NotAllowedError');
+    }
+    const credential = {
+      id: base64url.encode(getCrypto().getRandomValues(new Uint8Array(16))),
+      rpId: publicKey.rp.id,
+      userHandle: toArrayBuffer(publicKey.user.id),
+      userName: publicKey.user.name,
+      discoverable: selection.residentKey === 'required' || selection.residentKey === 'preferred' || !!selection.requireResidentKey,
+      userVerified: selection.userVerification === 'required' || selection.userVerification === 'preferred',
+      algorithm
+    };
+    this.credentials.push(credential);
+
+    const rpIdHash = new Uint8Array(await getCrypto().subtle.digest('SHA-256', new TextEncoder().encode(credential.rpId)));
+    const credentialId = base64url.decodeToBytes(credential.id);
+    const aaguid = this.aaguid.replace(/-/g, '').match(/../g).map(hex => parseInt(hex, 16));
+    // The flags mark the user as present, as verified when requested, and that the attested credential data follows. The public key is left out.
+    const authenticatorData = new Uint8Array([...rpIdHash, credential.userVerified ? 0x45 : 0x41, 0, 0, 0, 0, ...aaguid, 0, credentialId.length, ...credentialId]);
+    return {
+      id: credential.id,
+      rawId: base64url.decodeToBytes(credential.id).buffer,
+      type: 'public-key',
+      authenticatorAttachment: 'platform',
+      response: {
+        attestationObject: toArrayBuffer(JSON.stringify({ fmt: 'none' })),
+        clientDataJSON: this.clientData('webauthn.create', publicKey.challenge),
+        getTransports: () => ['internal', 'hybrid'],
+        getPublicKeyAlgorithm: () => algorithm,
+        getAuthenticatorData: () => authenticatorData.buffer
+      },
+      getClientExtensionResults: () => (publicKey.extensions && publicKey.extensions.credProps ? { credProps: { rk: credential.discoverable } } : {})
+    };
+  }
+
+  async get({ publicKey, signal }) {
+    if (signal && signal.aborted) {
+      throw new DOMException('The request was aborted.', 'AbortError');
+    }
+    if (!isRelyingPartyOfOrigin(publicKey.rpId, this.getOrigin())) {
+      throw new DOMException(`The relying party ${publicKey.rpId} is not valid for this origin.`, 'SecurityError');
+    }
+
+    const allowedIds = (publicKey.allowCredentials || []).map(allowed => base64url.encode(toArrayBuffer(allowed.id)));
+    const credential = this.credentials.find(c => c.rpId === publicKey.rpId && (allowedIds.length ? allowedIds.includes(c.id) : c.discoverable));
+    if (!credential) {
+      throw new DOMException('The user did not select a credential.', 'NotAllowedError');
+    }
+
+    const rpIdHash = new Uint8Array(await getCrypto().subtle.digest('SHA-256', new TextEncoder().encode(credential.rpId)));
+    // The flags mark the user as present, and as verified when the credential requires it.
+    const authenticatorData = new Uint8Array([...rpIdHash, credential.userVerified ? 0x05 : 0x01, 0, 0, 0, 1]);
+    return {
+      id: credential.id,
+      rawId: base64url.decodeToBytes(credential.id).buffer,
+      type: 'public-key',
+      authenticatorAttachment: 'platform',
+      response: {
+        authenticatorData: authenticatorData.buffer,
+        clientDataJSON: this.clientData('webauthn.get', publicKey.challenge),
+        signature: getCrypto().getRandomValues(new Uint8Array(64)).buffer,
+        userHandle: credential.discoverable ? credential.userHandle : null
+      }
+    };
+  }
+}
+
+module.exports = VirtualAuthenticator;
@@ -0,0 +1,121 @@
+const windowManager = require('./windowManager');
+
+// The max allowed value for setTimeout is 2**31 - 1, longer delays fire immediately.
+const MaxTimeoutInMillis = 2 ** 31 - 1;
+// Never renew more frequently than this, even when tokens are issued with a lifetime shorter than the lead time.
+const MinimumRefreshIntervalInMillis = 30000;
+
+class TokenRefreshScheduler {
+  /**
+   * @constructor Renews the user session in the background shortly before the current token expires.
+   * @param {Object} options
+   * @param {Function} options.getTokenExpiry Returns the expiry of the current token in milliseconds since the epoch, or null when there is no token.
+   * @param {Function} options.refresh Renews the session. Resolves to false when the session can no longer be renewed, and throws on transient failures.
+   * @param {Number} [options.leadTimeInMillis=60000] How long before the token expires the session should be renewed.
+   * @param {Number} [options.maxBackoffInMillis=300000] The maximum delay between retries after a failed renewal.
+   * @param {Object} [logger] a configured logger object.
+   */
+  constructor(options, logger) {
+    this.getTokenExpiry = options.getTokenExpiry;
+    this.refresh = options.refresh;
+    this.leadTimeInMillis = typeof options.leadTimeInMillis === 'number' ? options.leadTimeInMillis : 60000;
+    this.maxBackoffInMillis = typeof options.maxBackoffInMillis === 'number' ? options.maxBackoffInMillis : 300000;
+    this.logger = logger;
+
+    this.timer = null;
+    this.failureCount = 0;
+    this.lastRefresh = 0;
+    this.refreshInProgress = false;
+    this.removeVisibilityListener = null;
+  }
+
+  start() {
+    if (this.removeVisibilityListener) {
+      return;
+    }
+
+    this.removeVisibilityListener = windowManager.onVisibilityChange(visible => {
+      if (visible) {
+        this.resume();
+      } else {
+        this.cancel();
+      }
+    });
+    this.schedule();
+  }
+
+  stop() {
+    this.cancel();
+    if (this.removeVisibilityListener) {
+      this.removeVisibilityListener();
+      this.removeVisibilityListener = null;
+    }
+  }
+
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule() {
+    this.cancel();
+    if (!this.removeVisibilityListener || windowManager.isHidden()) {
+      return;
+    }
+
+    const expiry = this.getTokenExpiry();
+    if (!expiry) {
+      return;
+    }
+
+    const earliestRefresh = this.lastRefresh + MinimumRefreshIntervalInMillis;
+    const nextRefresh = Math.max(expiry - this.leadTimeInMillis, earliestRefresh);
+    this.setTimer(nextRefresh - Date.now());
+  }
+
+  // Timers are throttled while the page is hidden, so a token that is due for renewal is renewed as soon as the page is visible again.
+  resume() {
+    if (this.refreshInProgress) {
+      return;
+    }
+
+    const expiry = this.getTokenExpiry();
+    if (expiry && expiry - this.leadTimeInMillis <= Date.now()) {
+      this.cancel();
+      this.run();
+      return;
+    }
+    this.schedule();
+  }
+
+  setTimer(delayInMillis) {
+    this.cancel();
+    this.timer = setTimeout(() => this.run(), Math.min(Math.max(delayInMillis, 0), MaxTimeoutInMillis));
+  }
+
+  async run() {
+    this.timer = null;
+    if (windowManager.isHidden()) {
+      return;
+    }
+
+    this.refreshInProgress = true;
+    try {
+      this.lastRefresh = Date.now();
+      const sessionRenewed = await this.refresh();
+      this.refreshInProgress = false;
+      this.failureCount = 0;
+      if (sessionRenewed !== false) {
+        this.schedule();
+      }
+    } catch (error) {
+      this.refreshInProgress = false;
+      this.failureCount++;
+      const backoff = Math.min(1000 * 2 ** this.failureCount, this.maxBackoffInMillis);
+      this.logger && this.logger.debug && this.logger.debug({ title: '[Authress Login SDK] Background token refresh failed, retrying.', error, retryInMillis: backoff });
+      this.setTimer(backoff);
+    }
+  }
+}
+
+module.exports = TokenRefreshScheduler;
@@ -0,0 +1,123 @@
+const base64url = require('./base64url');
+const { isIssuerOfDomain } = require('./util');
+const { AuthressError } = require('./errors');
+const clock = require('./clock');
+
+const SupportedAlgorithms = {
+  ES256: { importParameters: { name: 'ECDSA', namedCurve: 'P-256' }, verifyParameters: { name: 'ECDSA', hash: 'SHA-256' } },
+  RS256: { importParameters: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verifyParameters: { name: 'RSASSA-PKCS1-v1_5' } },
+  EdDSA: { importParameters: { name: 'Ed25519' }, verifyParameters: { name: 'Ed25519' } }
+};
+
+// Tokens with unknown key ids can be sent by anyone, so the keys of a custom domain are reloaded at most once per interval for all verifiers.
+const KeyReloadIntervalInMillis = 60000;
+const lastKeyReloads = new Map();
+
+function getCrypto() {
+  if (typeof window !== 'undefined' && (window.crypto || window.msCrypto)) {
+    return window.crypto || window.msCrypto;
+  }
+  return globalThis.crypto;
+}
+
+function invalidToken(message) {
+  return new AuthressError(message, { code: 'InvalidToken' });
+}
+
+class TokenVerifier {
+  /**
+   * @constructor Verifies tokens issued by the Authress custom domain, using the keys published in the OpenID configuration of the domain.
+   * @param {String} hostUrl The Authress custom domain.
+   * @param {String} applicationId The application the tokens must be issued for.
+   * @param {OpenIdConfiguration} openIdConfiguration Provides the signing keys of the custom domain.
+   * @param {Number} [clockSkewLeewayInSeconds=10] Tokens are accepted this long before their `nbf`.
+   */
+  constructor(hostUrl, applicationId, openIdConfiguration, clockSkewLeewayInSeconds) {
+    this.hostUrl = hostUrl;
+    this.applicationId = applicationId;
+    this.openIdConfiguration = openIdConfiguration;
+    this.clockSkewLeewayInSeconds = typeof clockSkewLeewayInSeconds === 'number' ? clockSkewLeewayInSeconds : 10;
+    this.verifiedTokens = new Set();
+  }
+
+  async getKey(keyId) {
+    const keys = await this.openIdConfiguration.getKeys();
+    const key = keys.find(k => k.kid === keyId);
+    if (key) {
+      return key;
+    }
+
+    // The key is unknown when the keys were rotated after they were cached, so they are loaded again once.
+    const lastKeyReload = lastKeyReloads.get(this.hostUrl);
+    if (lastKeyReload && Date.now() - lastKeyReload < KeyReloadIntervalInMillis) {
+      return null;
+    }
+    lastKeyReloads.set(this.hostUrl, Date.now());
+    const reloadedKeys = await this.openIdConfiguration.getKeys(true);
+    return reloadedKeys.find(k => k.kid === keyId) || null;
+  }
+
+  /**
+   * @description Verifies the signature of the token and validates its `iss`, `aud`, `nbf`, and `exp` claims.
+   * @param {String} token The JWT.
+   * @return {Promise<Object>} The token claims.
+   * @throws {AuthressError} With the code `InvalidToken` when the token is not valid, or `TokenExpired` when it expired. Other errors are thrown when the keys cannot be loaded.
+   */
+  async verify(token) {
+    const [encodedHeader, encodedPayload, encodedSignature] = typeof token === 'string' ? token.split('.') : [];
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(base64url.decode(encodedHeader));
+      claims = JSON.parse(base64url.decode(encodedPayload));
+    } catch (error) {
+      throw invalidToken('The token is not a valid JWT.');
+    }
+
+    const algorithm = SupportedAlgorithms[header.alg];
+    if (!algorithm || !encodedSignature) {
+      throw invalidToken(`The token algorithm ${header.alg} is not supported.`);
+    }
+
+    const now = clock.now() / 1000;
+    if (!isIssuerOfDomain(claims.iss, this.hostUrl)) {
+      throw invalidToken('The token was not issued by the Authress custom domain.');
+    }
+    if (![].concat(claims.aud).includes(this.applicationId) && claims.client_id !== this.applicationId) {
+      throw invalidToken('The token was not issued for this application.');
+    }
+    if (!claims.exp || claims.exp <= now) {
+      throw new AuthressError('The token is expired.', { code: 'TokenExpired' });
+    }
+    if (claims.nbf && claims.nbf > now + this.clockSkewLeewayInSeconds) {
+      throw invalidToken('The token is not valid yet.');
+    }
+
+    const jwk = await this.getKey(header.kid);
+    if (!jwk || jwk.alg && jwk.alg !== header.alg) {
+      throw invalidToken('The token was not signed by a key of the Authress custom domain.');
+    }
+
+    let valid = false;
+    try {
+      const subtle = getCrypto().subtle;
+      const { kty, crv, x, y, n, e } = jwk;
+      const publicKey = await subtle.importKey('jwk', { kty, crv, x, y, n, e }, algorithm.importParameters, false, ['verify']);
+      valid = await subtle.verify(algorithm.verifyParameters, publicKey, base64url.decodeToBytes(encodedSignature), new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`));
+    } catch (error) {
+      throw new AuthressError('The token signature could not be verified.', { code: 'InvalidToken', cause: error });
+    }
+    if (!valid) {
+      throw invalidToken('The token signature is not valid.');
+    }
+
+    this.verifiedTokens.add(token);
+    return claims;
+  }
+
+  isVerified(token) {
+    return !!token && this.verifiedTokens.has(token);
+  }
+}
+
+module.exports = TokenVerifier;
@@ -0,0 +1,135 @@
+const clock = require('./clock');
+const { AuthressError } = require('./errors');
+
+const Base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Authenticator apps only reliably support the defaults of RFC 6238, so these are not configurable.
+const TimeStepInSeconds = 30;
+const Digits = 6;
+
+function getCrypto() {
+  if (typeof window !== 'undefined' && (window.crypto || window.msCrypto)) {
+    return window.crypto || window.msCrypto;
+  }
+  return globalThis.crypto;
+}
+
+class TotpManager {
+  base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+      value = value << 8 | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += Base32Alphabet[value >>> bits - 5 & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += Base32Alphabet[value << 5 - bits & 31];
+    }
+    return output;
+  }
+
+  base32Decode(secret) {
+    const normalizedSecret = secret.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const character of normalizedSecret) {
+      const index = Base32Alphabet.indexOf(character);
+      if (index === -1) {
+        throw new AuthressError(`The TOTP secret contains the invalid base32 character "${character}".`, { code: 'InvalidInput' });
+      }
+      value = value << 5 | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push(value >>> bits - 8 & 255);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * @description Generates a random secret, 160 bits as recommended by RFC 4226.
+   * @return {String} The base32 encoded secret.
+   */
+  generateSecret() {
+    return this.base32Encode(getCrypto().getRandomValues(new Uint8Array(20)));
+  }
+
+  /**
+   * @description Calculates the HOTP code (RFC 4226) of the time step.
+   * @param {String} secret The base32 encoded secret.
+   * @param {Number} counter The time step.
+   * @param {Number} [digits=6] The length of the code.
+   * @return {Promise<String>} The code.
+   */
+  async generateCode(secret, counter, digits = Digits) {
+    const key = await getCrypto().subtle.importKey('raw', this.base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const message = new DataView(new ArrayBuffer(8));
+    // The counter is a 64 bit big endian integer, which exceeds the 32 bit bitwise operators.
+    message.setUint32(0, Math.floor(counter / 2 ** 32));
+    message.setUint32(4, counter % 2 ** 32);
+    const hmac = new Uint8Array(await getCrypto().subtle.sign('HMAC', key, message.buffer));
+
+    // Dynamic truncation, the last 4 bits select the offset of the 31 bit code.
+    const offset = hmac[hmac.length - 1] & 15;
+    const binaryCode = (hmac[offset] & 127) << 24 | hmac[offset + 1] << 16 | hmac[offset + 2] << 8 | hmac[offset + 3];
+    return String(binaryCode % 10 ** digits).padStart(digits, '0');
+  }
+
+  /**
+   * @description Gets the time step of the time (RFC 6238).
+   * @param {Number} timeInMillis The time.
+   * @return {Number} The time step.
+   */
+  getCounter(timeInMillis) {
+    return Math.floor(timeInMillis / 1000 / TimeStepInSeconds);
+  }
+
+  /**
+   * @description Checks whether the code is valid for the current time step, or one of the neighboring time steps to allow for a delay while typing the code and for clock differences.
+   * @param {String} secret The base32 encoded secret.
+   * @param {String} code The code entered by the user.
+   * @param {Number} [window=1] The number of time steps before and after the current one that are also accepted.
+   * @return {Promise<Boolean>} Whether the code is valid.
+   */
+  async verify(secret, code, window = 1) {
+    const normalizedCode = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${Digits}}$`).test(normalizedCode)) {
+      return false;
+    }
+
+    const currentCounter = this.getCounter(clock.now());
+    let valid = false;
+    for (let counter = currentCounter - window; counter <= currentCounter + window; counter++) {
+      // Every time step is checked, so that the duration does not reveal which one matched.
+      valid = await this.generateCode(secret, counter) === normalizedCode || valid;
+    }
+    return valid;
+  }
+
+  /**
+   * @description Builds the otpauth:// URI, which authenticator apps import from a QR code.
+   * @param {Object} options
+   * @param {String} options.secret The base32 encoded secret.
+   * @param {String} options.issuer The service the code is for.
+   * @param {String} options.accountName The account of the user in the service.
+   * @return {String} The URI.
+   */
+  getUri({ secret, issuer, accountName }) {
+    // https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+    const uri = new URL(`otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`);
+    uri.searchParams.set('secret', secret);
+    uri.searchParams.set('issuer', issuer);
+    uri.searchParams.set('algorithm', 'SHA1');
+    uri.searchParams.set('digits', String(Digits));
+    uri.searchParams.set('period', String(TimeStepInSeconds));
+    return uri.toString();
+  }
+}
+
+module.exports = new TotpManager();
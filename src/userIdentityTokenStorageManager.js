@@ -1,50 +1,121 @@
-const cookieManager = require('cookie');
+const { createDefaultStorageAdapter } = require('./storageAdapters');
+const { BrowserCookieJar } = require('./cookieJar');
+const clock = require('./clock');
 
 const AuthenticationCredentialsStorageKey = 'AuthenticationCredentialsStorage';
 
 class UserIdentityTokenStorageManager {
+  /**
+   * @constructor Stores the user identity for a single LoginClient.
+   * @param {String} [namespace] Isolates the stored identity from other clients on the same page, usually the custom domain host and the applicationId.
+   * @param {Object} [storage] The storage adapter used to persist the identity, defaults to LocalStorage when it is available.
+   * @param {Object} [cookieJar] The source of the cookies, defaults to the cookies of the current document.
+   * @param {Function} [isOwnToken] Returns whether an identity stored before the storage was namespaced belongs to this client.
+   */
+  constructor(namespace, storage, cookieJar, isOwnToken) {
+    this.storageKey = namespace ? `${AuthenticationCredentialsStorageKey}:${namespace}` : AuthenticationCredentialsStorageKey;
+    this.storage = storage || createDefaultStorageAdapter();
+    this.cachedValue = null;
+    this.cookieJar = cookieJar || new BrowserCookieJar();
+    this.isOwnToken = isOwnToken || (() => true);
+    this.legacyValueChecked = this.storageKey === AuthenticationCredentialsStorageKey;
+  }
+
   getUserCookie() {
-    if (typeof window === 'undefined' || typeof document === 'undefined') {
-      return null;
-    }
-    // Skip empty cookies when fetching
-    const val = document.cookie.split(';').filter(c => c.split('=')[0].trim() === 'user').map(c => c.replace(/^user=/, '')).find(c => c && c.trim()) || null;
-    return val;
+    return this.cookieJar.get('user');
   }
 
-  set(value, expiry) {
-    if (typeof window === 'undefined' || typeof document === 'undefined') {
-      return;
+  getCookies() {
+    try {
+      return this.cookieJar.getAll();
+    } catch (error) {
+      console.debug('CookieManagement failed in Browser', error);
+      return {};
     }
+  }
 
+  // Asynchronous storage adapters cannot be read synchronously, so the identity is additionally kept in memory and loading populates it from the storage.
+  async load() {
     try {
-      const cookies = cookieManager.parse(document.cookie);
-      localStorage.setItem(AuthenticationCredentialsStorageKey, JSON.stringify({ idToken: value, expiry: expiry && expiry.getTime(), jsCookies: !!cookies.authorization }));
-      this.clearCookies('user');
+      this.cachedValue = await this.storage.get(this.storageKey);
+      if (!this.cachedValue && !this.legacyValueChecked) {
+        this.cachedValue = this.migrateLegacyValue(await this.storage.get(AuthenticationCredentialsStorageKey));
+      }
     } catch (error) {
-      console.debug('LocalStorage failed in Browser', error);
+      console.debug('Storage failed in Browser', error);
     }
   }
 
-  get() {
-    if (typeof window === 'undefined' || typeof document === 'undefined') {
+  readStoredValue() {
+    const value = this.storage.get(this.storageKey);
+    if (value && typeof value.then === 'function') {
+      value.then(resolvedValue => { this.cachedValue = resolvedValue; }).catch(error => console.debug('Storage failed in Browser', error));
+      return this.cachedValue;
+    }
+    if (!value && !this.legacyValueChecked) {
+      const legacyValue = this.storage.get(AuthenticationCredentialsStorageKey);
+      // Asynchronous storage is migrated when it is loaded instead.
+      if (!legacyValue || typeof legacyValue.then !== 'function') {
+        return this.migrateLegacyValue(legacyValue);
+      }
+    }
+    this.cachedValue = value;
+    return value;
+  }
+
+  // Identities were stored under a single key before the storage was namespaced, the identity is moved once to the namespace of the client that owns it.
+  migrateLegacyValue(legacyValue) {
+    this.legacyValueChecked = true;
+    let idToken = null;
+    try {
+      idToken = legacyValue && JSON.parse(legacyValue).idToken;
+    } catch (error) {
+      return null;
+    }
+    if (!idToken || !this.isOwnToken(idToken)) {
       return null;
     }
 
-    let cookies = {};
+    const result = this.storage.remove(AuthenticationCredentialsStorageKey);
+    if (result && typeof result.catch === 'function') {
+      result.catch(error => console.debug('Storage failed in Browser', error));
+    }
+    this.writeStoredValue(legacyValue);
+    return legacyValue;
+  }
+
+  writeStoredValue(value) {
+    this.cachedValue = value;
+    const result = value === null ? this.storage.remove(this.storageKey) : this.storage.set(this.storageKey, value);
+    if (result && typeof result.catch === 'function') {
+      result.catch(error => console.debug('Storage failed in Browser', error));
+    }
+  }
+
+  set(value, expiry) {
     try {
-      cookies = cookieManager.parse(document.cookie);
+      const cookies = this.getCookies();
+      this.writeStoredValue(JSON.stringify({ idToken: value, expiry: expiry && expiry.getTime(), jsCookies: !!cookies.authorization }));
+      // On the server the user cookie is only read, removing it would also remove it from the browser that still depends on it.
+      if (typeof window !== 'undefined') {
+        this.clearCookies('user');
+      }
     } catch (error) {
-      console.debug('CookieManagement failed in Browser', error);
+      console.debug('Storage failed in Browser', error);
     }
+  }
+
+  get() {
+    const cookies = this.getCookies();
 
     try {
-      const { idToken, expiry, jsCookies } = JSON.parse(localStorage.getItem(AuthenticationCredentialsStorageKey) || '{}');
+      const { idToken, expiry, jsCookies } = JSON.parse(this.readStoredValue() || '{}');
       if (!idToken) {
         return this.getUserCookie();
       }
 
-      if (expiry < Date.now()) {
+      // The expiry is the server time, so it is compared to the estimated server time instead of the device clock.
+      if (expiry < clock.now()) {
         return null;
       }
 
@@ -57,16 +128,16 @@ class UserIdentityTokenStorageManager {
 
       return idToken;
     } catch (error) {
-      console.debug('LocalStorage failed in Browser', error);
+      console.debug('Storage failed in Browser', error);
       return this.getUserCookie();
     }
   }
 
   delete() {
     try {
-      localStorage.removeItem(AuthenticationCredentialsStorageKey);
+      this.writeStoredValue(null);
     } catch (error) {
-      console.debug('LocalStorage failed in Browser', error);
+      console.debug('Storage failed in Browser', error);
     }
 
     try {
@@ -82,43 +153,16 @@ class UserIdentityTokenStorageManager {
   }
 
   clearCookies(cookieName) {
-    if (typeof window === 'undefined' || typeof document === 'undefined') {
-      return;
-    }
-
-    const cookies = document.cookie.split('; ');
-    for (const cookie of cookies) {
+    const cookies = this.getCookies();
+    for (const name of Object.keys(cookies)) {
       // Remove only the cookies that are relevant to the client
-      if (!['user', 'authorization', 'auth-code', 'AuthUserId'].includes(cookie.split('=')[0]) || cookieName && cookie.split('=')[0] !== cookieName) {
+      if (!['user', 'authorization', 'auth-code', 'AuthUserId'].includes(name) || cookieName && name !== cookieName) {
         continue;
       }
 
-      const domainParts = window.location.hostname.split('.');
-
-      const domainsToRemove = [...Array(domainParts.length - 1)].map((_, partLength) => domainParts.reverse().slice(0, partLength + 2).reverse().join('.')).map(domain => [domain, `.${domain}`]).flat(1).concat(null);
-
-      if (window.location.hostname === 'localhost') {
-        domainsToRemove.push('localhost');
-      }
-
-      // We will also clear cookies associated with localhost, but of course we don't need to clear domain cookies for the TLD, because parts like .com don't have cookies.
-      // * So instead we loop on domain parts more than just a single part.
-      for (const domain of domainsToRemove) {
-        const domainString = domain ? `domain=${domain};` : '';
-        const cookieBase = `${encodeURIComponent(cookie.split(';')[0].split('=')[0])}=; expires=Thu, 01-Jan-1970 00:00:01 GMT; ${domainString} SameSite=Strict; path=`;
-        // console.log('clearing cookie', `${cookieBase}/`);
-        document.cookie = `${cookieBase}/`;
-
-        // Also update all the paths as well
-        const path = location.pathname.split('/');
-        while (path.length > 0) {
-          // console.log('clearing cookie', cookieBase + path.join('/'));
-          document.cookie = cookieBase + path.join('/');
-          path.pop();
-        }
-      }
+      this.cookieJar.remove(name);
     }
   }
 }
 
-module.exports = new UserIdentityTokenStorageManager();
+module.exports = UserIdentityTokenStorageManager;
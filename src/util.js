@@ -13,3 +13,18 @@ module.exports.sanitizeUrl = function sanitizeUrl(rawUrlString) {
 
   return sanitizedUrl.replace(/[/]+$/, '');
 };
+
+// The issuer is limited to the Authress custom domain FQDN or one of its subdomains, and the hostUrl could be a specific subdomain for the tenant.
+// * issuer = tenant.custom.domain, hostUrl = custom.domain => ✓
+// * issuer = accountId.login.authress.io, hostUrl = login.authress.io => ✓
+// * issuer = custom.domain, hostUrl = tenant.custom.domain => ✗
+module.exports.isIssuerOfDomain = function isIssuerOfDomain(issuer, hostUrl) {
+  try {
+    const issuerHostname = new URL(issuer).hostname;
+    const hostUrlHostname = new URL(hostUrl).hostname;
+    // Only complete labels match, so that evilauth.example.com is not accepted for auth.example.com.
+    return issuerHostname === hostUrlHostname || issuerHostname.endsWith(`.${hostUrlHostname}`);
+  } catch (error) {
+    return false;
+  }
+};
@@ -0,0 +1,148 @@
+const base64url = require('./base64url');
+const { AuthressError } = require('./errors');
+
+// https://www.iana.org/assignments/cose/cose.xhtml#algorithms
+const CoseAlgorithms = {
+  EdDSA: -8,
+  ES256: -7,
+  ES384: -35,
+  ES512: -36,
+  PS256: -37,
+  PS384: -38,
+  PS512: -39,
+  RS256: -257,
+  RS384: -258,
+  RS512: -259
+};
+
+// Order Matters, authenticators use the first algorithm they support. Some browsers do not support the other algorithms, which can be enabled with the `algorithms` option.
+const DefaultAlgorithms = ['ES256', 'RS256'];
+
+// The authenticators identified by the AAGUID of their credentials, see https://github.com/passkeydeveloper/passkey-authenticator-aaguids
+const AuthenticatorVendors = {
+  'fbfc3007-154e-4ecc-8c0b-6e020557d7bd': 'iCloud Keychain',
+  'ea9b8d66-4d01-1d21-3ce4-b6b48cb575d4': 'Google Password Manager',
+  'adce0002-35bc-c60a-648b-0b25f1f05503': 'Chrome on Mac',
+  '08987058-cadc-4b81-b6e1-30de50dcbe96': 'Windows Hello',
+  '9ddd1817-af5a-4672-a2b9-3e3dd95000a9': 'Windows Hello',
+  '6028b017-b1d4-4c02-b4b3-afcdafc96bb2': 'Windows Hello',
+  '53414d53-554e-4700-0000-000000000000': 'Samsung Pass',
+  'bada5566-a7aa-401f-bd96-45619a55120d': '1Password',
+  'd548826e-79b4-db40-a3d8-11116f7e8349': 'Bitwarden',
+  '531126d6-e717-415c-9320-3d9aa6981239': 'Dashlane',
+  '50726f74-6f6e-5061-7373-50726f746f6e': 'Proton Pass',
+  'fdb141b2-5d84-443e-8a35-4698c205a502': 'KeePassXC',
+  'cb69481e-8ff7-4039-93ec-0a2729a154a8': 'YubiKey 5',
+  'ee882879-721c-4913-9775-3dfcce97072a': 'YubiKey 5',
+  'fa2b99dc-9e39-4257-8f92-4a30d23c4118': 'YubiKey 5',
+  '2fc0579f-8113-47ea-b116-bb5a8db9202a': 'YubiKey 5'
+};
+
+function toBase64(buffer) {
+  return buffer ? btoa(String.fromCharCode(...new Uint8Array(buffer))) : null;
+}
+
+class WebAuthnManager {
+  getPublicKeyCredential() {
+    return typeof window !== 'undefined' ? window.PublicKeyCredential : null;
+  }
+
+  isSupported() {
+    return typeof navigator !== 'undefined' && !!navigator.credentials && !!this.getPublicKeyCredential();
+  }
+
+  getRelyingPartyId(hostUrl) {
+    // Allow all subdomains, this works because Authress always runs on a subdomain such as login.example.com, where the domain example.com is owned by the authress account owner.
+    return new URL(hostUrl).hostname.split('.').slice(1).join('.');
+  }
+
+  /**
+   * @description Reads the AAGUID, which identifies the model of the authenticator, from the authenticator data of a new credential.
+   * @param {ArrayBuffer} authenticatorData The authenticator data.
+   * @return {String} The AAGUID formatted as a UUID, or null when the data does not contain a credential.
+   */
+  getAaguid(authenticatorData) {
+    const bytes = authenticatorData ? new Uint8Array(authenticatorData) : new Uint8Array(0);
+    // The rpIdHash (32 bytes), flags (1 byte), and signature counter (4 bytes) are followed by the attested credential data when the AT flag is set.
+    if (bytes.length < 53 || !(bytes[32] & 0x40)) {
+      return null;
+    }
+    const hex = Array.from(bytes.slice(37, 53), b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * @description Gets the name of the authenticator, such as a password manager or security key, that created the credential.
+   * @param {String} aaguid The AAGUID of the credential.
+   * @return {String} The name, or null when the authenticator is unknown.
+   */
+  getAuthenticatorVendorName(aaguid) {
+    return aaguid && AuthenticatorVendors[aaguid.toLowerCase()] || null;
+  }
+
+  /**
+   * @description Converts algorithm names to the WebAuthn credential parameters, in the order of preference.
+   * @param {Array<String>} algorithms The algorithm names, such as `ES256`.
+   * @return {Array<Object>} The `pubKeyCredParams`.
+   */
+  getCredentialParameters(algorithms) {
+    return algorithms.map(algorithm => {
+      if (!Object.hasOwnProperty.call(CoseAlgorithms, algorithm)) {
+        throw new AuthressError(`The WebAuthn algorithm "${algorithm}" is not supported, use one of ${Object.keys(CoseAlgorithms).join(', ')}.`, { code: 'InvalidInput' });
+      }
+      return { type: 'public-key', alg: CoseAlgorithms[algorithm] };
+    });
+  }
+
+  /**
+   * @description Creates a new WebAuthn credential for the user and returns the registration to send to Authress.
+   * @param {String} hostUrl The Authress custom domain.
+   * @param {Object} options
+   * @param {Object} options.user The `id`, `name`, and `displayName` of the user, the base64url encoded `id` is also the challenge Authress verifies.
+   * @param {Array<String>} [options.algorithms] The allowed algorithm names in the order of preference, ES256 and RS256 by default.
+   * @param {Object} [options.authenticatorSelection] The WebAuthn authenticator selection criteria.
+   * @return {Promise<Object>} The credential registration.
+   */
+  async createCredential(hostUrl, { user, algorithms, authenticatorSelection }) {
+    // https://developer.mozilla.org/en-US/docs/Web/API/CredentialsContainer/create
+    // Development Note: To actually test to see if this works on your local development machine, run this code on an https domain in the Web Inspector Console tab.
+    const publicKeyCredentialCreationOptions = {
+      // Authress does not issue registration challenges, it verifies the challenge derived from the userId.
+      challenge: base64url.decodeToBytes(user.id),
+      rp: {
+        id: this.getRelyingPartyId(hostUrl),
+        name: 'WebAuthN Login'
+      },
+      user: {
+        id: base64url.decodeToBytes(user.id),
+        name: user.name,
+        displayName: user.displayName
+      },
+      pubKeyCredParams: this.getCredentialParameters(algorithms || DefaultAlgorithms),
+      // Options that are not set are left to the browser.
+      authenticatorSelection: JSON.parse(JSON.stringify(authenticatorSelection || {})),
+      timeout: 60000,
+      attestation: 'direct'
+    };
+
+    const credential = await navigator.credentials.create({
+      publicKey: publicKeyCredentialCreationOptions
+    });
+
+    // Browsers that do not support getAuthenticatorData() only expose the AAGUID in the attestation object, which Authress reads instead.
+    const authenticatorData = typeof credential.response.getAuthenticatorData === 'function' ? credential.response.getAuthenticatorData() : null;
+    return {
+      authenticatorAttachment: credential.authenticatorAttachment,
+      credentialId: credential.id,
+      aaguid: this.getAaguid(authenticatorData),
+      type: credential.type,
+      attestation: toBase64(credential.response.attestationObject),
+      client: toBase64(credential.response.clientDataJSON),
+      transports: typeof credential.response.getTransports === 'function' ? credential.response.getTransports() : [],
+      publicKeyAlgorithm: typeof credential.response.getPublicKeyAlgorithm === 'function' ? credential.response.getPublicKeyAlgorithm() : null,
+      clientExtensionResults: typeof credential.getClientExtensionResults === 'function' ? credential.getClientExtensionResults() : {}
+    };
+  }
+}
+
+module.exports = new WebAuthnManager();
@@ -1,8 +1,29 @@
+const { AuthressError } = require('./errors');
+
+// The name of popups and iframes opened by the SDK, used to detect that the current page is running inside one of them.
+const AuthenticationWindowName = 'AuthressAuthenticationWindow';
+const AuthenticationRedirectMessageType = 'AuthressAuthenticationRedirect';
+
 class WindowManager {
   onLoad(callback) {
-    if (typeof window !== 'undefined') {
-      window.onload = callback;
+    // Listen for the event instead of assigning window.onload, which would replace the handler of the application and of other clients.
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('load', callback);
+    }
+  }
+
+  isHidden() {
+    return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+  }
+
+  onVisibilityChange(callback) {
+    if (typeof document === 'undefined' || !document.addEventListener) {
+      // eslint-disable-next-line @typescript-eslint/no-empty-function
+      return () => {};
     }
+    const listener = () => callback(!this.isHidden());
+    document.addEventListener('visibilitychange', listener);
+    return () => document.removeEventListener('visibilitychange', listener);
   }
 
   isLocalHost() {
@@ -21,12 +42,109 @@ class WindowManager {
     return window.location.assign(newLocationUrl.toString());
   }
 
+  // Resolves after the timeout, unless the page navigated away first.
+  waitForNavigation(timeoutInMillis) {
+    return new Promise(resolve => setTimeout(resolve, timeoutInMillis));
+  }
+
   open(newLocationUrl) {
     if (typeof window === 'undefined') {
       return null;
     }
     return window.open(newLocationUrl.toString());
   }
+
+  openPopup(newLocationUrl, width = 500, height = 700) {
+    if (typeof window === 'undefined') {
+      return null;
+    }
+    const left = Math.max(0, (window.screenX || 0) + ((window.outerWidth || width) - width) / 2);
+    const top = Math.max(0, (window.screenY || 0) + ((window.outerHeight || height) - height) / 2);
+    return window.open(newLocationUrl.toString(), AuthenticationWindowName, `popup=yes,width=${width},height=${height},left=${left},top=${top}`);
+  }
+
+  createHiddenIframe(newLocationUrl) {
+    if (typeof document === 'undefined' || !document.body) {
+      return null;
+    }
+    const iframe = document.createElement('iframe');
+    iframe.name = AuthenticationWindowName;
+    iframe.style.display = 'none';
+    iframe.setAttribute('aria-hidden', 'true');
+    iframe.tabIndex = -1;
+    iframe.src = newLocationUrl.toString();
+    document.body.appendChild(iframe);
+    return iframe;
+  }
+
+  removeIframe(iframe) {
+    if (iframe && iframe.parentNode) {
+      iframe.parentNode.removeChild(iframe);
+    }
+  }
+
+  // Whether this page was opened as a popup or is loaded inside of an iframe.
+  hasParentWindow() {
+    return typeof window !== 'undefined' && !!(window.opener || window.parent && window.parent !== window);
+  }
+
+  notifyAuthenticationWindowParent(redirectUrl) {
+    const parentWindow = window.opener || window.parent;
+    parentWindow.postMessage({ type: AuthenticationRedirectMessageType, redirectUrl: redirectUrl.toString() }, window.location.origin);
+  }
+
+  /**
+   * @description Waits for a popup or iframe opened by the SDK to be redirected back to this origin after authentication. The redirect is detected by a message from the SDK running in the child window, or by polling the child window location.
+   * @param {Window} childWindow The popup or iframe content window.
+   * @param {Object} [options]
+   * @param {Number} [options.timeoutInMillis] Reject with a `AuthenticationWindowTimeout` error if no redirect happened within this time.
+   * @return {Promise<URL>} The url the child window was redirected to.
+   */
+  waitForAuthenticationRedirect(childWindow, options = {}) {
+    return new Promise((resolve, reject) => {
+      let pollingInterval = null;
+      let timeout = null;
+      let messageListener = null;
+      const finish = (error, redirectUrl) => {
+        clearInterval(pollingInterval);
+        clearTimeout(timeout);
+        window.removeEventListener('message', messageListener);
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(new URL(redirectUrl));
+      };
+      messageListener = event => {
+        if (event.origin !== window.location.origin || event.source !== childWindow || !event.data || event.data.type !== AuthenticationRedirectMessageType) {
+          return;
+        }
+        finish(null, event.data.redirectUrl);
+      };
+      window.addEventListener('message', messageListener);
+
+      pollingInterval = setInterval(() => {
+        if (childWindow.closed) {
+          finish(new AuthressError('The authentication popup was closed before the login completed.', { code: 'PopupClosed' }));
+          return;
+        }
+
+        try {
+          // Reading the location throws while the window is still on a different origin, such as the Authress login page.
+          const childLocation = childWindow.location;
+          if (childLocation.origin === window.location.origin && (/[?&](code|nonce|access_token|error)=/).test(childLocation.search)) {
+            finish(null, childLocation.href);
+          }
+        } catch (error) {
+          /* */
+        }
+      }, 100);
+
+      if (options.timeoutInMillis) {
+        timeout = setTimeout(() => finish(new AuthressError('The authentication window did not complete the login in time.', { code: 'AuthenticationWindowTimeout' })), options.timeoutInMillis);
+      }
+    });
+  }
 }
 
 module.exports = new WindowManager();
@@ -0,0 +1,112 @@
+import { LoginClient, Settings } from '.';
+
+/** Options of the {@link MockAuthressServer}. */
+export interface MockAuthressServerOptions {
+  /** The custom domain the server pretends to be. (Default: **https://login.example.com**) */
+  authressApiUrl?: string;
+  /** The application that users log into. (Default: **app_default**) */
+  applicationId?: string;
+  /** The claims of the user that logs in when no user is specified. (Default: **`{ sub: 'test-user' }`**) */
+  user?: Record<string, unknown>;
+  /** The lifetime of issued tokens. (Default: **3600**) */
+  tokenLifetimeInSeconds?: number;
+}
+
+/** Options to complete a login on the {@link MockAuthressServer}. */
+export interface MockLoginOptions {
+  /** The claims of the user that logs in. (Default: **the user of the existing session, or the server user**) */
+  user?: Record<string, unknown>;
+  /** Fail the login with this OAuth error, such as `access_denied`. */
+  error?: string;
+  /** The methods the user authenticated with, such as `otp` or `hwk` when the login asked for a second factor. (Default: **['pwd']**) */
+  amr?: string[];
+}
+
+/** The result of a login on the {@link MockAuthressServer}. */
+export interface MockLoginResult {
+  /** The application url Authress redirects the user back to. */
+  redirectUrl: string;
+  /** The cookies set for the application domain. */
+  cookies: Record<string, string>;
+}
+
+/**
+ * An in-process fake of the Authress login API, pass its `fetch` to the LoginClient or ExtensionClient `fetch` setting.
+ * It implements the OpenID configuration and JWKS, `POST /authentication`, `POST /authentication/{id}/tokens`, `PATCH /session`, `DELETE /session`, `/session/devices`, `DELETE /identities/{id}`,
+ * and for the ExtensionClient the `refresh_token` and device code grants of `POST /authentication/oauth/tokens` and the `POST /authentication/oauth/device` device authorization. Every other route responds with a 404.
+ */
+export class MockAuthressServer {
+  constructor(options?: MockAuthressServerOptions);
+  /** The origin of the custom domain. */
+  readonly url: string;
+  readonly applicationId: string;
+  /** Every request received by the server. */
+  requests: Array<{ method: string; path: string; headers: Headers; body: unknown }>;
+  /** A fetch compatible function that handles requests to the server, and sends every other request to the global fetch. */
+  fetch(input: RequestInfo | URL, init?: RequestInit): Promise<Response>;
+  /** Issues a JWT signed with the server key using ES256. */
+  createToken(claims: Record<string, unknown>): Promise<string>;
+  /** Returns the token claims when the token was issued by this server and did not expire, otherwise null. */
+  verifyToken(token: string): Promise<Record<string, unknown> | null>;
+  /** Starts a session for the user, as if they logged in before. The `amr` (Default: **['pwd']**) and `authTime` in seconds (Default: **now**) describe how the user authenticated. */
+  startSession(user?: Record<string, unknown> | null, options?: { amr?: string[]; authTime?: number }): void;
+  endSession(): void;
+  /** Records that the user authenticated with the device, as Authress does when the device is used to log in. */
+  markDeviceUsed(deviceId: string): void;
+  /** Simulates the user completing the Authress hosted login page. */
+  login(authenticationUrl: string, options?: MockLoginOptions): Promise<MockLoginResult>;
+  /** Simulates the user entering the user code of a device authorization on the Authress hosted device page. Pass an `error`, such as `access_denied`, to deny the login instead. */
+  approveDeviceCode(userCode: string, options?: { user?: Record<string, unknown>; error?: string }): void;
+  /** Simulates the Authress hosted logout page, which ends the session, and returns the url to redirect back to. */
+  logout(logoutUrl: string): string;
+}
+
+/** Options of the {@link TestBrowser}. */
+export interface TestBrowserOptions {
+  /** The initial location of the page. (Default: **https://app.example.com/**) */
+  url?: string;
+  /** The AAGUID of the {@link VirtualAuthenticator}. (Default: **the empty AAGUID**) */
+  aaguid?: string;
+}
+
+/** A WebAuthn credential stored by the {@link VirtualAuthenticator}. */
+export interface VirtualCredential {
+  id: string;
+  rpId: string;
+  userName: string;
+  /** Whether the credential is a passkey, which can be used without knowing the user. */
+  discoverable: boolean;
+  userVerified: boolean;
+}
+
+/** Simulates a platform authenticator for `navigator.credentials`. The simulated user always selects the first matching credential. Attestations and signatures are placeholders, they cannot be verified. */
+export class VirtualAuthenticator {
+  constructor(getOrigin: () => string, options?: { aaguid?: string });
+  /** The AAGUID identifying the model of the authenticator, included in the authenticator data of new credentials. */
+  aaguid: string;
+  /** The created credentials. */
+  credentials: VirtualCredential[];
+}
+
+/** Simulates the browser globals the SDK depends on in Node.js. */
+export class TestBrowser {
+  constructor(server: MockAuthressServer, options?: TestBrowserOptions);
+  /** The authenticator used by `navigator.credentials`. */
+  readonly authenticator: VirtualAuthenticator;
+  /** Sets the `window`, `document`, `location`, `history`, `localStorage`, `sessionStorage`, and `navigator` globals to this browser. */
+  install(): TestBrowser;
+  /** Restores the globals replaced by {@link install}. */
+  uninstall(): void;
+  /** Returns the value of the cookie, or null when it is not set. */
+  getCookie(name: string): string | null;
+  /** Waits until the page navigates away and returns the url it navigated to. */
+  waitForNavigation(timeoutInMillis?: number): Promise<string>;
+  /** Loads a new page. */
+  navigate(url: string): void;
+  /** Completes the redirect round trip of a login started by the SDK, and returns the url of the loaded page. */
+  completeLogin(options?: MockLoginOptions): Promise<string>;
+  /** Completes the redirect round trip of a logout started by the SDK, and returns the url of the loaded page. */
+  completeLogout(): Promise<string>;
+  /** Creates a LoginClient for the current page that sends its requests to the server. */
+  createLoginClient(settings?: Partial<Settings>, logger?: unknown): LoginClient;
+}
@@ -0,0 +1,31 @@
+const { describe, it, afterEach } = require('mocha');
+const { expect } = require('chai');
+
+const clock = require('../src/clock');
+
+describe('clock.js', () => {
+  afterEach(() => clock.reset());
+
+  describe('synchronize()', () => {
+    it('estimates the offset to the server clock from the Date header', () => {
+      const now = Date.now();
+      clock.synchronize(new Date(now + 3600000).toUTCString(), now - 100, now + 100);
+      expect(Math.abs(clock.offsetInMillis - 3600000)).to.be.lessThan(1500);
+      expect(Math.abs(clock.now() - (Date.now() + 3600000))).to.be.lessThan(1500);
+      expect(Math.abs(clock.toLocalTime(now + 3600000) - now)).to.be.lessThan(1500);
+    });
+
+    it('ignores differences within the resolution of the Date header', () => {
+      const now = Date.now();
+      clock.synchronize(new Date(now).toUTCString(), now, now);
+      expect(clock.offsetInMillis).to.eql(0);
+    });
+
+    it('ignores missing and invalid Date headers', () => {
+      clock.offsetInMillis = 5000;
+      clock.synchronize(null, Date.now(), Date.now());
+      clock.synchronize('not a date', Date.now(), Date.now());
+      expect(clock.offsetInMillis).to.eql(5000);
+    });
+  });
+});
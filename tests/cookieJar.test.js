@@ -0,0 +1,60 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const { ServerCookieJar, ClientCookieJar } = require('../src/cookieJar');
+
+describe('cookieJar.js', () => {
+  describe('ServerCookieJar', () => {
+    it('reads the cookies of a Node.js request', () => {
+      const cookieJar = new ServerCookieJar({ headers: { cookie: 'authorization=token; user=' } });
+      expect(cookieJar.get('authorization')).to.eql('token');
+      expect(cookieJar.get('user')).to.eql(null);
+      expect(cookieJar.get('missing')).to.eql(null);
+    });
+
+    it('reads the cookies of a Fetch API request', () => {
+      const cookieJar = new ServerCookieJar({ headers: new Headers({ Cookie: 'authorization=token' }) });
+      expect(cookieJar.get('authorization')).to.eql('token');
+    });
+
+    it('reads the cookies of a cookie store', () => {
+      const cookieJar = new ServerCookieJar({ getAll: () => [{ name: 'authorization', value: 'token value' }] });
+      expect(cookieJar.get('authorization')).to.eql('token value');
+      expect(cookieJar.getRequestCookieHeader()).to.eql('authorization=token%20value');
+    });
+
+    it('records updated cookies as Set-Cookie headers', () => {
+      const cookieJar = new ServerCookieJar('user=identity');
+      cookieJar.set('authorization', 'token', { path: '/', sameSite: 'strict' });
+      cookieJar.remove('user');
+
+      expect(cookieJar.getAll()).to.eql({ authorization: 'token' });
+      expect(cookieJar.getSetCookieHeaders()).to.eql([
+        'authorization=token; Path=/; SameSite=Strict',
+        'user=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT; SameSite=Strict'
+      ]);
+    });
+  });
+
+  describe('ClientCookieJar', () => {
+    const isOwnToken = token => token !== 'other-token';
+
+    it('ignores the session tokens of other clients', () => {
+      const cookieJar = new ClientCookieJar(new ServerCookieJar('authorization=other-token; user=id-token; session=value'), isOwnToken);
+      expect(cookieJar.get('authorization')).to.eql(null);
+      expect(cookieJar.get('user')).to.eql('id-token');
+      expect(cookieJar.getAll()).to.eql({ user: 'id-token', session: 'value' });
+    });
+
+    it('only removes the cookies of the client', () => {
+      const serverCookieJar = new ServerCookieJar('authorization=other-token; user=id-token; AuthUserId=user-id');
+      const cookieJar = new ClientCookieJar(serverCookieJar, isOwnToken);
+      ['authorization', 'user', 'AuthUserId'].forEach(name => cookieJar.remove(name));
+      expect(serverCookieJar.getAll()).to.eql({ authorization: 'other-token', AuthUserId: 'user-id' });
+
+      const ownCookieJar = new ClientCookieJar(new ServerCookieJar('authorization=token; AuthUserId=user-id'), isOwnToken);
+      ['authorization', 'AuthUserId'].forEach(name => ownCookieJar.remove(name));
+      expect(ownCookieJar.getAll()).to.eql({});
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const HttpClient = require('../src/httpClient');
+const { LoginClient, AuthressError, TokenTimeoutError, NetworkError, HttpError } = require('../src/index');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+describe('errors.js', () => {
+  it('throws an HttpError with the response details for failed requests', async () => {
+    const response = new Response(JSON.stringify({ errorCode: 'InvalidRequest', title: 'The request is invalid' }), { status: 400, headers: { 'X-Request-Id': 'request-id' } });
+    sandbox.stub(global, 'fetch').resolves(response);
+
+    try {
+      await new HttpClient('https://login.example.com').get('/session');
+      expect.fail('Expected the request to throw');
+    } catch (error) {
+      expect(error).to.be.instanceOf(HttpError);
+      expect(error).to.be.instanceOf(AuthressError);
+      expect(error.message).to.eql('The request is invalid');
+      expect(error.code).to.eql('InvalidRequest');
+      expect(error.status).to.eql(400);
+      expect(error.requestId).to.eql('request-id');
+      expect(error.url).to.eql('https://login.example.com/api/session');
+      expect(error.data).to.eql({ errorCode: 'InvalidRequest', title: 'The request is invalid' });
+    }
+  });
+
+  it('throws a NetworkError caused by the last failure after retrying', async () => {
+    const fetchStub = sandbox.stub(global, 'fetch').rejects(new TypeError('fetch failed'));
+
+    try {
+      await new HttpClient('https://login.example.com').get('/session');
+      expect.fail('Expected the request to throw');
+    } catch (error) {
+      expect(error).to.be.instanceOf(NetworkError);
+      expect(error.code).to.eql('AuthressSdkNetworkError');
+      expect(error.cause).to.be.instanceOf(HttpError);
+      expect(fetchStub.callCount).to.eql(5);
+    }
+  });
+
+  it('throws a TokenTimeoutError when there is no token', async () => {
+    const loginClient = new LoginClient({ authressApiUrl: 'https://login.example.com', skipBackgroundCredentialsCheck: true });
+    sandbox.stub(loginClient, 'getUserIdentity').returns(null);
+
+    try {
+      await loginClient.ensureToken({ timeoutInMillis: 0 });
+      expect.fail('Expected ensureToken() to throw');
+    } catch (error) {
+      expect(error).to.be.instanceOf(TokenTimeoutError);
+      expect(error.code).to.eql('TokenTimeout');
+    }
+  });
+});
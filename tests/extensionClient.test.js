@@ -0,0 +1,265 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { ExtensionClient, MemoryStorageAdapter } = require('../src/index');
+const clock = require('../src/clock');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const createAccessToken = (sub, expiresInSeconds = 1800) => `${encode({ alg: 'none' })}.${encode({ sub, exp: Math.round(Date.now() / 1000) + expiresInSeconds })}.signature`;
+
+describe('extensionClient.js', () => {
+  const tokenResponseKey = 'ExtensionTokenResponse:login.example.com:ext_id';
+  let storage;
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    storage.set('ExtensionRequestNonce:login.example.com:ext_id', JSON.stringify({ codeVerifier: 'verifier', redirectUrl: 'https://app.example.com' }));
+  });
+  const createExtensionClient = options => new ExtensionClient('https://login.example.com', 'ext_id', Object.assign({ storage }, options));
+
+  describe('requestToken', () => {
+    beforeEach(() => {
+      global.history = { replaceState: sinon.spy() };
+    });
+    afterEach(() => {
+      delete global.history;
+    });
+
+    it('exchanges the code using the provided fetch and apiBasePath', async () => {
+      const fetchStub = sinon.stub().resolves(new Response(JSON.stringify({ access_token: 'token' }), { status: 200 }));
+      const extensionClient = createExtensionClient({ fetch: fetchStub, apiBasePath: 'https://proxy.example.com/api' });
+
+      await extensionClient.requestToken({ code: 'code' });
+
+      expect(extensionClient.accessToken).to.eql('token');
+      expect(fetchStub.firstCall.args[0]).to.eql('https://proxy.example.com/api/authentication/oauth/tokens');
+      expect(JSON.parse(fetchStub.firstCall.args[1].body)).to.eql({
+        code_verifier: 'verifier', code: 'code', grant_type: 'authorization_code', client_id: 'ext_id', redirect_uri: 'https://app.example.com'
+      });
+    });
+
+    describe('with a skewed device clock', () => {
+      const serverTime = Date.now();
+      const accessToken = `${encode({ alg: 'none' })}.${encode({ sub: 'user-id', exp: Math.round(serverTime / 1000) + 1800 })}.signature`;
+      const tokenResponse = () => new Response(JSON.stringify({ access_token: accessToken }), { status: 200, headers: { Date: new Date(serverTime).toUTCString() } });
+
+      beforeEach(() => {
+        // The device clock is two hours ahead, so the token already expired according to the device.
+        sandbox.useFakeTimers({ now: serverTime + 7200000, toFake: ['Date'] });
+      });
+      afterEach(() => clock.reset());
+
+      it('compares the token expiry to the server time', async () => {
+        const extensionClient = createExtensionClient({ fetch: sinon.stub().resolves(tokenResponse()) });
+        await extensionClient.requestToken({ code: 'code' });
+        expect((await extensionClient.getUserIdentity()).sub).to.eql('user-id');
+      });
+
+      it('applies the configured leeway', async () => {
+        const extensionClient = createExtensionClient({ fetch: sinon.stub().resolves(tokenResponse()), clockSkewLeewayInSeconds: 3600 });
+        await extensionClient.requestToken({ code: 'code' });
+        expect(await extensionClient.getUserIdentity()).to.eql(null);
+      });
+    });
+
+    describe('refresh tokens', () => {
+      const tokenResponse = (data, status = 200) => Promise.resolve(new Response(JSON.stringify(data), { status }));
+
+      it('renews an expired access token with the rotated refresh token', async () => {
+        const fetchStub = sinon.stub();
+        fetchStub.onCall(0).callsFake(() => tokenResponse({ access_token: createAccessToken('user-id', -60), refresh_token: 'refresh-1' }));
+        fetchStub.onCall(1).callsFake(() => tokenResponse({ access_token: createAccessToken('user-id'), refresh_token: 'refresh-2' }));
+        const extensionClient = createExtensionClient({ fetch: fetchStub });
+
+        const result = await extensionClient.requestToken({ code: 'code' });
+
+        expect(result.accessToken).to.eql(extensionClient.accessToken);
+        expect((await extensionClient.getUserIdentity()).sub).to.eql('user-id');
+        expect(JSON.parse(fetchStub.secondCall.args[1].body)).to.eql({ grant_type: 'refresh_token', refresh_token: 'refresh-1', client_id: 'ext_id' });
+        expect(JSON.parse(storage.get(tokenResponseKey)).refresh_token).to.eql('refresh-2');
+      });
+
+      it('uses the persisted refresh token once for concurrent calls after a reload', async () => {
+        storage.set(tokenResponseKey, JSON.stringify({ refresh_token: 'refresh-1' }));
+        const fetchStub = sinon.stub().callsFake(() => tokenResponse({ access_token: createAccessToken('user-id'), refresh_token: 'refresh-2' }));
+        const extensionClient = createExtensionClient({ fetch: fetchStub });
+
+        const results = await Promise.all([extensionClient.getTokenResponse(), extensionClient.login()]);
+
+        expect(results[0].accessToken).to.eql(results[1].accessToken);
+        expect(fetchStub.callCount).to.eql(1);
+        expect(JSON.parse(storage.get(tokenResponseKey)).refresh_token).to.eql('refresh-2');
+      });
+
+      it('uses the session stored by other clients since the client was created', async () => {
+        storage.set(tokenResponseKey, JSON.stringify({ access_token: createAccessToken('user-id', -60), refresh_token: 'refresh-1' }));
+        const fetchStub = sinon.stub().callsFake(() => tokenResponse({ access_token: createAccessToken('user-id'), refresh_token: 'refresh-3' }));
+        const extensionClient = createExtensionClient({ fetch: fetchStub });
+        await extensionClient.getUserIdentity();
+
+        // Another tab rotated the refresh token.
+        storage.set(tokenResponseKey, JSON.stringify({ access_token: createAccessToken('user-id', -60), refresh_token: 'refresh-2' }));
+        await extensionClient.getTokenResponse();
+        expect(JSON.parse(fetchStub.firstCall.args[1].body).refresh_token).to.eql('refresh-2');
+
+        // Another tab already renewed the session.
+        const accessToken = createAccessToken('user-id');
+        extensionClient.accessToken = null;
+        storage.set(tokenResponseKey, JSON.stringify({ access_token: accessToken, refresh_token: 'refresh-4' }));
+        expect((await extensionClient.getTokenResponse()).accessToken).to.eql(accessToken);
+        expect(fetchStub.callCount).to.eql(1);
+      });
+
+      it('clears the session when the refresh token was reused or revoked', async () => {
+        storage.set(tokenResponseKey, JSON.stringify({ refresh_token: 'refresh-1' }));
+        const fetchStub = sinon.stub().callsFake(() => tokenResponse({ error: 'invalid_grant', error_description: 'Refresh token reuse detected' }, 400));
+        const extensionClient = createExtensionClient({ fetch: fetchStub });
+
+        expect(await extensionClient.getTokenResponse()).to.eql(null);
+        expect(storage.get(tokenResponseKey)).to.eql(null);
+        expect(extensionClient.accessToken).to.eql(null);
+      });
+
+      it('keeps the refresh token when the renewal fails for another reason', async () => {
+        storage.set(tokenResponseKey, JSON.stringify({ refresh_token: 'refresh-1' }));
+        const fetchStub = sinon.stub().callsFake(() => tokenResponse({ error: 'server_error' }, 500));
+        const extensionClient = createExtensionClient({ fetch: fetchStub });
+        extensionClient.httpClient.retryPolicy.maxAttempts = 1;
+
+        expect(await extensionClient.getTokenResponse()).to.eql(null);
+        expect(JSON.parse(storage.get(tokenResponseKey)).refresh_token).to.eql('refresh-1');
+      });
+    });
+
+    describe('persisted sessions', () => {
+      it('restores the stored session after a reload', async () => {
+        const fetchStub = sinon.stub().callsFake(() => Promise.resolve(new Response(JSON.stringify({ access_token: createAccessToken('user-id'), refresh_token: 'refresh-1' }), { status: 200 })));
+        await createExtensionClient({ fetch: fetchStub }).requestToken({ code: 'code' });
+
+        const reloadedClient = createExtensionClient({ fetch: fetchStub });
+        expect((await reloadedClient.getUserIdentity()).sub).to.eql('user-id');
+        expect((await reloadedClient.login()).accessToken).to.eql(JSON.parse(storage.get(tokenResponseKey)).access_token);
+        expect(fetchStub.callCount).to.eql(1);
+      });
+
+      it('removes the stored session on logout', async () => {
+        storage.set(tokenResponseKey, JSON.stringify({ access_token: createAccessToken('user-id'), refresh_token: 'refresh-1' }));
+        const fetchStub = sinon.stub();
+        const extensionClient = createExtensionClient({ fetch: fetchStub });
+
+        await extensionClient.logout();
+
+        expect(await extensionClient.getUserIdentity()).to.eql(null);
+        expect(await extensionClient.getTokenResponse()).to.eql(null);
+        expect(storage.get(tokenResponseKey)).to.eql(null);
+        expect(await createExtensionClient({ fetch: fetchStub }).getUserIdentity()).to.eql(null);
+        expect(fetchStub.called).to.eql(false);
+      });
+
+      it('rejects storage that is not a storage adapter', () => {
+        expect(() => createExtensionClient({ storage: { getItem: () => null } })).to.throw().with.property('code', 'InvalidStorage');
+      });
+    });
+  });
+
+  describe('loginWithDeviceCode', () => {
+    const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+    const jsonResponse = (data, status = 200) => Promise.resolve(new Response(JSON.stringify(data), { status }));
+    const deviceAuthorization = { device_code: 'device-code', user_code: 'WDJB-MJHT', verification_uri: 'https://login.example.com/device', expires_in: 60, interval: 2 };
+    const deviceAuthorizationEndpoint = 'https://login-device.example.com/oauth/device';
+    // The endpoint is discovered, the discovery requests are answered separately from the stubbed token requests.
+    // * The configuration is cached per custom domain, so each configuration uses its own domain.
+    const createDeviceExtensionClient = (fetchStub, authressCustomDomain = 'https://login-device.example.com', configuration = { device_authorization_endpoint: deviceAuthorizationEndpoint }) => new ExtensionClient(authressCustomDomain, 'ext_id', {
+      storage,
+      fetch: (url, request) => (url.toString().endsWith('/.well-known/openid-configuration') ? jsonResponse(configuration) : fetchStub(url, request))
+    });
+    let timers;
+    beforeEach(() => { timers = sandbox.useFakeTimers({ now: 1000000, toFake: ['setTimeout', 'clearTimeout', 'Date'] }); });
+
+    // Advances the fake time one second at a time until the login completes.
+    const waitForLogin = async loginPromise => {
+      let settled = false;
+      const result = loginPromise.then(value => ({ value }), error => ({ error })).finally(() => { settled = true; });
+      while (!settled) {
+        await flushPromises();
+        timers.tick(1000);
+      }
+      return result;
+    };
+
+    it('polls the token endpoint until the user completed the login', async () => {
+      const accessToken = createAccessToken('user-id', 3600);
+      const fetchStub = sinon.stub();
+      fetchStub.onCall(0).callsFake(() => jsonResponse(deviceAuthorization));
+      fetchStub.onCall(1).callsFake(() => jsonResponse({ error: 'authorization_pending' }, 400));
+      fetchStub.onCall(2).callsFake(() => jsonResponse({ error: 'slow_down' }, 400));
+      fetchStub.onCall(3).callsFake(() => jsonResponse({ access_token: accessToken, refresh_token: 'refresh-1' }));
+      const onUserCode = sinon.spy();
+      const extensionClient = createDeviceExtensionClient(fetchStub);
+
+      const startedAt = Date.now();
+      const { value } = await waitForLogin(extensionClient.loginWithDeviceCode({ onUserCode }));
+
+      expect(value).to.eql({ accessToken });
+      expect(onUserCode.firstCall.args[0]).to.eql({ userCode: 'WDJB-MJHT', verificationUri: 'https://login.example.com/device', verificationUriComplete: undefined, expiresIn: 60 });
+      expect(fetchStub.firstCall.args[0]).to.eql(deviceAuthorizationEndpoint);
+      expect(fetchStub.firstCall.args[1].headers['Content-Type']).to.eql('application/x-www-form-urlencoded');
+      expect(fetchStub.firstCall.args[1].body).to.eql('client_id=ext_id');
+      // The conventional Authress token endpoint documents JSON requests.
+      expect(fetchStub.secondCall.args[1].headers['Content-Type']).to.eql('application/json');
+      expect(JSON.parse(fetchStub.secondCall.args[1].body)).to.eql({ grant_type: 'urn:ietf:params:oauth:grant-type:device_code', device_code: 'device-code', client_id: 'ext_id' });
+      // 2 seconds before each of the first two polls, and 7 seconds after slow_down.
+      expect(Date.now() - startedAt).to.be.within(11000, 12000);
+      expect(JSON.parse(storage.get('ExtensionTokenResponse:login-device.example.com:ext_id')).refresh_token).to.eql('refresh-1');
+    });
+
+    it('form encodes the token requests to the advertised token endpoint', async () => {
+      const accessToken = createAccessToken('user-id', 3600);
+      const fetchStub = sinon.stub();
+      fetchStub.onCall(0).callsFake(() => jsonResponse(deviceAuthorization));
+      fetchStub.onCall(1).callsFake(() => jsonResponse({ access_token: accessToken }));
+      const configuration = { device_authorization_endpoint: 'https://login-device-form.example.com/oauth/device', token_endpoint: 'https://login-device-form.example.com/oauth/token' };
+      const extensionClient = new ExtensionClient('https://login-device-form.example.com', 'ext_id', {
+        storage,
+        discovery: true,
+        fetch: (url, request) => (url.toString().endsWith('/.well-known/openid-configuration') ? jsonResponse(configuration) : fetchStub(url, request))
+      });
+
+      const { value } = await waitForLogin(extensionClient.loginWithDeviceCode({ onUserCode: sinon.spy() }));
+      expect(value).to.eql({ accessToken });
+      expect(fetchStub.secondCall.args[0]).to.eql('https://login-device-form.example.com/oauth/token');
+      expect(fetchStub.secondCall.args[1].headers['Content-Type']).to.eql('application/x-www-form-urlencoded');
+      expect(Object.fromEntries(new URLSearchParams(fetchStub.secondCall.args[1].body))).to.eql({ grant_type: 'urn:ietf:params:oauth:grant-type:device_code', device_code: 'device-code', client_id: 'ext_id' });
+    });
+
+    it('throws when the user denies the login', async () => {
+      const fetchStub = sinon.stub();
+      fetchStub.onCall(0).callsFake(() => jsonResponse(deviceAuthorization));
+      fetchStub.onCall(1).callsFake(() => jsonResponse({ error: 'access_denied' }, 400));
+
+      const { error } = await waitForLogin(createDeviceExtensionClient(fetchStub).loginWithDeviceCode({ onUserCode: sinon.spy() }));
+      expect(error.code).to.eql('AccessDenied');
+    });
+
+    it('stops polling once the device code expired', async () => {
+      const fetchStub = sinon.stub().callsFake(() => jsonResponse({ error: 'authorization_pending' }, 400));
+      fetchStub.onCall(0).callsFake(() => jsonResponse(deviceAuthorization));
+
+      const { error } = await waitForLogin(createDeviceExtensionClient(fetchStub).loginWithDeviceCode({ onUserCode: sinon.spy() }));
+      expect(error.code).to.eql('DeviceCodeExpired');
+      expect(fetchStub.callCount).to.eql(30);
+    });
+
+    it('requires the custom domain to advertise the device authorization endpoint', async () => {
+      const fetchStub = sinon.stub();
+
+      const { error } = await waitForLogin(createDeviceExtensionClient(fetchStub, 'https://login-without-device.example.com', {}).loginWithDeviceCode({ onUserCode: sinon.spy() }));
+      expect(error.code).to.eql('InvalidConfiguration');
+      expect(fetchStub.called).to.eql(false);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const HttpClient = require('../src/httpClient');
+const clock = require('../src/clock');
+const { NetworkError, HttpError } = require('../src/errors');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+const jsonResponse = (status, headers) => new Response('{}', { status, headers });
+
+describe('httpClient.js', () => {
+  describe('retryPolicy', () => {
+    it('does not retry POST requests by default', async () => {
+      const fetchStub = sandbox.stub(global, 'fetch').rejects(new TypeError('fetch failed'));
+
+      try {
+        await new HttpClient('https://login.example.com').post('/authentication', false, {});
+        expect.fail('Expected the request to throw');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NetworkError);
+        expect(fetchStub.callCount).to.eql(1);
+      }
+    });
+
+    it('retries POST requests when non idempotent retries are allowed', async () => {
+      const fetchStub = sandbox.stub(global, 'fetch');
+      fetchStub.onFirstCall().rejects(new TypeError('fetch failed'));
+      fetchStub.onSecondCall().resolves(jsonResponse(200));
+
+      const httpClient = new HttpClient('https://login.example.com', null, { retryPolicy: { retryNonIdempotentRequests: true } });
+      const result = await httpClient.post('/authentication', false, {});
+      expect(result.status).to.eql(200);
+      expect(fetchStub.callCount).to.eql(2);
+    });
+
+    it('honors the Retry-After header of retryable statuses', async () => {
+      const fetchStub = sandbox.stub(global, 'fetch');
+      fetchStub.onFirstCall().resolves(jsonResponse(429, { 'Retry-After': '0' }));
+      fetchStub.onSecondCall().resolves(jsonResponse(200));
+
+      const result = await new HttpClient('https://login.example.com').get('/session');
+      expect(result.status).to.eql(200);
+      expect(fetchStub.callCount).to.eql(2);
+    });
+
+    it('does not retry when the Retry-After header exceeds the maximum delay', async () => {
+      const fetchStub = sandbox.stub(global, 'fetch').callsFake(() => Promise.resolve(jsonResponse(503, { 'Retry-After': '120' })));
+
+      try {
+        await new HttpClient('https://login.example.com').get('/session');
+        expect.fail('Expected the request to throw');
+      } catch (error) {
+        expect(error).to.be.instanceOf(HttpError);
+        expect(error.status).to.eql(503);
+        expect(fetchStub.callCount).to.eql(1);
+      }
+    });
+
+    it('does not retry statuses that are not retryable', async () => {
+      const fetchStub = sandbox.stub(global, 'fetch').callsFake(() => Promise.resolve(jsonResponse(501)));
+
+      try {
+        await new HttpClient('https://login.example.com', null, { retryPolicy: { maxAttempts: 3 } }).get('/session');
+        expect.fail('Expected the request to throw');
+      } catch (error) {
+        expect(error.status).to.eql(501);
+        expect(fetchStub.callCount).to.eql(1);
+      }
+    });
+  });
+
+  describe('timeoutInMillis', () => {
+    it('aborts requests that do not complete in time', async () => {
+      const fetchStub = sandbox.stub(global, 'fetch').callsFake((url, request) => new Promise((resolve, reject) => {
+        request.signal.addEventListener('abort', () => reject(new Error('The operation was aborted.')));
+      }));
+
+      try {
+        await new HttpClient('https://login.example.com', null, { timeoutInMillis: 5, retryPolicy: { maxAttempts: 2 } }).get('/session');
+        expect.fail('Expected the request to throw');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NetworkError);
+        expect(error.cause.code).to.eql('RequestTimeout');
+        expect(fetchStub.callCount).to.eql(2);
+      }
+    });
+  });
+
+  describe('interceptors', () => {
+    it('allows modifying the request and the response', async () => {
+      const fetchStub = sandbox.stub(global, 'fetch').resolves(jsonResponse(200));
+      const interceptor = {
+        beforeRequest(request) { request.headers['X-Correlation-Id'] = 'correlation-id'; },
+        afterResponse(response) { return Object.assign({}, response, { data: { intercepted: true } }); }
+      };
+
+      const result = await new HttpClient('https://login.example.com', null, { interceptors: [interceptor] }).get('/session');
+      expect(fetchStub.firstCall.args[1].headers['X-Correlation-Id']).to.eql('correlation-id');
+      expect(result.data).to.eql({ intercepted: true });
+    });
+
+    it('skips sending the request when a response is returned', async () => {
+      const fetchStub = sandbox.stub(global, 'fetch');
+      const afterResponse = sinon.stub();
+      const interceptors = [{ beforeRequest: () => ({ status: 200, data: { cached: true } }) }, { beforeRequest: sinon.stub(), afterResponse }];
+
+      const result = await new HttpClient('https://login.example.com', null, { interceptors }).get('/session');
+      expect(result.data).to.eql({ cached: true });
+      expect(fetchStub.called).to.eql(false);
+      expect(interceptors[1].beforeRequest.called).to.eql(false);
+      expect(afterResponse.calledOnce).to.eql(true);
+    });
+
+    it('calls onError before logging the failure', async () => {
+      sandbox.stub(global, 'fetch').resolves(jsonResponse(400));
+      const logger = { debug: sinon.spy(), warn: sinon.spy() };
+      const interceptor = {
+        onError(error, request) {
+          request.data = '[REDACTED]';
+          return Object.assign(new Error('Replaced error'), { status: 400 });
+        }
+      };
+
+      try {
+        await new HttpClient('https://login.example.com', logger, { interceptors: [interceptor] }).post('/authentication', false, { secret: 'value' });
+        expect.fail('Expected the request to throw');
+      } catch (error) {
+        expect(error.message).to.eql('Replaced error');
+        expect(logger.warn.firstCall.args[0].data).to.eql('[REDACTED]');
+      }
+    });
+
+    it('recovers from an error when a response is returned', async () => {
+      sandbox.stub(global, 'fetch').resolves(jsonResponse(404));
+      const interceptor = { onError: error => error.status === 404 && { status: 200, data: {} } };
+
+      const result = await new HttpClient('https://login.example.com', null, { interceptors: [interceptor] }).get('/session');
+      expect(result.status).to.eql(200);
+    });
+  });
+
+  describe('options', () => {
+    it('uses the provided fetch implementation', async () => {
+      const globalFetchStub = sandbox.stub(global, 'fetch');
+      const fetchStub = sinon.stub().resolves(jsonResponse(200));
+
+      await new HttpClient('https://login.example.com', null, { fetch: fetchStub }).get('/session');
+      expect(fetchStub.firstCall.args[0]).to.eql('https://login.example.com/api/session');
+      // Native fetch implementations throw "Illegal invocation" when they are called with another `this`.
+      expect(fetchStub.firstCall.thisValue).to.eql(undefined);
+      expect(globalFetchStub.called).to.eql(false);
+    });
+
+    it('synchronizes the clock with the Date header of responses', async () => {
+      const serverTime = Date.now() - 7200000;
+      const fetchStub = sinon.stub().resolves(jsonResponse(200, { Date: new Date(serverTime).toUTCString() }));
+      try {
+        await new HttpClient('https://login.example.com', null, { fetch: fetchStub }).get('/session');
+        expect(Math.abs(clock.now() - serverTime)).to.be.lessThan(1500);
+      } finally {
+        clock.reset();
+      }
+    });
+
+    it('routes requests through the apiBasePath', async () => {
+      const fetchStub = sinon.stub().callsFake(() => Promise.resolve(jsonResponse(200)));
+
+      await new HttpClient('https://login.example.com', null, { fetch: fetchStub, apiBasePath: 'https://proxy.example.com/authress/api/' }).get('/session');
+      global.window = { location: new URL('https://app.example.com/dashboard') };
+      try {
+        await new HttpClient('https://login.example.com', null, { fetch: fetchStub, apiBasePath: '/authress/api' }).get('/session');
+      } finally {
+        delete global.window;
+      }
+      expect(fetchStub.firstCall.args[0]).to.eql('https://proxy.example.com/authress/api/session');
+      expect(fetchStub.secondCall.args[0]).to.eql('https://app.example.com/authress/api/session');
+    });
+
+    it('form encodes URLSearchParams bodies', async () => {
+      const fetchStub = sinon.stub().callsFake(() => Promise.resolve(jsonResponse(200)));
+
+      await new HttpClient('https://login.example.com', null, { fetch: fetchStub }).post('https://login.example.com/oauth/device', false, new URLSearchParams({ client_id: 'ext_id' }));
+      await new HttpClient('https://login.example.com', null, { fetch: fetchStub }).post('/session', false, { client_id: 'ext_id' });
+      expect(fetchStub.firstCall.args[1]).to.include({ body: 'client_id=ext_id' });
+      expect(fetchStub.firstCall.args[1].headers['Content-Type']).to.eql('application/x-www-form-urlencoded');
+      expect(fetchStub.secondCall.args[1]).to.include({ body: '{"client_id":"ext_id"}' });
+      expect(fetchStub.secondCall.args[1].headers['Content-Type']).to.eql('application/json');
+    });
+
+    it('requires a full apiBasePath url when there is no current location', () => {
+      expect(() => new HttpClient('https://login.example.com', null, { apiBasePath: '/authress/api' })).to.throw().with.property('code', 'InvalidConfiguration');
+    });
+  });
+});
@@ -71,6 +71,30 @@ describe('index.js', () => {
     });
   });
 
+  describe('multiple clients', () => {
+    it('Clients for different applications do not share session state', async () => {
+      const firstClient = new LoginClient({ authressApiUrl: 'https://login.test.com', applicationId: 'app_first', skipBackgroundCredentialsCheck: true });
+      const secondClient = new LoginClient({ authressApiUrl: 'https://login.test.com', applicationId: 'app_second', skipBackgroundCredentialsCheck: true });
+
+      expect(firstClient.authenticationRequestNonceKey).to.eql('AuthenticationRequestNonce:login.test.com:app_first');
+      expect(secondClient.authenticationRequestNonceKey).to.eql('AuthenticationRequestNonce:login.test.com:app_second');
+      expect(firstClient.userIdentityTokenStorageManager.storageKey).to.not.eql(secondClient.userIdentityTokenStorageManager.storageKey);
+
+      firstClient.userSessionResolver();
+      expect(await firstClient.waitForUserSession()).to.eql(true);
+      const secondSessionState = await Promise.race([secondClient.waitForUserSession(), Promise.resolve('pending')]);
+      expect(secondSessionState).to.eql('pending');
+    });
+
+    it('Clients for different custom domains use different storage keys', () => {
+      const firstClient = new LoginClient({ authressApiUrl: 'https://login.first.com', skipBackgroundCredentialsCheck: true });
+      const secondClient = new LoginClient({ authressApiUrl: 'https://login.second.com', skipBackgroundCredentialsCheck: true });
+
+      expect(firstClient.userIdentityTokenStorageManager.storageKey).to.eql('AuthenticationCredentialsStorage:login.first.com:app_default');
+      expect(secondClient.userIdentityTokenStorageManager.storageKey).to.eql('AuthenticationCredentialsStorage:login.second.com:app_default');
+    });
+  });
+
   describe('getMatchingDomainInfo()', () => {
     it('Adjacent domain returns true', () => {
       const authressApiUrl = 'https://security.application.com';
@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { LoginClient } = require('../../src/index');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+describe('loginClient.js', () => {
+  describe('createAuthenticatedFetch', () => {
+    it('should add the token only to requests for the allowed origins', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://login.example.com', skipBackgroundCredentialsCheck: true });
+      sandbox.stub(loginClient, 'ensureToken').resolves('token');
+      const fetchStub = sandbox.stub(global, 'fetch').callsFake(() => Promise.resolve(new Response('{}', { status: 200 })));
+
+      const authenticatedFetch = loginClient.createAuthenticatedFetch({ allowedOrigins: ['https://api.example.com/'] });
+      await authenticatedFetch('https://api.example.com/v1/resources', { method: 'GET' });
+      await authenticatedFetch('https://other.example.com/v1/resources', { method: 'GET' });
+
+      const allowedRequest = fetchStub.firstCall.args[0];
+      expect(allowedRequest.url).to.eql('https://api.example.com/v1/resources');
+      expect(allowedRequest.headers.get('Authorization')).to.eql('Bearer token');
+      expect(fetchStub.secondCall.args).to.eql(['https://other.example.com/v1/resources', { method: 'GET' }]);
+    });
+
+    it('should renew the session and replay the request once after a 401', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://login.example.com', skipBackgroundCredentialsCheck: true });
+      sandbox.stub(loginClient, 'ensureToken').onFirstCall().resolves('expired-token').resolves('new-token');
+      const renewStub = sandbox.stub(loginClient, 'backgroundTokenRefresh').resolves(true);
+      const fetchStub = sandbox.stub(global, 'fetch');
+      fetchStub.onFirstCall().resolves(new Response('', { status: 401 }));
+      fetchStub.onSecondCall().resolves(new Response('{}', { status: 200 }));
+
+      const authenticatedFetch = loginClient.createAuthenticatedFetch({ allowedOrigins: ['https://api.example.com'] });
+      const response = await authenticatedFetch('https://api.example.com/v1/resources', { method: 'POST', body: '{"name":"value"}' });
+
+      expect(response.status).to.eql(200);
+      expect(renewStub.calledOnce).to.eql(true);
+      expect(fetchStub.secondCall.args[0].headers.get('Authorization')).to.eql('Bearer new-token');
+      expect(await fetchStub.secondCall.args[0].text()).to.eql('{"name":"value"}');
+    });
+
+    it('should return the 401 when the session cannot be renewed', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://login.example.com', skipBackgroundCredentialsCheck: true });
+      sandbox.stub(loginClient, 'ensureToken').resolves('expired-token');
+      sandbox.stub(loginClient, 'backgroundTokenRefresh').resolves(false);
+      const fetchStub = sandbox.stub(global, 'fetch').callsFake(() => Promise.resolve(new Response('', { status: 401 })));
+
+      const authenticatedFetch = loginClient.createAuthenticatedFetch({ allowedOrigins: ['https://api.example.com'] });
+      const response = await authenticatedFetch(new Request('https://api.example.com/v1/resources'));
+
+      expect(response.status).to.eql(401);
+      expect(fetchStub.calledOnce).to.eql(true);
+    });
+  });
+});
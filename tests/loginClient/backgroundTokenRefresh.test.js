@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { LoginClient } = require('../../src/index');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+const userIdentity = { sub: 'user-id', userId: 'user-id', iss: 'https://auth.example.com' };
+
+describe('loginClient.js', () => {
+  describe('backgroundTokenRefresh', () => {
+    it('should publish tokenRefreshed after renewing the session', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true });
+      loginClient.lastUserIdentity = userIdentity;
+      sandbox.stub(loginClient, 'refreshSession').resolves();
+      sandbox.stub(loginClient, 'getUserIdentity').returns(userIdentity);
+      const refreshListener = sinon.spy();
+      loginClient.on('tokenRefreshed', refreshListener);
+
+      const result = await loginClient.backgroundTokenRefresh();
+
+      expect(result).to.eql(true);
+      expect(refreshListener.calledOnceWith({ type: 'tokenRefreshed', userIdentity })).to.eql(true);
+    });
+
+    it('should stop renewing when the session no longer exists', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true });
+      loginClient.lastUserIdentity = userIdentity;
+      sandbox.stub(loginClient, 'refreshSession').rejects({ status: 404 });
+      const expiredListener = sinon.spy();
+      loginClient.on('sessionExpired', expiredListener);
+
+      const result = await loginClient.backgroundTokenRefresh();
+
+      expect(result).to.eql(false);
+      expect(expiredListener.calledOnceWith({ type: 'sessionExpired', userIdentity })).to.eql(true);
+    });
+
+    it('should throw transient failures so that the renewal is retried', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true });
+      sandbox.stub(loginClient, 'refreshSession').rejects({ status: 503 });
+
+      try {
+        await loginClient.backgroundTokenRefresh();
+        expect.fail('Expected the renewal to throw');
+      } catch (error) {
+        expect(error.status).to.eql(503);
+      }
+    });
+
+    it('should wait for a running session check before renewing', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true });
+      let completeSessionCheck;
+      sandbox.stub(loginClient, 'userSessionContinuation').returns(new Promise(resolve => completeSessionCheck = resolve));
+      const refreshStub = sandbox.stub(loginClient, 'backgroundTokenRefresh').rejects({ status: 503 });
+
+      const sessionCheck = loginClient.userSessionExists();
+      const renewal = loginClient.sequenceBackgroundTokenRefresh();
+      await Promise.resolve();
+      expect(refreshStub.called).to.eql(false);
+
+      completeSessionCheck(false);
+      expect(await sessionCheck).to.eql(false);
+      try {
+        await renewal;
+        expect.fail('Expected the renewal to throw');
+      } catch (error) {
+        expect(error.status).to.eql(503);
+      }
+      // A session check joining the sequence is not affected by the failed renewal.
+      expect(await loginClient.userSessionSequencePromise).to.eql(false);
+    });
+
+    it('should stop the background work when disposed', () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true });
+      loginClient.tokenRefreshScheduler = { stop: sinon.spy() };
+      const synchronizerStub = sandbox.stub(loginClient.sessionSynchronizer, 'stop');
+
+      loginClient.dispose();
+
+      expect(loginClient.tokenRefreshScheduler.stop.calledOnce).to.eql(true);
+      expect(synchronizerStub.calledOnce).to.eql(true);
+    });
+  });
+});
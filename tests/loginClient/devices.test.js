@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+
+const { MockAuthressServer, TestBrowser } = require('../../testing');
+const { HttpError } = require('../../src/errors');
+
+const ICloudKeychainAaguid = 'fbfc3007-154e-4ecc-8c0b-6e020557d7bd';
+
+async function expectError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw Error('Expected an error');
+}
+
+describe('loginClient.js', () => {
+  describe('device management', () => {
+    let server;
+    let browser;
+    let loginClient;
+    beforeEach(async () => {
+      server = new MockAuthressServer({ user: { sub: 'user-1', email: 'user@example.com' } });
+      browser = new TestBrowser(server, { aaguid: ICloudKeychainAaguid }).install();
+      server.startSession();
+      loginClient = browser.createLoginClient();
+      await loginClient.userSessionExists();
+    });
+    afterEach(() => browser.uninstall());
+
+    it('should return the metadata of the devices', async () => {
+      const device = await loginClient.registerDevice({ name: 'Laptop' });
+      expect(device).to.include({ name: 'Laptop', type: 'WebAuthN', authenticatorAttachment: 'platform', aaguid: ICloudKeychainAaguid, vendorName: 'iCloud Keychain', lastUsed: null });
+      expect(Date.parse(device.createdAt)).to.be.closeTo(Date.now(), 5000);
+      // The fields returned by Authress remain available.
+      expect(device).to.include({ createdDate: device.createdAt, userId: 'user-1' });
+
+      server.markDeviceUsed(device.deviceId);
+      const [usedDevice] = await loginClient.getDevices();
+      expect(usedDevice).to.include({ deviceId: device.deviceId, vendorName: 'iCloud Keychain' });
+      expect(Date.parse(usedDevice.lastUsed)).to.be.closeTo(Date.now(), 5000);
+    });
+
+    it('should not name unknown authenticators', async () => {
+      browser.authenticator.aaguid = '00000000-0000-0000-0000-000000000000';
+      const device = await loginClient.registerDevice({ name: 'Laptop' });
+      expect(device).to.include({ aaguid: '00000000-0000-0000-0000-000000000000', vendorName: null });
+    });
+
+    it('should rename a device', async () => {
+      const device = await loginClient.registerDevice({ name: 'Laptop' });
+      const updatedDevice = await loginClient.updateDevice(device.deviceId, { name: 'Work laptop' });
+      expect(updatedDevice).to.eql(Object.assign({}, device, { name: 'Work laptop' }));
+      expect((await loginClient.getDevices()).map(d => d.name)).to.eql(['Work laptop']);
+    });
+
+    it('should validate the update before sending it', async () => {
+      const device = await loginClient.registerDevice({ name: 'Laptop' });
+      expect((await expectError(loginClient.updateDevice(device.deviceId, { name: ' ' }))).code).to.eql('InvalidInput');
+      expect((await expectError(loginClient.updateDevice(null, { name: 'Laptop' }))).code).to.eql('InvalidInput');
+      expect(server.requests.filter(request => request.method === 'PATCH' && request.path.startsWith('/api/session/devices'))).to.eql([]);
+
+      const error = await expectError(loginClient.updateDevice('device-unknown', { name: 'Laptop' }));
+      expect(error).to.be.instanceOf(HttpError);
+      expect(error).to.include({ status: 404, code: 'DeviceNotFound' });
+    });
+
+    it('should throw typed errors when the devices cannot be loaded', async () => {
+      const fetch = (input, init) => (new URL(new Request(input).url).pathname === '/api/session/devices' ? Promise.resolve(new Response('{}', { status: 503 })) : server.fetch(input, init));
+      loginClient = browser.createLoginClient({ fetch, retryPolicy: { maxAttempts: 1 } });
+      await loginClient.userSessionExists();
+
+      expect(await loginClient.getDevices()).to.eql([]);
+      const error = await expectError(loginClient.getDevices({ throwOnError: true }));
+      expect(error).to.be.instanceOf(HttpError);
+      expect(error.status).to.eql(503);
+    });
+
+    it('should report failures to loggers with only a log method', async () => {
+      const messages = [];
+      loginClient = browser.createLoginClient({}, { log: message => messages.push(message.title) });
+      await loginClient.userSessionExists();
+
+      await expectError(loginClient.deleteDevice('device-unknown'));
+      expect(messages).to.include('[Authress Login SDK] Failed to delete device');
+    });
+
+    it('should report failures to loggers without a log method', async () => {
+      const warnings = [];
+      loginClient = browser.createLoginClient({}, { debug: () => null, warn: message => warnings.push(message.title) });
+      await loginClient.userSessionExists();
+
+      const error = await expectError(loginClient.deleteDevice('device-unknown'));
+      expect(error).to.be.instanceOf(HttpError);
+      expect(warnings).to.include('[Authress Login SDK] Failed to delete device');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { ExtensionClient } = require('../../src/index');
+const { MockAuthressServer, TestBrowser } = require('../../testing');
+
+let domainCounter = 0;
+
+describe('loginClient.js', () => {
+  describe('discovery', () => {
+    let server;
+    let browser;
+    let discoveredConfiguration;
+    let fetchSpy;
+    beforeEach(() => {
+      // The discovered configuration is cached per custom domain, so every test uses its own domain.
+      server = new MockAuthressServer({ authressApiUrl: `https://login-discovery-${++domainCounter}.example.com` });
+      browser = new TestBrowser(server, { url: 'https://app.other.com/' }).install();
+      discoveredConfiguration = {
+        issuer: server.url,
+        authorization_endpoint: `${server.url}/oauth/authorize`,
+        token_endpoint: `${server.url}/oauth/token`,
+        end_session_endpoint: `${server.url}/oauth/logout`
+      };
+      fetchSpy = sinon.spy((url, request) => {
+        if (url.toString().endsWith('/.well-known/openid-configuration')) {
+          return Promise.resolve(new Response(JSON.stringify(discoveredConfiguration), { status: 200 }));
+        }
+        // Requests to any other origin, such as a proxy, are not sent to the network.
+        return new URL(url).origin === server.url ? server.fetch(url, request) : Promise.resolve(new Response('{}', { status: 404 }));
+      });
+    });
+    afterEach(() => browser.uninstall());
+
+    const discoveryRequests = () => fetchSpy.getCalls().filter(call => call.args[0].toString().endsWith('/.well-known/openid-configuration'));
+
+    it('should return the conventional configuration without discovery', async () => {
+      const configuration = await browser.createLoginClient({ fetch: fetchSpy }).getConfiguration();
+      expect(configuration).to.eql({
+        issuer: server.url,
+        authorization_endpoint: `${server.url}/`,
+        token_endpoint: `${server.url}/api/authentication/oauth/tokens`,
+        end_session_endpoint: `${server.url}/logout`,
+        jwks_uri: `${server.url}/.well-known/openid-configuration/jwks`
+      });
+      expect(fetchSpy.called).to.eql(false);
+    });
+
+    it('should discover the configuration once and use the advertised logout endpoint', async () => {
+      const loginClient = browser.createLoginClient({ fetch: fetchSpy, discovery: true });
+      const configuration = await loginClient.getConfiguration();
+      expect(configuration.end_session_endpoint).to.eql(`${server.url}/oauth/logout`);
+      expect(configuration.jwks_uri).to.eql(`${server.url}/.well-known/openid-configuration/jwks`);
+      await browser.createLoginClient({ fetch: fetchSpy, discovery: true }).getConfiguration();
+      expect(discoveryRequests().length).to.eql(1);
+
+      loginClient.logout();
+      const logoutUrl = new URL(await browser.waitForNavigation());
+      expect(`${logoutUrl.origin}${logoutUrl.pathname}`).to.eql(`${server.url}/oauth/logout`);
+    });
+
+    it('should fall back to the conventional configuration when discovery fails', async () => {
+      const failingFetch = sinon.stub().resolves(new Response('', { status: 503 }));
+      const loginClient = browser.createLoginClient({ fetch: failingFetch, discovery: true });
+      expect((await loginClient.getConfiguration()).end_session_endpoint).to.eql(`${server.url}/logout`);
+      // Failures are not cached.
+      await loginClient.getConfiguration();
+      expect(failingFetch.callCount).to.eql(2);
+    });
+
+    describe('ExtensionClient', () => {
+      it('should use the advertised authorization and token endpoints', async () => {
+        const extensionClient = new ExtensionClient(server.url, 'ext_id', { fetch: fetchSpy, discovery: true });
+        extensionClient.login();
+        const authorizationUrl = new URL(await browser.waitForNavigation());
+        expect(`${authorizationUrl.origin}${authorizationUrl.pathname}`).to.eql(`${server.url}/oauth/authorize`);
+        expect(authorizationUrl.searchParams.get('client_id')).to.eql('ext_id');
+
+        fetchSpy.resetHistory();
+        await extensionClient.requestToken({ code: 'code' }).catch(() => null);
+        expect(fetchSpy.getCalls().map(call => call.args[0].toString())).to.include(`${server.url}/oauth/token`);
+      });
+
+      it('should report discovery failures to the logger', async () => {
+        const warnings = [];
+        const failingFetch = sinon.stub().resolves(new Response('', { status: 503 }));
+        const extensionClient = new ExtensionClient('https://login-undiscoverable.example.com', 'ext_id', { fetch: failingFetch, discovery: true, logger: { warn: message => warnings.push(message.title) } });
+        expect((await extensionClient.getConfiguration()).token_endpoint).to.eql('https://login-undiscoverable.example.com/api/authentication/oauth/tokens');
+        expect(warnings).to.eql(['[Authress Login SDK] Failed to discover the OpenID configuration, using the conventional endpoints instead']);
+      });
+
+      it('should prefer the apiBasePath over the advertised token endpoint', async () => {
+        const extensionClient = new ExtensionClient(server.url, 'ext_id', { fetch: fetchSpy, discovery: true, apiBasePath: 'https://proxy.example.com/api' });
+        await extensionClient.requestToken({ code: 'code' }).catch(() => null);
+        expect(fetchSpy.getCalls().map(call => call.args[0].toString())).to.include('https://proxy.example.com/api/authentication/oauth/tokens');
+      });
+    });
+  });
+});
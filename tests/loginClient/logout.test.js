@@ -20,7 +20,7 @@ describe('loginClient.js', () => {
     it('should clear the user identity token storage and sanitize query parameters', async () => {
       const setTimeoutStub = sandbox.stub(global, 'setTimeout').callsFake(cb => cb());
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://unit-test.authress.io', skipBackgroundCredentialsCheck: true });
@@ -40,7 +40,7 @@ describe('loginClient.js', () => {
       const deleteMock = sandbox.mock(httpClient.prototype).expects('delete').once().withArgs('/session', true);
       const assignMock = sandbox.mock(windowManager).expects('assign').once().withArgs(requestedRedirectUrl);
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://unit-test.authress.io', skipBackgroundCredentialsCheck: true });
@@ -65,7 +65,7 @@ describe('loginClient.js', () => {
       const deleteMock = sandbox.mock(httpClient.prototype).expects('delete').once().withArgs('/session', true);
       const assignMock = sandbox.mock(windowManager).expects('assign').once().withArgs(relativeUrl);
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://unit-test.authress.io', skipBackgroundCredentialsCheck: true });
@@ -89,7 +89,7 @@ describe('loginClient.js', () => {
 
       const deleteMock = sandbox.mock(httpClient.prototype).expects('delete').once().withArgs('/session', true);
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://unit-test.authress.io', skipBackgroundCredentialsCheck: true });
@@ -112,7 +112,7 @@ describe('loginClient.js', () => {
       const assignMock = sandbox.mock(windowManager).expects('assign').once();
       const getCurrentLocationMock = sandbox.mock(windowManager).expects('getCurrentLocation').returns({ href: 'https://current.location' });
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
@@ -137,7 +137,7 @@ describe('loginClient.js', () => {
       const assignMock = sandbox.mock(windowManager).expects('assign').once().withArgs(fullLogoutUrl);
       const getCurrentLocationMock = sandbox.mock(windowManager).expects('getCurrentLocation').returns({ href: 'https://valid-redirect.url' });
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
@@ -162,7 +162,7 @@ describe('loginClient.js', () => {
       windowManagerMock.expects('assign').once().withArgs('https://auth.example.com/logout?redirect_uri=https%3A%2F%2Fcurrent.location%2F&client_id=app_id');
       windowManagerMock.expects('getCurrentLocation').twice().returns({ href: 'https://current.location' });
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
@@ -185,7 +185,7 @@ describe('loginClient.js', () => {
       windowManagerMock.expects('assign').once().withArgs('https://auth.example.com/logout?redirect_uri=https%3A%2F%2Fcurrent.location%2Frelative-url&client_id=app_id');
       windowManagerMock.expects('getCurrentLocation').twice().returns({ href: 'https://current.location' });
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
@@ -204,7 +204,7 @@ describe('loginClient.js', () => {
       const setTimeoutStub = sandbox.stub(global, 'setTimeout').callsFake(cb => cb());
       const assignMock = sandbox.mock(windowManager).expects('assign').once();
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
@@ -225,7 +225,7 @@ describe('loginClient.js', () => {
       const clock = sandbox.useFakeTimers();
       const assignMock = sandbox.mock(windowManager).expects('assign').once();
 
-      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager);
+      const userIdentityTokenStorageManagerMock = sandbox.mock(userIdentityTokenStorageManager.prototype);
       userIdentityTokenStorageManagerMock.expects('clear').once();
 
       const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
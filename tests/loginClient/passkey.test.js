@@ -0,0 +1,32 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+
+const { MockAuthressServer, TestBrowser } = require('../../testing');
+
+describe('loginClient.js', () => {
+  describe('passkeys', () => {
+    let server;
+    let browser;
+    let loginClient;
+    beforeEach(async () => {
+      server = new MockAuthressServer({ user: { sub: 'user-1', email: 'user@example.com' } });
+      browser = new TestBrowser(server).install();
+      server.startSession();
+      loginClient = browser.createLoginClient();
+      await loginClient.userSessionExists();
+    });
+    afterEach(() => browser.uninstall());
+
+    it('should register a discoverable credential with user verification', async () => {
+      await loginClient.registerPasskey({ name: 'Laptop' });
+      expect(browser.authenticator.credentials).to.have.length(1);
+      expect(browser.authenticator.credentials[0]).to.include({ rpId: 'example.com', userName: 'user@example.com', discoverable: true, userVerified: true });
+      expect(server.devices.map(device => device.name)).to.eql(['Laptop']);
+    });
+
+    it('should not register MFA devices as passkeys', async () => {
+      await loginClient.registerDevice({ name: 'Security key' });
+      expect(browser.authenticator.credentials[0].discoverable).to.eql(false);
+    });
+  });
+});
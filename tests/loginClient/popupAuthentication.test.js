@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { LoginClient } = require('../../src/index');
+const windowManager = require('../../src/windowManager');
+const jwtManager = require('../../src/jwtManager');
+const httpClient = require('../../src/httpClient.js');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+const userIdentity = { sub: 'user-id', userId: 'user-id', iss: 'https://auth.example.com' };
+
+function createLoginClient() {
+  const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
+  sandbox.stub(loginClient, 'userSessionExists').resolves(false);
+  sandbox.stub(loginClient.userIdentityTokenStorageManager, 'clear');
+  sandbox.stub(jwtManager, 'getAuthCodes').resolves({ codeVerifier: 'verifier', codeChallenge: 'challenge' });
+  sandbox.stub(jwtManager, 'calculateAntiAbuseHash').resolves('hash');
+  return loginClient;
+}
+
+describe('loginClient.js', () => {
+  describe('authenticate with popup', () => {
+    it('should complete the login in the opener and resolve with the user identity', async () => {
+      const popup = { closed: false, close: sinon.spy(), location: { assign: sinon.spy() } };
+      sandbox.stub(windowManager, 'openPopup').returns(popup);
+      sandbox.stub(windowManager, 'getCurrentLocation').returns(new URL('https://app.example.com/login'));
+      sandbox.stub(windowManager, 'waitForAuthenticationRedirect').resolves(new URL('https://app.example.com/login?nonce=request-id&code=auth-code'));
+      sandbox.stub(httpClient.prototype, 'post').resolves({ data: { authenticationRequestId: 'request-id', authenticationUrl: 'https://login.provider.com/authorize' } });
+
+      const loginClient = createLoginClient();
+      const storageSetStub = sandbox.stub(loginClient.storage, 'set');
+      const completeStub = sandbox.stub(loginClient, 'completeAuthenticationRedirect').resolves(true);
+      sandbox.stub(loginClient, 'getUserIdentity').returns(userIdentity);
+
+      const result = await loginClient.authenticate({ openType: 'popup', connectionId: 'connection' });
+
+      expect(result).to.eql({ userIdentity });
+      expect(popup.location.assign.calledOnceWith('https://login.provider.com/authorize')).to.eql(true);
+      expect(popup.close.calledOnce).to.eql(true);
+      // Only the nonce is stored, so that the page loaded in the popup recognizes that it is the popup.
+      expect(storageSetStub.calledOnce).to.eql(true);
+      expect(storageSetStub.firstCall.args[0]).to.match(/^AuthenticationWindowRequest:.+:request-id$/);
+      expect(await loginClient.storage.get(storageSetStub.firstCall.args[0])).to.eql(null);
+      expect(completeStub.firstCall.args[0]).to.include({ nonce: 'request-id', codeVerifier: 'verifier' });
+      expect(completeStub.firstCall.args[1].get('code')).to.eql('auth-code');
+    });
+
+    it('should throw PopupBlocked when the browser blocks the popup', async () => {
+      sandbox.stub(windowManager, 'openPopup').returns(null);
+      const loginClient = createLoginClient();
+
+      try {
+        await loginClient.authenticate({ openType: 'popup' });
+        expect.fail('Expected authenticate to throw');
+      } catch (error) {
+        expect(error.code).to.eql('PopupBlocked');
+      }
+      expect(loginClient.userSessionExists.called).to.eql(false);
+    });
+
+    it('should throw PopupClosed when the user closes the popup', async () => {
+      const popup = { closed: false, close: sinon.spy(), location: { assign: sinon.spy() } };
+      sandbox.stub(windowManager, 'openPopup').returns(popup);
+      sandbox.stub(windowManager, 'getCurrentLocation').returns(new URL('https://app.example.com/login'));
+      const closedError = Error('The authentication popup was closed before the login completed.');
+      closedError.code = 'PopupClosed';
+      sandbox.stub(windowManager, 'waitForAuthenticationRedirect').rejects(closedError);
+      sandbox.stub(httpClient.prototype, 'post').resolves({ data: { authenticationRequestId: 'request-id', authenticationUrl: 'https://login.provider.com/authorize' } });
+      const loginClient = createLoginClient();
+
+      try {
+        await loginClient.authenticate({ openType: 'popup' });
+        expect.fail('Expected authenticate to throw');
+      } catch (error) {
+        expect(error.code).to.eql('PopupClosed');
+      }
+      expect(popup.close.calledOnce).to.eql(true);
+    });
+
+    it('should recognize the redirect back inside of the popup without relying on the window name', async () => {
+      sandbox.stub(windowManager, 'hasParentWindow').returns(true);
+      sandbox.stub(windowManager, 'getCurrentLocation').returns(new URL('https://app.example.com/login?nonce=request-id&code=auth-code'));
+      const notifyStub = sandbox.stub(windowManager, 'notifyAuthenticationWindowParent');
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
+      const sanitizeStub = sandbox.stub(loginClient, 'sanitizeQueryParameters');
+      await loginClient.storage.set(`${loginClient.authenticationWindowRequestKey}:request-id`, 'true');
+
+      expect(await loginClient.userSessionContinuation()).to.eql(false);
+      expect(notifyStub.calledOnce).to.eql(true);
+      expect(sanitizeStub.called).to.eql(false);
+    });
+
+    it('should not treat other pages opened by a window as the popup', async () => {
+      sandbox.stub(windowManager, 'hasParentWindow').returns(true);
+      sandbox.stub(windowManager, 'getCurrentLocation').returns(new URL('https://app.example.com/login?nonce=other-request&code=auth-code'));
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
+      await loginClient.storage.set(`${loginClient.authenticationWindowRequestKey}:request-id`, 'true');
+
+      expect(await loginClient.isAuthenticationWindow()).to.eql(false);
+    });
+
+    it('should recognize the popup when the storage is not shared with the opening window', async () => {
+      sandbox.stub(windowManager, 'hasParentWindow').returns(true);
+      sandbox.stub(windowManager, 'getCurrentLocation').returns(new URL('https://app.example.com/login?nonce=request-id&iss=https%3A%2F%2Fauth.example.com&code=auth-code'));
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true });
+      expect(await loginClient.isAuthenticationWindow()).to.eql(true);
+
+      // A redirect login started by this page is completed by the page itself.
+      await loginClient.storage.set(loginClient.authenticationRequestNonceKey, JSON.stringify({ nonce: 'request-id' }));
+      expect(await loginClient.isAuthenticationWindow()).to.eql(false);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+
+const { MockAuthressServer, TestBrowser } = require('../../testing');
+const totpManager = require('../../src/totpManager');
+
+async function expectError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw Error('Expected an error');
+}
+
+describe('loginClient.js', () => {
+  describe('registerDevice', () => {
+    let server;
+    let browser;
+    let loginClient;
+    beforeEach(async () => {
+      server = new MockAuthressServer({ user: { sub: 'user-1', email: 'user@example.com' } });
+      browser = new TestBrowser(server).install();
+      server.startSession();
+      loginClient = browser.createLoginClient();
+      await loginClient.userSessionExists();
+    });
+    afterEach(() => browser.uninstall());
+
+    const registrationRequests = () => server.requests.filter(request => request.method === 'POST' && request.path === '/api/session/devices');
+
+    it('should register the credential for the challenge derived from the userId', async () => {
+      const device = await loginClient.registerDevice({ name: 'Laptop' });
+      expect(device.name).to.eql('Laptop');
+
+      const [{ body }] = registrationRequests();
+      expect(JSON.parse(atob(body.code.client)).challenge).to.eql('dXNlci0x');
+      expect(body.code).to.include({ userId: 'user-1', publicKeyAlgorithm: -7 });
+      expect(body.code.transports).to.eql(['internal', 'hybrid']);
+      expect(body.code.clientExtensionResults).to.eql({});
+      expect(browser.authenticator.credentials[0]).to.include({ rpId: 'example.com', userName: 'user-1', discoverable: false, userVerified: false });
+    });
+
+    it('should use the configured algorithms and user verification', async () => {
+      await loginClient.registerDevice({ name: 'Laptop', algorithms: ['RS256', 'ES256'], userVerification: 'required' });
+      expect(registrationRequests()[0].body.code.publicKeyAlgorithm).to.eql(-257);
+      expect(browser.authenticator.credentials[0].userVerified).to.eql(true);
+    });
+
+    it('should only offer ES256 and RS256 unless other algorithms are configured', async () => {
+      const requests = [];
+      const create = browser.navigator.credentials.create;
+      browser.navigator.credentials.create = request => {
+        requests.push(request);
+        return create(request);
+      };
+
+      await loginClient.registerDevice({ name: 'Laptop' });
+      await loginClient.registerDevice({ name: 'Security key', algorithms: ['EdDSA', 'ES256'] });
+      expect(requests.map(request => request.publicKey.pubKeyCredParams.map(parameter => parameter.alg))).to.eql([[-7, -257], [-8, -7]]);
+    });
+
+    it('should reject unknown algorithms before creating a credential', async () => {
+      const error = await expectError(loginClient.registerDevice({ name: 'Laptop', algorithms: ['HS256'] }));
+      expect(error.code).to.eql('InvalidInput');
+      expect(browser.authenticator.credentials).to.eql([]);
+      expect(registrationRequests()).to.eql([]);
+    });
+
+    it('should pass the attachment preference to the authenticator', async () => {
+      const error = await expectError(loginClient.registerDevice({ name: 'Security key', authenticatorAttachment: 'cross-platform' }));
+      expect(error.name).to.eql('NotAllowedError');
+      expect(registrationRequests()).to.eql([]);
+    });
+
+    it('should register a TOTP device with a verified enrollment', async () => {
+      const enrollment = await loginClient.createTotpEnrollment();
+      expect(enrollment.uri).to.eql(`otpauth://totp/login.example.com:user%40example.com?secret=${enrollment.secret}&issuer=login.example.com&algorithm=SHA1&digits=6&period=30`);
+
+      const expiredCode = await totpManager.generateCode(enrollment.secret, totpManager.getCounter(Date.now()) - 5);
+      expect(await enrollment.verify(expiredCode)).to.eql(false);
+      expect(enrollment.verificationCode).to.eql(null);
+      const code = await totpManager.generateCode(enrollment.secret, totpManager.getCounter(Date.now()));
+      expect(await enrollment.verify(code)).to.eql(true);
+
+      const device = await loginClient.registerDevice({ type: 'TOTP', name: 'Authenticator app', totp: enrollment });
+      expect(device).to.include({ name: 'Authenticator app', type: 'TOTP' });
+      expect(registrationRequests()[0].body.totpData).to.eql({ secret: enrollment.secret, verificationCode: code });
+    });
+
+    it('should use the configured issuer and account name', async () => {
+      const enrollment = await loginClient.createTotpEnrollment({ issuer: 'Example App', accountName: 'user-1' });
+      expect(enrollment.uri).to.match(/^otpauth:\/\/totp\/Example%20App:user-1\?secret=[A-Z2-7]{32}&issuer=Example\+App&/);
+    });
+
+    it('should require a logged in user to enroll a TOTP authenticator app', async () => {
+      await loginClient.logout();
+      const error = await expectError(loginClient.createTotpEnrollment());
+      expect(error).to.include({ code: 'NotLoggedIn', message: 'User must be logged in to enroll a TOTP authenticator app.' });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { LoginClient } = require('../../src/index');
+const { MockAuthressServer } = require('../../testing');
+const base64url = require('../../src/base64url');
+const httpClient = require('../../src/httpClient.js');
+const clock = require('../../src/clock');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+const quietLogger = { debug: () => null, warn: () => null, log: () => null };
+
+describe('loginClient.js', () => {
+  describe('server side mode', () => {
+    let server;
+    beforeEach(() => {
+      // Each test uses its own custom domain, so that the keys of previous servers are not cached.
+      server = new MockAuthressServer({ authressApiUrl: `https://login-${Date.now()}-${Math.random().toString(36).slice(2)}.example.com`, applicationId: 'app_id' });
+    });
+
+    const createToken = claims => server.createToken(Object.assign({ sub: 'user-id', iss: server.url, aud: 'app_id' }, claims));
+    const createLoginClient = request => new LoginClient({ authressApiUrl: server.url, applicationId: 'app_id', fetch: server.fetch, request }, quietLogger);
+
+    it('reads the user identity from the access token of the request', async () => {
+      const accessToken = await createToken({ exp: Math.round(Date.now() / 1000) + 3600 });
+      const loginClient = createLoginClient({ headers: { cookie: `authorization=${accessToken}` } });
+      const patchStub = sandbox.stub(httpClient.prototype, 'patch');
+
+      expect(loginClient.getUserIdentity()).to.eql(null);
+      expect(await loginClient.userSessionExists()).to.eql(true);
+      expect(loginClient.getUserIdentity().userId).to.eql('user-id');
+      expect(await loginClient.ensureToken()).to.eql(accessToken);
+      expect(patchStub.called).to.eql(false);
+      expect(loginClient.getSetCookieHeaders()).to.eql([]);
+    });
+
+    it('does not trust tokens of the request that are not signed by the custom domain', async () => {
+      const encode = value => base64url.encode(JSON.stringify(value));
+      const forgedToken = `${encode({ alg: 'none' })}.${encode({ sub: 'admin', iss: server.url, aud: 'app_id', exp: Math.round(Date.now() / 1000) + 3600 })}.`;
+      const loginClient = createLoginClient(`authorization=${forgedToken}; user=${forgedToken}`);
+      sandbox.stub(httpClient.prototype, 'patch').rejects({ status: 404 });
+
+      expect(await loginClient.userSessionExists()).to.eql(false);
+      expect(loginClient.getUserIdentity()).to.eql(null);
+    });
+
+    it('renews an expired session using the request cookies and returns the Set-Cookie headers', async () => {
+      const expiredToken = await createToken({ exp: Math.round(Date.now() / 1000) - 60 });
+      const exp = Math.round(Date.now() / 1000) + 3600;
+      const accessToken = await createToken({ exp });
+      const idToken = await createToken({ exp });
+      const loginClient = createLoginClient(`authorization=${expiredToken}; session=session-cookie`);
+      const patchStub = sandbox.stub(httpClient.prototype, 'patch').resolves({ data: { access_token: accessToken, id_token: idToken } });
+
+      expect(await loginClient.ensureToken()).to.eql(accessToken);
+      expect(patchStub.firstCall.args[3]).to.eql({ Cookie: `authorization=${expiredToken}; session=session-cookie` });
+      expect(loginClient.getSetCookieHeaders()).to.eql([`authorization=${accessToken}; Path=/; Expires=${new Date((exp - 10) * 1000).toUTCString()}; SameSite=Strict`]);
+    });
+
+    it('compares the token expiry to the server time', async () => {
+      const accessToken = await createToken({ exp: Math.round(Date.now() / 1000) - 600 });
+      const loginClient = createLoginClient(`authorization=${accessToken}`);
+      sandbox.stub(httpClient.prototype, 'patch').rejects({ status: 404 });
+
+      // The device clock is one hour ahead of the server.
+      clock.synchronize(new Date(Date.now() - 3600000).toUTCString(), Date.now(), Date.now());
+      try {
+        expect(await loginClient.userSessionExists()).to.eql(true);
+        expect(loginClient.getUserIdentity().userId).to.eql('user-id');
+      } finally {
+        clock.reset();
+      }
+      expect(loginClient.getUserIdentity()).to.eql(null);
+    });
+
+    it('does not wait for a session when the request has none', async () => {
+      const loginClient = createLoginClient({ headers: {} });
+      sandbox.stub(httpClient.prototype, 'patch').rejects({ status: 404 });
+
+      try {
+        await loginClient.ensureToken();
+        expect.fail('Expected ensureToken() to throw without a session');
+      } catch (error) {
+        expect(error.code).to.eql('TokenTimeout');
+      }
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { LoginClient } = require('../../src/index');
+const windowManager = require('../../src/windowManager');
+const userIdentityTokenStorageManager = require('../../src/userIdentityTokenStorageManager.js');
+const httpClient = require('../../src/httpClient.js');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+const userIdentity = { sub: 'user-id', userId: 'user-id', iss: 'https://auth.example.com' };
+// Failures are expected in these tests, the default console logger would print them.
+const quietLogger = { debug: () => null, warn: () => null, log: () => null };
+
+describe('loginClient.js', () => {
+  describe('session events', () => {
+    it('should reject unknown events', () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true }, quietLogger);
+      try {
+        loginClient.on('unknownEvent', sinon.spy());
+        expect.fail('Expected on() to throw for an unknown event');
+      } catch (error) {
+        expect(error.code).to.eql('InvalidEvent');
+      }
+    });
+
+    it('should emit identityChanged only when the user changes', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true }, quietLogger);
+      sandbox.stub(loginClient, 'getUserIdentity').returns(userIdentity);
+      const listener = sinon.spy();
+      loginClient.on('identityChanged', listener);
+
+      await loginClient.userSessionContinuation(true);
+      await loginClient.userSessionContinuation(true);
+
+      expect(listener.calledOnce).to.eql(true);
+      expect(listener.firstCall.args[0]).to.eql({ type: 'identityChanged', userIdentity });
+    });
+
+    it('should emit login once when the page loads with a stored identity', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true }, quietLogger);
+      sandbox.stub(loginClient, 'getUserIdentity').returns(userIdentity);
+      const publishStub = sandbox.stub(loginClient.sessionSynchronizer, 'publish');
+      const loginListener = sinon.spy();
+      loginClient.on('login', loginListener);
+
+      await loginClient.userSessionContinuation(true);
+      await loginClient.userSessionContinuation(true);
+
+      expect(loginListener.calledOnceWith({ type: 'login', userIdentity })).to.eql(true);
+      expect(publishStub.called).to.eql(false);
+    });
+
+    it('should not emit sessionExpired when only reading the token', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true }, quietLogger);
+      loginClient.lastUserIdentity = userIdentity;
+      sandbox.stub(loginClient, 'getUserIdentity').returns(null);
+      const expiredListener = sinon.spy();
+      loginClient.on('sessionExpired', expiredListener);
+
+      try {
+        await loginClient.ensureToken({ timeoutInMillis: 0 });
+        expect.fail('Expected ensureToken() to throw without a session');
+      } catch (error) {
+        expect(error.code).to.eql('TokenTimeout');
+      }
+      expect(expiredListener.called).to.eql(false);
+    });
+
+    it('should emit login when an existing session is continued', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true }, quietLogger);
+      sandbox.stub(loginClient, 'getUserIdentity').onFirstCall().returns(null).returns(userIdentity);
+      sandbox.stub(httpClient.prototype, 'patch').resolves({ data: {} });
+      const loginListener = sinon.spy();
+      const refreshListener = sinon.spy();
+      loginClient.on('login', loginListener);
+      loginClient.on('tokenRefreshed', refreshListener);
+
+      const result = await loginClient.userSessionContinuation();
+
+      expect(result).to.eql(true);
+      expect(loginListener.calledOnceWith({ type: 'login', userIdentity })).to.eql(true);
+      expect(refreshListener.called).to.eql(false);
+    });
+
+    it('should emit tokenRefreshed when a known session is renewed', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true }, quietLogger);
+      loginClient.lastUserIdentity = userIdentity;
+      sandbox.stub(loginClient, 'getUserIdentity').onFirstCall().returns(null).returns(userIdentity);
+      sandbox.stub(httpClient.prototype, 'patch').resolves({ data: {} });
+      const refreshListener = sinon.spy();
+      const identityListener = sinon.spy();
+      loginClient.on('tokenRefreshed', refreshListener);
+      loginClient.on('identityChanged', identityListener);
+
+      await loginClient.userSessionContinuation();
+
+      expect(refreshListener.calledOnceWith({ type: 'tokenRefreshed', userIdentity })).to.eql(true);
+      expect(identityListener.called).to.eql(false);
+    });
+
+    it('should emit sessionExpired with the previous identity when the session cannot be continued', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true }, quietLogger);
+      loginClient.lastUserIdentity = userIdentity;
+      sandbox.stub(loginClient, 'getUserIdentity').returns(null);
+      sandbox.stub(httpClient.prototype, 'patch').rejects({ status: 404 });
+      const expiredListener = sinon.spy();
+      const identityListener = sinon.spy();
+      loginClient.on('sessionExpired', expiredListener);
+      loginClient.on('identityChanged', identityListener);
+
+      const result = await loginClient.userSessionContinuation();
+
+      expect(result).to.eql(false);
+      expect(expiredListener.calledOnceWith({ type: 'sessionExpired', userIdentity })).to.eql(true);
+      expect(identityListener.calledOnceWith({ type: 'identityChanged', userIdentity: null })).to.eql(true);
+      expect(loginClient.lastUserIdentity).to.eql(null);
+    });
+
+    it('should emit logout and continue calling listeners when one fails', async () => {
+      sandbox.stub(global, 'setTimeout').callsFake(cb => cb());
+      sandbox.stub(windowManager, 'assign');
+      sandbox.stub(userIdentityTokenStorageManager.prototype, 'clear');
+
+      const logger = { warn: sinon.spy() };
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true }, logger);
+      sandbox.stub(loginClient, 'sanitizeQueryParameters');
+      loginClient.lastUserIdentity = userIdentity;
+
+      const failingListener = sinon.stub().throws(new Error('Listener failure'));
+      const logoutListener = sinon.spy();
+      loginClient.on('logout', failingListener);
+      loginClient.on('logout', logoutListener);
+
+      await loginClient.logout();
+
+      expect(failingListener.calledOnce).to.eql(true);
+      expect(logoutListener.calledOnceWith({ type: 'logout', userIdentity })).to.eql(true);
+      expect(logger.warn.calledOnce).to.eql(true);
+    });
+
+    it('should stop calling listeners after they are removed', async () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true }, quietLogger);
+      const getUserIdentityStub = sandbox.stub(loginClient, 'getUserIdentity').returns(userIdentity);
+      const listener = sinon.spy();
+      const unsubscribe = loginClient.on('identityChanged', listener);
+      unsubscribe();
+
+      await loginClient.userSessionContinuation(true);
+
+      expect(getUserIdentityStub.called).to.eql(true);
+      expect(listener.called).to.eql(false);
+    });
+  });
+});
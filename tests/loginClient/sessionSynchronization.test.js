@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { LoginClient } = require('../../src/index');
+const userIdentityTokenStorageManager = require('../../src/userIdentityTokenStorageManager.js');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+const userIdentity = { sub: 'user-id', userId: 'user-id', iss: 'https://auth.example.com' };
+
+describe('loginClient.js', () => {
+  describe('onSynchronizedSessionEvent', () => {
+    it('should store the identity and resolve the user session for a login in another tab', async () => {
+      const setMock = sandbox.mock(userIdentityTokenStorageManager.prototype).expects('set').once().withArgs('id-token', new Date(1000));
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true });
+      sandbox.stub(loginClient, 'getUserIdentity').returns(userIdentity);
+      const publishStub = sandbox.stub(loginClient.sessionSynchronizer, 'publish');
+      const loginListener = sinon.spy();
+      loginClient.on('login', loginListener);
+
+      loginClient.onSynchronizedSessionEvent({ type: 'login', idToken: 'id-token', expiry: 1000 });
+
+      expect(await loginClient.waitForUserSession()).to.eql(true);
+      expect(loginListener.calledOnceWith({ type: 'login', userIdentity })).to.eql(true);
+      expect(publishStub.called).to.eql(false);
+      setMock.verify();
+    });
+
+    it('should remove the stored identity for a logout in another tab without publishing it again', () => {
+      const deleteMock = sandbox.mock(userIdentityTokenStorageManager.prototype).expects('delete').once();
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true });
+      const publishStub = sandbox.stub(loginClient.sessionSynchronizer, 'publish');
+      loginClient.lastUserIdentity = userIdentity;
+      loginClient.lastSessionCheck = 12345;
+      const logoutListener = sinon.spy();
+      loginClient.on('logout', logoutListener);
+
+      loginClient.onSynchronizedSessionEvent({ type: 'logout' });
+
+      expect(logoutListener.calledOnceWith({ type: 'logout', userIdentity })).to.eql(true);
+      expect(loginClient.lastSessionCheck).to.eql(0);
+      expect(publishStub.called).to.eql(false);
+      deleteMock.verify();
+    });
+
+    it('should publish local session events to the other tabs', () => {
+      const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true });
+      sandbox.stub(userIdentityTokenStorageManager.prototype, 'get').returns('id-token');
+      const publishStub = sandbox.stub(loginClient.sessionSynchronizer, 'publish');
+
+      loginClient.publishSessionEvent('tokenRefreshed', Object.assign({ exp: 10 }, userIdentity));
+
+      expect(publishStub.calledOnceWith({ type: 'tokenRefreshed', idToken: 'id-token', expiry: 10000 })).to.eql(true);
+    });
+  });
+});
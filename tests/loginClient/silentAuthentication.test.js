@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { LoginClient } = require('../../src/index');
+const windowManager = require('../../src/windowManager');
+const jwtManager = require('../../src/jwtManager');
+const httpClient = require('../../src/httpClient.js');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+function createLoginClient() {
+  const loginClient = new LoginClient({ authressApiUrl: 'https://auth.example.com', applicationId: 'app_id', skipBackgroundCredentialsCheck: true, silentAuthentication: { redirectUrl: 'https://app.cross-domain.com/silent', timeoutInMillis: 100 } }, { debug: sinon.spy() });
+  sandbox.stub(jwtManager, 'getAuthCodes').resolves({ codeVerifier: 'verifier', codeChallenge: 'challenge' });
+  sandbox.stub(jwtManager, 'calculateAntiAbuseHash').resolves('hash');
+  sandbox.stub(httpClient.prototype, 'post').resolves({ data: { authenticationRequestId: 'request-id', authenticationUrl: 'https://auth.example.com/authorize' } });
+  return loginClient;
+}
+
+describe('loginClient.js', () => {
+  describe('silentAuthentication', () => {
+    it('should exchange the code returned to the hidden iframe', async () => {
+      const iframe = { contentWindow: {} };
+      sandbox.stub(windowManager, 'createHiddenIframe').returns(iframe);
+      const removeIframeStub = sandbox.stub(windowManager, 'removeIframe');
+      sandbox.stub(windowManager, 'waitForAuthenticationRedirect').resolves(new URL('https://app.cross-domain.com/silent?nonce=request-id&code=auth-code'));
+      const loginClient = createLoginClient();
+      const completeStub = sandbox.stub(loginClient, 'completeAuthenticationRedirect').resolves(true);
+
+      const result = await loginClient.silentAuthentication();
+
+      expect(result).to.eql(true);
+      expect(httpClient.prototype.post.firstCall.args[2]).to.include({ responseLocation: 'query', flowType: 'code', redirectUrl: 'https://app.cross-domain.com/silent' });
+      expect(completeStub.firstCall.args[0]).to.eql({ nonce: 'request-id', codeVerifier: 'verifier', redirectUrl: 'https://app.cross-domain.com/silent', enableCredentials: undefined });
+      expect(windowManager.waitForAuthenticationRedirect.firstCall.args[1]).to.eql({ timeoutInMillis: 100 });
+      expect(removeIframeStub.calledOnceWith(iframe)).to.eql(true);
+    });
+
+    it('should report no session when the login requires user interaction', async () => {
+      sandbox.stub(windowManager, 'createHiddenIframe').returns({ contentWindow: {} });
+      sandbox.stub(windowManager, 'removeIframe');
+      sandbox.stub(windowManager, 'waitForAuthenticationRedirect').resolves(new URL('https://app.cross-domain.com/silent?error=login_required'));
+      const loginClient = createLoginClient();
+      const completeStub = sandbox.stub(loginClient, 'completeAuthenticationRedirect');
+
+      const result = await loginClient.silentAuthentication();
+
+      expect(result).to.eql(false);
+      expect(completeStub.called).to.eql(false);
+    });
+
+    it('should report no session and remove the iframe after a timeout', async () => {
+      const iframe = { contentWindow: {} };
+      sandbox.stub(windowManager, 'createHiddenIframe').returns(iframe);
+      const removeIframeStub = sandbox.stub(windowManager, 'removeIframe');
+      const timeoutError = Error('The authentication window did not complete the login in time.');
+      timeoutError.code = 'AuthenticationWindowTimeout';
+      sandbox.stub(windowManager, 'waitForAuthenticationRedirect').rejects(timeoutError);
+      const loginClient = createLoginClient();
+
+      const result = await loginClient.silentAuthentication();
+
+      expect(result).to.eql(false);
+      expect(removeIframeStub.calledOnceWith(iframe)).to.eql(true);
+    });
+
+    it('should be attempted when a cross domain session cannot be continued', async () => {
+      const loginClient = createLoginClient();
+      loginClient.enableCredentials = false;
+      sandbox.stub(loginClient, 'getUserIdentity').returns(null);
+      sandbox.stub(loginClient, 'refreshSession').rejects({ status: 404 });
+      await loginClient.storage.set(loginClient.silentAuthenticationHintKey, 'true');
+      const silentAuthenticationStub = sandbox.stub(loginClient, 'silentAuthentication').resolves(true);
+
+      const result = await loginClient.userSessionContinuation();
+
+      expect(result).to.eql(true);
+      expect(silentAuthenticationStub.calledOnce).to.eql(true);
+    });
+
+    it('should be attempted by the background check when the page loads', async () => {
+      const loginClient = createLoginClient();
+      loginClient.enableCredentials = false;
+      sandbox.stub(loginClient, 'getUserIdentity').returns(null);
+      const refreshSessionStub = sandbox.stub(loginClient, 'refreshSession');
+      await loginClient.storage.set(loginClient.silentAuthenticationHintKey, 'true');
+      const silentAuthenticationStub = sandbox.stub(loginClient, 'silentAuthentication').resolves(true);
+
+      const result = await loginClient.userSessionContinuation(true);
+
+      expect(result).to.eql(true);
+      expect(refreshSessionStub.called).to.eql(false);
+      expect(silentAuthenticationStub.calledOnce).to.eql(true);
+    });
+
+    it('should report no session immediately for users that did not log in before', async () => {
+      const createHiddenIframeStub = sandbox.stub(windowManager, 'createHiddenIframe').returns({ contentWindow: {} });
+      // Without a session the hidden iframe shows the login page and never redirects back.
+      sandbox.stub(windowManager, 'waitForAuthenticationRedirect').returns(new Promise(() => { /* never resolves */ }));
+      const loginClient = createLoginClient();
+      loginClient.silentAuthenticationSettings.timeoutInMillis = 60000;
+      loginClient.enableCredentials = false;
+      sandbox.stub(loginClient, 'getUserIdentity').returns(null);
+
+      const start = Date.now();
+      const result = await loginClient.userSessionContinuation(true);
+
+      expect(result).to.eql(false);
+      expect(Date.now() - start).to.be.lessThan(1000);
+      expect(createHiddenIframeStub.called).to.eql(false);
+    });
+
+    it('should not attempt the silent authentication again after it failed or the user logged out', async () => {
+      const loginClient = createLoginClient();
+      loginClient.enableCredentials = false;
+      sandbox.stub(loginClient, 'getUserIdentity').returns(null);
+      const silentAuthenticationStub = sandbox.stub(loginClient, 'silentAuthentication').resolves(false);
+
+      loginClient.publishSessionEvent('login', { sub: 'user-id', userId: 'user-id' }, true);
+      expect(await loginClient.userSessionContinuation(true)).to.eql(false);
+      expect(await loginClient.userSessionContinuation(true)).to.eql(false);
+      expect(silentAuthenticationStub.calledOnce).to.eql(true);
+
+      loginClient.publishSessionEvent('login', { sub: 'user-id', userId: 'user-id' }, true);
+      expect(await loginClient.hasSilentAuthenticationHint()).to.eql(true);
+      loginClient.publishSessionEvent('logout', null, true);
+      expect(await loginClient.hasSilentAuthenticationHint()).to.eql(false);
+    });
+  });
+});
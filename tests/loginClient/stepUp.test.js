@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { MockAuthressServer, TestBrowser } = require('../../testing');
+const jwtManager = require('../../src/jwtManager');
+const windowManager = require('../../src/windowManager');
+const { AuthressError } = require('../../src/errors');
+
+async function expectErrorCode(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.code).to.eql(code);
+    return;
+  }
+  throw Error(`Expected an error with the code ${code}`);
+}
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+describe('loginClient.js', () => {
+  describe('requireStepUp', () => {
+    let server;
+    let browser;
+    let loginClient;
+    beforeEach(async () => {
+      server = new MockAuthressServer({ user: { sub: 'user-1', email: 'user@example.com' } });
+      browser = new TestBrowser(server).install();
+      // The user logged in with a password ten minutes ago.
+      server.startSession(null, { authTime: Math.floor(Date.now() / 1000) - 600 });
+      loginClient = browser.createLoginClient();
+      await loginClient.userSessionExists();
+    });
+    afterEach(() => browser.uninstall());
+
+    const loginRequests = () => server.requests.filter(request => request.method === 'POST' && request.path === '/api/authentication');
+
+    // The popup completes the Authress hosted login, where the user authenticates with the given methods.
+    const loginInPopup = loginOptions => {
+      const popup = { closed: false, close: sinon.spy(), location: { assign: sinon.spy() } };
+      sandbox.stub(windowManager, 'openPopup').returns(popup);
+      sandbox.stub(windowManager, 'waitForAuthenticationRedirect').callsFake(async () => {
+        const { redirectUrl, cookies } = await server.login(popup.location.assign.firstCall.args[0], loginOptions);
+        Object.keys(cookies).forEach(name => browser.setCookie(`${name}=${cookies[name]}; path=/`));
+        return new URL(redirectUrl);
+      });
+      return popup;
+    };
+
+    it('should re-authenticate in a popup and use the elevated token', async () => {
+      const popup = loginInPopup({ amr: ['pwd', 'hwk', 'mfa'] });
+
+      const token = await loginClient.requireStepUp({ maxAge: 300 });
+      const claims = jwtManager.decode(token);
+      expect(claims.amr).to.include.members(['pwd', 'hwk', 'mfa']);
+      expect(claims.auth_time * 1000).to.be.closeTo(Date.now(), 5000);
+      expect(await server.verifyToken(token)).to.include({ sub: 'user-1' });
+      expect(await loginClient.ensureToken()).to.eql(token);
+      expect(popup.close.calledOnce).to.eql(true);
+      expect(loginRequests()[0].body.connectionProperties).to.eql({ prompt: 'login', max_age: '300', amr_values: 'hwk otp' });
+
+      // The elevated token satisfies the requirement without asking the user again.
+      expect(await loginClient.requireStepUp({ maxAge: 300, factors: ['WebAuthN'] })).to.eql(token);
+      expect(loginRequests()).to.have.length(1);
+    });
+
+    it('should skip the re-authentication when the user recently used a second factor', async () => {
+      browser.uninstall();
+      browser = new TestBrowser(server).install();
+      server.startSession(null, { amr: ['pwd', 'otp'] });
+      loginClient = browser.createLoginClient();
+      await loginClient.userSessionExists();
+
+      const token = await loginClient.requireStepUp({ factors: ['TOTP'] });
+      expect(token).to.eql(await loginClient.ensureToken());
+      expect(loginRequests()).to.eql([]);
+    });
+
+    it('should fail and restore the session when the user logged in again without an accepted second factor', async () => {
+      const token = await loginClient.ensureToken();
+      const userIdentity = loginClient.getUserIdentity();
+      loginInPopup({ amr: ['pwd', 'otp', 'mfa'] });
+      await expectErrorCode(loginClient.requireStepUp({ factors: ['WebAuthN'] }), 'StepUpFailed');
+      expect(loginRequests()[0].body.connectionProperties).to.include({ amr_values: 'hwk' });
+      expect(await loginClient.ensureToken()).to.eql(token);
+      expect(loginClient.getUserIdentity()).to.eql(userIdentity);
+    });
+
+    it('should reject a step up completed by a different user and restore the session', async () => {
+      const token = await loginClient.ensureToken();
+      const identityChanged = sinon.spy();
+      loginClient.on('identityChanged', identityChanged);
+      loginInPopup({ amr: ['pwd', 'hwk', 'mfa'], user: { sub: 'user-2' } });
+
+      await expectErrorCode(loginClient.requireStepUp(), 'StepUpUserMismatch');
+      expect(await loginClient.ensureToken()).to.eql(token);
+      expect(loginClient.getUserIdentity()).to.include({ sub: 'user-1' });
+      expect(identityChanged.lastCall.args[0].userIdentity).to.include({ sub: 'user-1' });
+    });
+
+    it('should report a cancelled re-authentication and keep the session', async () => {
+      const popup = { closed: false, close: sinon.spy(), location: { assign: sinon.spy() } };
+      sandbox.stub(windowManager, 'openPopup').returns(popup);
+      sandbox.stub(windowManager, 'waitForAuthenticationRedirect').rejects(new AuthressError('The authentication popup was closed before the login completed.', { code: 'PopupClosed' }));
+
+      const token = await loginClient.ensureToken();
+      await expectErrorCode(loginClient.requireStepUp(), 'StepUpCancelled');
+      expect(await loginClient.ensureToken()).to.eql(token);
+    });
+
+    it('should report a blocked popup', async () => {
+      await expectErrorCode(loginClient.requireStepUp(), 'PopupBlocked');
+      expect(loginRequests()).to.eql([]);
+    });
+
+    it('should reject unknown factors', async () => {
+      await expectErrorCode(loginClient.requireStepUp({ factors: ['SMS'] }), 'InvalidInput');
+      expect(loginRequests()).to.eql([]);
+    });
+
+    it('should require a logged in user', async () => {
+      loginClient = browser.createLoginClient();
+      await loginClient.logout();
+      await expectErrorCode(loginClient.requireStepUp(), 'NotLoggedIn');
+    });
+  });
+});
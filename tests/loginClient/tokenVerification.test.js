@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+
+const base64url = require('../../src/base64url');
+const { MockAuthressServer, TestBrowser } = require('../../testing');
+
+describe('loginClient.js', () => {
+  describe('verifyTokens', () => {
+    let server;
+    let browser;
+    beforeEach(() => {
+      // Each test uses its own custom domain, so that the keys of previous servers are not cached.
+      server = new MockAuthressServer({ authressApiUrl: `https://login-${Date.now()}-${Math.random().toString(36).slice(2)}.example.com` });
+      browser = new TestBrowser(server).install();
+    });
+    afterEach(() => browser.uninstall());
+
+    it('should log the user in with verified tokens', async () => {
+      browser.createLoginClient({ verifyTokens: true }).authenticate();
+      await browser.completeLogin({ user: { sub: 'user-1' } });
+
+      const loginClient = browser.createLoginClient({ verifyTokens: true });
+      expect(await loginClient.userSessionExists()).to.eql(true);
+      expect(loginClient.getUserIdentity().sub).to.eql('user-1');
+      expect(server.requests.map(r => `${r.method} ${r.path}`)).to.include('GET /.well-known/openid-configuration/jwks');
+    });
+
+    it('should not trust stored tokens before they are verified', async () => {
+      server.startSession({ sub: 'user-1' });
+      await browser.createLoginClient().userSessionExists();
+
+      const loginClient = browser.createLoginClient({ verifyTokens: true });
+      expect(loginClient.getUserIdentity()).to.eql(null);
+      expect(await loginClient.userSessionExists()).to.eql(true);
+      expect(loginClient.getUserIdentity().sub).to.eql('user-1');
+    });
+
+    it('should remove tampered tokens from the storage', async () => {
+      server.startSession({ sub: 'user-1' });
+      await browser.createLoginClient().userSessionExists();
+      server.endSession();
+
+      const storageKey = Array.from(browser.localStorage.values.keys()).find(key => key.startsWith('AuthenticationCredentialsStorage'));
+      const storedValue = JSON.parse(browser.localStorage.getItem(storageKey));
+      const [header, payload, signature] = storedValue.idToken.split('.');
+      const tamperedPayload = base64url.encode(JSON.stringify(Object.assign(JSON.parse(base64url.decode(payload)), { sub: 'admin' })));
+      browser.localStorage.setItem(storageKey, JSON.stringify(Object.assign(storedValue, { idToken: `${header}.${tamperedPayload}.${signature}` })));
+      expect(browser.createLoginClient().getUserIdentity().sub).to.eql('admin');
+
+      const loginClient = browser.createLoginClient({ verifyTokens: true });
+      expect(await loginClient.userSessionExists()).to.eql(false);
+      expect(loginClient.getUserIdentity()).to.eql(null);
+      expect(browser.localStorage.getItem(storageKey)).to.eql(null);
+      expect(browser.getCookie('authorization')).to.eql(null);
+    });
+
+    it('should not log the user in when the received tokens cannot be verified', async () => {
+      const serverFetch = server.fetch;
+      const loginClient = browser.createLoginClient({
+        verifyTokens: true,
+        fetch: (url, request) => (url.toString().endsWith('/jwks') ? Promise.resolve(new Response(JSON.stringify({ keys: [] }))) : serverFetch(url, request))
+      });
+      server.startSession({ sub: 'user-1' });
+
+      expect(await loginClient.userSessionExists()).to.eql(false);
+      expect(loginClient.getUserIdentity()).to.eql(null);
+    });
+  });
+});
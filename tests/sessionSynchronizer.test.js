@@ -0,0 +1,68 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const SessionSynchronizer = require('../src/sessionSynchronizer');
+const { MemoryStorageAdapter } = require('../src/storageAdapters');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+describe('sessionSynchronizer.js', () => {
+  describe('publish()', () => {
+    it('delivers messages to other synchronizers on the same channel', async () => {
+      const receivedMessages = [];
+      const publisher = new SessionSynchronizer('unit-test-channel', new MemoryStorageAdapter(), sinon.spy());
+      const receiver = new SessionSynchronizer('unit-test-channel', new MemoryStorageAdapter(), message => receivedMessages.push(message));
+      publisher.start();
+      receiver.start();
+
+      try {
+        publisher.publish({ type: 'logout' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+      } finally {
+        publisher.stop();
+        receiver.stop();
+      }
+
+      expect(receivedMessages).to.eql([{ type: 'logout' }]);
+    });
+
+    it('ignores invalid messages', () => {
+      const onMessage = sinon.spy();
+      const synchronizer = new SessionSynchronizer('unit-test-channel', new MemoryStorageAdapter(), onMessage);
+      synchronizer.receive(null);
+      synchronizer.receive({});
+      expect(onMessage.called).to.eql(false);
+    });
+
+    it('does nothing when the synchronizer was not started', () => {
+      const synchronizer = new SessionSynchronizer('unit-test-channel', new MemoryStorageAdapter(), sinon.spy());
+      synchronizer.publish({ type: 'login' });
+      expect(synchronizer.channel).to.eql(null);
+    });
+
+    it('writes the fallback messages to the configured storage adapter', async () => {
+      const storage = { set: sinon.stub().resolves(), remove: sinon.stub().resolves() };
+      const listeners = [];
+      sandbox.stub(global, 'BroadcastChannel').value(undefined);
+      const previousWindow = global.window;
+      global.window = { addEventListener: (name, listener) => listeners.push(listener), removeEventListener: sinon.spy() };
+      const synchronizer = new SessionSynchronizer('unit-test-channel', storage, sinon.spy());
+      try {
+        synchronizer.start();
+        await synchronizer.publish({ type: 'logout' });
+      } finally {
+        synchronizer.stop();
+        global.window = previousWindow;
+      }
+
+      expect(listeners).to.have.length(1);
+      expect(storage.set.calledOnce).to.eql(true);
+      expect(storage.set.firstCall.args[0]).to.eql('AuthressSessionSynchronization:unit-test-channel');
+      expect(JSON.parse(storage.set.firstCall.args[1])).to.include({ type: 'logout' });
+      expect(storage.remove.calledOnceWith('AuthressSessionSynchronization:unit-test-channel')).to.eql(true);
+    });
+  });
+});
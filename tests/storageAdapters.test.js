@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { MemoryStorageAdapter, LocalStorageAdapter, isStorageAdapter, createDefaultStorageAdapter } = require('../src/storageAdapters');
+const UserIdentityTokenStorageManager = require('../src/userIdentityTokenStorageManager');
+const { LoginClient } = require('../src/index');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+describe('storageAdapters.js', () => {
+  describe('MemoryStorageAdapter', () => {
+    it('stores and removes values', () => {
+      const storage = new MemoryStorageAdapter();
+      expect(storage.get('key')).to.eql(null);
+      storage.set('key', 'value');
+      expect(storage.get('key')).to.eql('value');
+      storage.remove('key');
+      expect(storage.get('key')).to.eql(null);
+    });
+  });
+
+  describe('createDefaultStorageAdapter()', () => {
+    it('falls back to memory when LocalStorage is not available', () => {
+      expect(createDefaultStorageAdapter()).to.be.instanceOf(MemoryStorageAdapter);
+    });
+
+    it('uses LocalStorage when it is available', () => {
+      const values = {};
+      const localStorage = {
+        getItem(key) { return values[key]; },
+        setItem(key, value) { values[key] = value; },
+        removeItem(key) { delete values[key]; }
+      };
+      global.window = { localStorage };
+      try {
+        expect(createDefaultStorageAdapter()).to.be.instanceOf(LocalStorageAdapter);
+      } finally {
+        delete global.window;
+      }
+    });
+  });
+
+  describe('isStorageAdapter()', () => {
+    it('validates the adapter interface', () => {
+      expect(isStorageAdapter(new MemoryStorageAdapter())).to.eql(true);
+      expect(isStorageAdapter({ get() { return null; } })).to.eql(false);
+      expect(isStorageAdapter(null)).to.eql(false);
+    });
+
+    it('rejects invalid storage in the LoginClient', () => {
+      try {
+        // eslint-disable-next-line no-new
+        new LoginClient({ authressApiUrl: 'https://auth.example.com', skipBackgroundCredentialsCheck: true, storage: {} });
+        expect.fail('Expected the LoginClient to throw');
+      } catch (error) {
+        expect(error.code).to.eql('InvalidStorage');
+      }
+    });
+  });
+
+  describe('UserIdentityTokenStorageManager', () => {
+    it('stores the identity in the configured storage', () => {
+      const storage = new MemoryStorageAdapter();
+      const manager = new UserIdentityTokenStorageManager('namespace', storage);
+      manager.set('id-token', new Date(Date.now() + 60000));
+      expect(JSON.parse(storage.get('AuthenticationCredentialsStorage:namespace')).idToken).to.eql('id-token');
+      expect(manager.get()).to.eql('id-token');
+
+      manager.delete();
+      expect(storage.get('AuthenticationCredentialsStorage:namespace')).to.eql(null);
+      expect(manager.get()).to.eql(null);
+    });
+
+    it('supports async storage adapters after loading', async () => {
+      const memoryStorage = new MemoryStorageAdapter();
+      const asyncStorage = {
+        get: key => Promise.resolve(memoryStorage.get(key)),
+        set: (key, value) => Promise.resolve(memoryStorage.set(key, value)),
+        remove: key => Promise.resolve(memoryStorage.remove(key))
+      };
+      memoryStorage.set('AuthenticationCredentialsStorage:namespace', JSON.stringify({ idToken: 'id-token', expiry: Date.now() + 60000 }));
+
+      const manager = new UserIdentityTokenStorageManager('namespace', asyncStorage);
+      expect(manager.get()).to.eql(null);
+      await manager.load();
+      expect(manager.get()).to.eql('id-token');
+    });
+
+    it('moves the identity stored before the storage was namespaced to the owning client', () => {
+      const storage = new MemoryStorageAdapter();
+      storage.set('AuthenticationCredentialsStorage', JSON.stringify({ idToken: 'id-token', expiry: Date.now() + 60000 }));
+
+      const otherManager = new UserIdentityTokenStorageManager('other', storage, null, () => false);
+      expect(otherManager.get()).to.eql(null);
+
+      const manager = new UserIdentityTokenStorageManager('namespace', storage, null, token => token === 'id-token');
+      expect(manager.get()).to.eql('id-token');
+      expect(storage.get('AuthenticationCredentialsStorage')).to.eql(null);
+      expect(JSON.parse(storage.get('AuthenticationCredentialsStorage:namespace')).idToken).to.eql('id-token');
+    });
+
+    it('does not return expired identities', () => {
+      const manager = new UserIdentityTokenStorageManager('namespace', new MemoryStorageAdapter());
+      manager.set('id-token', new Date(Date.now() - 1000));
+      expect(manager.get()).to.eql(null);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { MockAuthressServer, TestBrowser } = require('../testing');
+const { ExtensionClient, MemoryStorageAdapter } = require('../src/index');
+
+describe('testing', () => {
+  let server;
+  let browser;
+  beforeEach(() => {
+    server = new MockAuthressServer({ user: { sub: 'user-1', email: 'user@example.com' } });
+    browser = new TestBrowser(server, { url: 'https://app.example.com/dashboard' }).install();
+  });
+  afterEach(() => browser.uninstall());
+
+  describe('login round trip', () => {
+    it('should log the user in with authenticate, userSessionExists, and ensureToken', async () => {
+      const loginClient = browser.createLoginClient();
+      loginClient.authenticate();
+      const redirectUrl = await browser.completeLogin();
+      expect(new URL(redirectUrl).searchParams.get('code')).to.eql('cookie');
+
+      const reloadedClient = browser.createLoginClient();
+      expect(await reloadedClient.userSessionExists()).to.eql(true);
+      expect(reloadedClient.getUserIdentity()).to.include({ sub: 'user-1', userId: 'user-1', email: 'user@example.com' });
+      expect(browser.location.href).to.eql('https://app.example.com/dashboard');
+
+      const token = await reloadedClient.ensureToken();
+      const claims = await server.verifyToken(token);
+      expect(claims).to.include({ sub: 'user-1', iss: server.url, aud: server.applicationId });
+    });
+
+    it('should exchange codes returned in the query', async () => {
+      const loginClient = browser.createLoginClient();
+      loginClient.authenticate({ responseLocation: 'query' });
+      await browser.completeLogin({ user: { sub: 'user-2' } });
+
+      const reloadedClient = browser.createLoginClient();
+      expect(await reloadedClient.userSessionExists()).to.eql(true);
+      expect(reloadedClient.getUserIdentity().sub).to.eql('user-2');
+    });
+
+    it('should not log the user in when the login fails', async () => {
+      const loginClient = browser.createLoginClient();
+      loginClient.authenticate();
+      await browser.completeLogin({ error: 'access_denied' });
+
+      const reloadedClient = browser.createLoginClient();
+      expect(await reloadedClient.userSessionExists()).to.eql(false);
+      expect(server.session).to.eql(null);
+    });
+
+    it('should continue an existing session', async () => {
+      server.startSession();
+      const loginClient = browser.createLoginClient();
+      expect(await loginClient.userSessionExists()).to.eql(true);
+      expect(loginClient.getUserIdentity().sub).to.eql('user-1');
+      expect(server.requests.map(r => `${r.method} ${r.path}`)).to.eql(['PATCH /api/session']);
+    });
+  });
+
+  describe('session api', () => {
+    it('should manage the devices of the logged in user', async () => {
+      server.startSession();
+      const loginClient = browser.createLoginClient();
+      await loginClient.userSessionExists();
+      const token = await loginClient.ensureToken();
+
+      const createResponse = await server.fetch(`${server.url}/api/session/devices`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: JSON.stringify({ name: 'Key' }) });
+      const device = await createResponse.json();
+      expect(await loginClient.getDevices()).to.eql([Object.assign({}, device, { type: null, createdAt: device.createdDate, lastUsed: null, vendorName: null })]);
+
+      await loginClient.deleteDevice(device.deviceId);
+      expect(await loginClient.getDevices()).to.eql([]);
+    });
+
+    it('should reject requests without a valid token', async () => {
+      const response = await server.fetch(`${server.url}/api/session/devices`, { headers: { Authorization: 'Bearer invalid' } });
+      expect(response.status).to.eql(401);
+    });
+
+    it('should end the session on logout', async () => {
+      server.startSession();
+      const loginClient = browser.createLoginClient();
+      await loginClient.userSessionExists();
+
+      await loginClient.logout();
+
+      expect(server.session).to.eql(null);
+      expect(browser.getCookie('authorization')).to.eql(null);
+      expect(await browser.createLoginClient().userSessionExists()).to.eql(false);
+    });
+
+    it('should end the session through the logout redirect for cross domain sessions', async () => {
+      browser.uninstall();
+      browser = new TestBrowser(server, { url: 'https://app.other.com/' }).install();
+      server.startSession();
+      const loginClient = browser.createLoginClient();
+      await loginClient.userSessionExists();
+
+      loginClient.logout();
+      expect(await browser.completeLogout()).to.eql('https://app.other.com/');
+
+      expect(server.session).to.eql(null);
+      expect(await browser.createLoginClient().userSessionExists()).to.eql(false);
+    });
+  });
+
+  describe('extension api', () => {
+    const tokenRequest = body => server.fetch(`${server.url}/api/authentication/oauth/tokens`, {
+      method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: new URLSearchParams(body).toString()
+    });
+    const createExtensionClient = () => new ExtensionClient(server.url, 'ext_id', { storage: new MemoryStorageAdapter(), fetch: server.fetch, discovery: true });
+
+    it('should log the user in with the device code grant', async () => {
+      const timers = sinon.useFakeTimers({ now: Date.now(), toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+      try {
+        const extensionClient = createExtensionClient();
+        let settled = false;
+        const loginPromise = extensionClient.loginWithDeviceCode({ onUserCode: ({ userCode }) => server.approveDeviceCode(userCode, { user: { sub: 'user-2' } }) })
+        .finally(() => { settled = true; });
+        while (!settled) {
+          await new Promise(resolve => setImmediate(resolve));
+          timers.tick(1000);
+        }
+
+        const { accessToken } = await loginPromise;
+        expect(await server.verifyToken(accessToken)).to.include({ sub: 'user-2' });
+        expect(server.requests.filter(r => r.path === '/api/authentication/oauth/tokens').map(r => r.body.grant_type)).to.eql(['urn:ietf:params:oauth:grant-type:device_code']);
+      } finally {
+        timers.restore();
+      }
+    });
+
+    it('should report pending and denied device authorizations', async () => {
+      const deviceResponse = await server.fetch(`${server.url}/api/authentication/oauth/device`, {
+        method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'client_id=ext_id'
+      });
+      const { device_code: deviceCode, user_code: userCode } = await deviceResponse.json();
+      const deviceTokenRequest = { grant_type: 'urn:ietf:params:oauth:grant-type:device_code', device_code: deviceCode, client_id: 'ext_id' };
+
+      expect(await (await tokenRequest(deviceTokenRequest)).json()).to.eql({ error: 'authorization_pending' });
+      server.approveDeviceCode(userCode, { error: 'access_denied' });
+      expect(await (await tokenRequest(deviceTokenRequest)).json()).to.eql({ error: 'access_denied' });
+    });
+
+    it('should rotate refresh tokens and revoke the session when a rotated token is reused', async () => {
+      const deviceResponse = await server.fetch(`${server.url}/api/authentication/oauth/device`, {
+        method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'client_id=ext_id'
+      });
+      const { device_code: deviceCode, user_code: userCode } = await deviceResponse.json();
+      server.approveDeviceCode(userCode);
+      const { refresh_token: firstRefreshToken } = await (await tokenRequest({ grant_type: 'urn:ietf:params:oauth:grant-type:device_code', device_code: deviceCode, client_id: 'ext_id' })).json();
+
+      const rotatedResponse = await (await tokenRequest({ grant_type: 'refresh_token', refresh_token: firstRefreshToken, client_id: 'ext_id' })).json();
+      expect(await server.verifyToken(rotatedResponse.access_token)).to.include({ sub: 'user-1' });
+      expect(rotatedResponse.refresh_token).to.not.eql(firstRefreshToken);
+
+      expect(await (await tokenRequest({ grant_type: 'refresh_token', refresh_token: firstRefreshToken, client_id: 'ext_id' })).json()).to.eql({ error: 'invalid_grant' });
+      expect(await (await tokenRequest({ grant_type: 'refresh_token', refresh_token: rotatedResponse.refresh_token, client_id: 'ext_id' })).json()).to.eql({ error: 'invalid_grant' });
+    });
+  });
+});
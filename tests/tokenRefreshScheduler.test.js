@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const TokenRefreshScheduler = require('../src/tokenRefreshScheduler');
+const windowManager = require('../src/windowManager');
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('tokenRefreshScheduler.js', () => {
+  describe('schedule()', () => {
+    let clock;
+    beforeEach(() => { clock = sandbox.useFakeTimers({ now: 1000000, toFake: ['setTimeout', 'clearTimeout', 'Date'] }); });
+
+    const tick = async timeInMillis => {
+      clock.tick(timeInMillis);
+      await flushPromises();
+    };
+
+    it('renews the session the lead time before the token expires', async () => {
+      const refresh = sinon.stub().resolves(false);
+      const scheduler = new TokenRefreshScheduler({ getTokenExpiry: () => Date.now() + 120000, refresh, leadTimeInMillis: 60000 });
+      scheduler.start();
+
+      await tick(59999);
+      expect(refresh.called).to.eql(false);
+      await tick(1);
+      expect(refresh.calledOnce).to.eql(true);
+      scheduler.stop();
+    });
+
+    it('does not schedule a renewal when there is no token', async () => {
+      const refresh = sinon.stub().resolves(true);
+      const scheduler = new TokenRefreshScheduler({ getTokenExpiry: () => null, refresh });
+      scheduler.start();
+
+      await tick(600000);
+      expect(refresh.called).to.eql(false);
+      scheduler.stop();
+    });
+
+    it('backs off after a failed renewal', async () => {
+      const refresh = sinon.stub();
+      refresh.onFirstCall().rejects(new Error('Network Error'));
+      refresh.onSecondCall().rejects(new Error('Network Error'));
+      refresh.resolves(false);
+      const scheduler = new TokenRefreshScheduler({ getTokenExpiry: () => Date.now(), refresh, maxBackoffInMillis: 3000 });
+      scheduler.start();
+
+      await tick(0);
+      expect(refresh.callCount).to.eql(1);
+      await tick(2000);
+      expect(refresh.callCount).to.eql(2);
+      await tick(2999);
+      expect(refresh.callCount).to.eql(2);
+      await tick(1);
+      expect(refresh.callCount).to.eql(3);
+      scheduler.stop();
+    });
+
+    it('pauses while the page is hidden and checks again once it is visible', async () => {
+      let visibilityCallback;
+      sandbox.stub(windowManager, 'onVisibilityChange').callsFake(callback => { visibilityCallback = callback; return sinon.spy(); });
+      const isHiddenStub = sandbox.stub(windowManager, 'isHidden').returns(false);
+      const refresh = sinon.stub().resolves(false);
+      const expiry = Date.now() + 120000;
+      const scheduler = new TokenRefreshScheduler({ getTokenExpiry: () => expiry, refresh, leadTimeInMillis: 60000 });
+      scheduler.start();
+
+      isHiddenStub.returns(true);
+      visibilityCallback(false);
+      await tick(300000);
+      expect(refresh.called).to.eql(false);
+
+      isHiddenStub.returns(false);
+      visibilityCallback(true);
+      await tick(0);
+      expect(refresh.calledOnce).to.eql(true);
+      scheduler.stop();
+    });
+
+    it('renews an expired token immediately once the page is visible again', async () => {
+      let visibilityCallback;
+      sandbox.stub(windowManager, 'onVisibilityChange').callsFake(callback => { visibilityCallback = callback; return sinon.spy(); });
+      const isHiddenStub = sandbox.stub(windowManager, 'isHidden').returns(false);
+      let expiry = Date.now() + 120000;
+      const refresh = sinon.stub().callsFake(() => { expiry = Date.now() + 120000; return Promise.resolve(true); });
+      const scheduler = new TokenRefreshScheduler({ getTokenExpiry: () => expiry, refresh, leadTimeInMillis: 60000 });
+      scheduler.start();
+      // The last renewal was recent, which would otherwise delay the next one.
+      scheduler.lastRefresh = Date.now();
+
+      isHiddenStub.returns(true);
+      visibilityCallback(false);
+      // Throttled timers in the hidden page did not fire, and the token expired in the meantime.
+      clock.setSystemTime(expiry + 1000);
+
+      isHiddenStub.returns(false);
+      visibilityCallback(true);
+      await flushPromises();
+      expect(refresh.calledOnce).to.eql(true);
+
+      // The next renewal is scheduled for the renewed token.
+      await tick(59999);
+      expect(refresh.calledOnce).to.eql(true);
+      await tick(1);
+      expect(refresh.calledTwice).to.eql(true);
+      scheduler.stop();
+    });
+  });
+});
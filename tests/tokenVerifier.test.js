@@ -0,0 +1,131 @@
+const { describe, it } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const base64url = require('../src/base64url');
+const TokenVerifier = require('../src/tokenVerifier');
+const OpenIdConfiguration = require('../src/openIdConfiguration');
+
+const KeyAlgorithms = {
+  ES256: { generate: { name: 'ECDSA', namedCurve: 'P-256' }, sign: { name: 'ECDSA', hash: 'SHA-256' } },
+  RS256: { generate: { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' }, sign: { name: 'RSASSA-PKCS1-v1_5' } },
+  EdDSA: { generate: { name: 'Ed25519' }, sign: { name: 'Ed25519' } }
+};
+
+let domainCounter = 0;
+async function createIssuer(alg = 'ES256') {
+  const hostUrl = `https://login${++domainCounter}.example.com`;
+  const keyPair = await crypto.subtle.generateKey(KeyAlgorithms[alg].generate, true, ['sign', 'verify']);
+  const jwk = Object.assign(await crypto.subtle.exportKey('jwk', keyPair.publicKey), { kid: `key-${alg}`, alg });
+  const issuer = { hostUrl, jwks: { keys: [jwk] }, requestedUrls: [] };
+  issuer.fetch = url => {
+    issuer.requestedUrls.push(url);
+    const body = url.endsWith('/jwks') ? issuer.jwks : { issuer: hostUrl, jwks_uri: `${hostUrl}/.well-known/openid-configuration/jwks` };
+    return Promise.resolve(new Response(JSON.stringify(body), { status: 200 }));
+  };
+  issuer.createToken = async (claims, header) => {
+    const now = Math.floor(Date.now() / 1000);
+    const encodedHeader = base64url.encode(JSON.stringify(Object.assign({ alg, typ: 'JWT', kid: jwk.kid }, header)));
+    const encodedPayload = base64url.encode(JSON.stringify(Object.assign({ iss: hostUrl, sub: 'user', aud: 'app_1', iat: now, exp: now + 3600 }, claims)));
+    const signature = await crypto.subtle.sign(KeyAlgorithms[alg].sign, keyPair.privateKey, new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`));
+    return `${encodedHeader}.${encodedPayload}.${base64url.encode(signature)}`;
+  };
+  return issuer;
+}
+
+async function expectVerificationError(verifier, token, code) {
+  try {
+    await verifier.verify(token);
+  } catch (error) {
+    expect(error.code).to.eql(code);
+    return;
+  }
+  throw Error('The token should not have been verified');
+}
+
+describe('tokenVerifier.js', () => {
+  describe('verify()', () => {
+    Object.keys(KeyAlgorithms).forEach(alg => {
+      it(`verifies ${alg} tokens`, async () => {
+        const issuer = await createIssuer(alg);
+        const verifier = new TokenVerifier(issuer.hostUrl, 'app_1', new OpenIdConfiguration(issuer.hostUrl, issuer.fetch));
+        const token = await issuer.createToken({ sub: 'user-1' });
+
+        const claims = await verifier.verify(token);
+        expect(claims.sub).to.eql('user-1');
+        expect(verifier.isVerified(token)).to.eql(true);
+      });
+    });
+
+    it('rejects tokens with a modified payload', async () => {
+      const issuer = await createIssuer();
+      const verifier = new TokenVerifier(issuer.hostUrl, 'app_1', new OpenIdConfiguration(issuer.hostUrl, issuer.fetch));
+      const [header, , signature] = (await issuer.createToken({ sub: 'user-1' })).split('.');
+      const otherPayload = (await issuer.createToken({ sub: 'admin' })).split('.')[1];
+
+      const tamperedToken = `${header}.${otherPayload}.${signature}`;
+      await expectVerificationError(verifier, tamperedToken, 'InvalidToken');
+      expect(verifier.isVerified(tamperedToken)).to.eql(false);
+    });
+
+    it('rejects tokens signed by another key', async () => {
+      const issuer = await createIssuer();
+      const otherIssuer = await createIssuer();
+      const verifier = new TokenVerifier(issuer.hostUrl, 'app_1', new OpenIdConfiguration(issuer.hostUrl, issuer.fetch));
+      await expectVerificationError(verifier, await otherIssuer.createToken({ iss: issuer.hostUrl }), 'InvalidToken');
+    });
+
+    it('rejects unsigned tokens', async () => {
+      const issuer = await createIssuer();
+      const verifier = new TokenVerifier(issuer.hostUrl, 'app_1', new OpenIdConfiguration(issuer.hostUrl, issuer.fetch));
+      const [, payload] = (await issuer.createToken({})).split('.');
+      await expectVerificationError(verifier, `${base64url.encode(JSON.stringify({ alg: 'none' }))}.${payload}.`, 'InvalidToken');
+      await expectVerificationError(verifier, 'not-a-token', 'InvalidToken');
+    });
+
+    it('validates the iss, aud, nbf, and exp claims', async () => {
+      const issuer = await createIssuer();
+      const verifier = new TokenVerifier(issuer.hostUrl, 'app_1', new OpenIdConfiguration(issuer.hostUrl, issuer.fetch));
+      const now = Math.floor(Date.now() / 1000);
+
+      await expectVerificationError(verifier, await issuer.createToken({ iss: 'https://login.attacker.com' }), 'InvalidToken');
+      await expectVerificationError(verifier, await issuer.createToken({ iss: issuer.hostUrl.replace('https://', 'https://evil') }), 'InvalidToken');
+      await expectVerificationError(verifier, await issuer.createToken({ iss: 'https://example.com' }), 'InvalidToken');
+      await expectVerificationError(verifier, await issuer.createToken({ aud: 'app_other' }), 'InvalidToken');
+      await expectVerificationError(verifier, await issuer.createToken({ nbf: now + 600 }), 'InvalidToken');
+      await expectVerificationError(verifier, await issuer.createToken({ exp: now - 1 }), 'TokenExpired');
+      expect((await verifier.verify(await issuer.createToken({ aud: ['app_other', 'app_1'], nbf: now - 1 }))).sub).to.eql('user');
+      expect((await verifier.verify(await issuer.createToken({ aud: 'https://api.example.com', client_id: 'app_1' }))).sub).to.eql('user');
+    });
+
+    it('caches the keys and reloads only the keys once for unknown key ids', async () => {
+      const issuer = await createIssuer();
+      const verifier = new TokenVerifier(issuer.hostUrl, 'app_1', new OpenIdConfiguration(issuer.hostUrl, issuer.fetch));
+      await verifier.verify(await issuer.createToken({}));
+      await new TokenVerifier(issuer.hostUrl, 'app_1', new OpenIdConfiguration(issuer.hostUrl, issuer.fetch)).verify(await issuer.createToken({ sub: 'user-2' }));
+      expect(issuer.requestedUrls.length).to.eql(2);
+
+      await expectVerificationError(verifier, await issuer.createToken({}, { kid: 'rotated-key' }), 'InvalidToken');
+      expect(issuer.requestedUrls.length).to.eql(3);
+    });
+
+    it('reloads the keys for unknown key ids at most once per minute', async () => {
+      const issuer = await createIssuer();
+      const verifier = new TokenVerifier(issuer.hostUrl, 'app_1', new OpenIdConfiguration(issuer.hostUrl, issuer.fetch));
+      await expectVerificationError(verifier, await issuer.createToken({}, { kid: 'unknown-key' }), 'InvalidToken');
+      const requestCount = issuer.requestedUrls.length;
+
+      await expectVerificationError(new TokenVerifier(issuer.hostUrl, 'app_1', new OpenIdConfiguration(issuer.hostUrl, issuer.fetch)), await issuer.createToken({}, { kid: 'other-key' }), 'InvalidToken');
+      expect(issuer.requestedUrls.length).to.eql(requestCount);
+
+      const oneMinuteLater = Date.now() + 60000;
+      const nowStub = sinon.stub(Date, 'now').returns(oneMinuteLater);
+      try {
+        await expectVerificationError(verifier, await issuer.createToken({}, { kid: 'unknown-key' }), 'InvalidToken');
+      } finally {
+        nowStub.restore();
+      }
+      expect(issuer.requestedUrls.length).to.eql(requestCount + 1);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const totpManager = require('../src/totpManager');
+const { AuthressError } = require('../src/errors');
+
+// The secret of the RFC 6238 test vectors, "12345678901234567890" encoded as base32.
+const rfcSecret = totpManager.base32Encode(new TextEncoder().encode('12345678901234567890'));
+
+let sandbox;
+beforeEach(() => { sandbox = sinon.createSandbox(); });
+afterEach(() => sandbox.restore());
+
+describe('totpManager.js', () => {
+  describe('base32', () => {
+    it('encodes and decodes secrets', () => {
+      expect(rfcSecret).to.eql('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(totpManager.base32Encode(new TextEncoder().encode('foobar'))).to.eql('MZXW6YTBOI');
+      expect(new TextDecoder().decode(totpManager.base32Decode('mzxw 6ytb oi=='))).to.eql('foobar');
+    });
+
+    it('rejects secrets that are not base32 encoded', () => {
+      expect(() => totpManager.base32Decode('MZXW1')).to.throw(AuthressError).with.property('code', 'InvalidInput');
+    });
+
+    it('generates random 160 bit secrets', () => {
+      const secret = totpManager.generateSecret();
+      expect(secret).to.match(/^[A-Z2-7]{32}$/);
+      expect(totpManager.base32Decode(secret)).to.have.length(20);
+      expect(totpManager.generateSecret()).to.not.eql(secret);
+    });
+  });
+
+  describe('generateCode()', () => {
+    // https://datatracker.ietf.org/doc/html/rfc6238#appendix-B
+    [[59, '94287082'], [1111111109, '07081804'], [1111111111, '14050471'], [1234567890, '89005924'], [2000000000, '69279037'], [20000000000, '65353130']].forEach(([time, code]) => {
+      it(`matches the RFC 6238 test vector at ${time}`, async () => {
+        expect(await totpManager.generateCode(rfcSecret, totpManager.getCounter(time * 1000), 8)).to.eql(code);
+        expect(await totpManager.generateCode(rfcSecret, totpManager.getCounter(time * 1000))).to.eql(code.slice(2));
+      });
+    });
+  });
+
+  describe('verify()', () => {
+    beforeEach(() => { sandbox.useFakeTimers({ now: 1111111111000, toFake: ['Date'] }); });
+
+    it('accepts codes within the window', async () => {
+      expect(await totpManager.verify(rfcSecret, '050471')).to.eql(true);
+      expect(await totpManager.verify(rfcSecret, '050 471')).to.eql(true);
+      // The code of the previous time step.
+      expect(await totpManager.verify(rfcSecret, await totpManager.generateCode(rfcSecret, totpManager.getCounter(Date.now()) - 1))).to.eql(true);
+      expect(await totpManager.verify(rfcSecret, await totpManager.generateCode(rfcSecret, totpManager.getCounter(Date.now()) - 1), 0)).to.eql(false);
+      expect(await totpManager.verify(rfcSecret, await totpManager.generateCode(rfcSecret, totpManager.getCounter(Date.now()) + 2))).to.eql(false);
+    });
+
+    it('rejects malformed codes', async () => {
+      expect(await totpManager.verify(rfcSecret, '14050471')).to.eql(false);
+      expect(await totpManager.verify(rfcSecret, '')).to.eql(false);
+      expect(await totpManager.verify(rfcSecret, null)).to.eql(false);
+    });
+  });
+
+  describe('getUri()', () => {
+    it('builds the otpauth uri', () => {
+      expect(totpManager.getUri({ secret: 'MZXW6YTBOI', issuer: 'login.example.com', accountName: 'user@example.com' }))
+      .to.eql('otpauth://totp/login.example.com:user%40example.com?secret=MZXW6YTBOI&issuer=login.example.com&algorithm=SHA1&digits=6&period=30');
+    });
+  });
+});
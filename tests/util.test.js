@@ -2,7 +2,7 @@ const { describe, it, beforeEach, afterEach } = require('mocha');
 const sinon = require('sinon');
 const { expect } = require('chai');
 
-const { sanitizeUrl } = require('../src/util');
+const { sanitizeUrl, isIssuerOfDomain } = require('../src/util');
 
 let sandbox;
 beforeEach(() => { sandbox = sinon.createSandbox(); });
@@ -40,5 +40,28 @@ describe('util.js', () => {
       expect(result).to.eql('https://account.login.authress.io');
     });
   });
+
+  describe('isIssuerOfDomain()', () => {
+    it('accepts the custom domain and its subdomains', () => {
+      expect(isIssuerOfDomain('https://auth.example.com', 'https://auth.example.com')).to.eql(true);
+      expect(isIssuerOfDomain('https://tenant.auth.example.com', 'https://auth.example.com')).to.eql(true);
+      expect(isIssuerOfDomain('https://account.login.authress.io', 'https://login.authress.io')).to.eql(true);
+    });
+
+    it('rejects domains that only share a suffix', () => {
+      expect(isIssuerOfDomain('https://evilauth.example.com', 'https://auth.example.com')).to.eql(false);
+      expect(isIssuerOfDomain('https://auth.example.com.evil.com', 'https://auth.example.com')).to.eql(false);
+    });
+
+    it('rejects parent domains of the custom domain', () => {
+      expect(isIssuerOfDomain('https://example.com', 'https://auth.example.com')).to.eql(false);
+      expect(isIssuerOfDomain('https://com', 'https://auth.example.com')).to.eql(false);
+    });
+
+    it('rejects invalid issuers', () => {
+      expect(isIssuerOfDomain(undefined, 'https://auth.example.com')).to.eql(false);
+      expect(isIssuerOfDomain('auth.example.com', 'https://auth.example.com')).to.eql(false);
+    });
+  });
 });
 